@@ -1,12 +1,8 @@
 'use strict';
 
 require('dotenv').config();
-const { Pool } = require('pg');
 const OpenAI = require('openai');
-
-// Database connection
-const connectionString = process.env.DATABASE_URL || process.env.POSTGRES_URL;
-const pool = new Pool({ connectionString });
+const { listArticles, saveProcessedContent, getLatestProcessedContent } = require('../lib/repository');
 
 // OpenAI client
 const openai = new OpenAI({
@@ -26,16 +22,14 @@ class ContentProcessor {
     };
   }
 
+  // Articles scraped in the last 24 hours, one per duplicate group
   async getRecentArticles(limit = 50) {
-    const query = `
-      SELECT * FROM articles 
-      WHERE scraped_at > NOW() - INTERVAL '24 hours'
-      ORDER BY published_at DESC, scraped_at DESC
-      LIMIT $1
-    `;
-    
-    const { rows } = await pool.query(query, [limit]);
-    return rows;
+    return listArticles({
+      scrapedSince: new Date(Date.now() - 24 * 60 * 60 * 1000),
+      representativesOnly: true,
+      withBody: true,
+      limit
+    });
   }
 
   async analyzeArticleContent(article) {
@@ -185,21 +179,23 @@ Respond with JSON only.`
     }
   }
 
-  async processDailyContent() {
-    console.log('🤖 Starting AI content processing...');
+  // options: limit (recent articles considered, default 50), dryRun (don't store the edition), log
+  // (progress, default console)
+  async processDailyContent({ limit = 50, dryRun = false, log = console } = {}) {
+    log.log('🤖 Starting AI content processing...');
     
     try {
       // Get recent articles
-      const articles = await this.getRecentArticles(50);
-      console.log(`📊 Found ${articles.length} recent articles`);
+      const articles = await this.getRecentArticles(limit);
+      log.log(`📊 Found ${articles.length} recent articles`);
 
       // Select top articles
       const topArticles = await this.selectTopArticles(articles, 10);
-      console.log(`🎯 Selected ${topArticles.length} top articles`);
+      log.log(`🎯 Selected ${topArticles.length} top articles`);
 
       // Generate main headline
       const mainHeadline = await this.generateBuenosDiasHeadline(topArticles);
-      console.log(`📰 Generated headline: ${mainHeadline}`);
+      log.log(`📰 Generated headline: ${mainHeadline}`);
 
       // Generate enhanced summaries for top articles
       const enhancedArticles = [];
@@ -212,9 +208,13 @@ Respond with JSON only.`
       }
 
       // Store processed content
-      await this.storeProcessedContent(mainHeadline, enhancedArticles);
+      if (dryRun) {
+        log.log('🧪 Dry run: edition not stored');
+      } else {
+        await this.storeProcessedContent(mainHeadline, enhancedArticles, log);
+      }
       
-      console.log('✅ AI content processing completed');
+      log.log('✅ AI content processing completed');
       return {
         headline: mainHeadline,
         articles: enhancedArticles,
@@ -227,46 +227,23 @@ Respond with JSON only.`
     }
   }
 
-  async storeProcessedContent(headline, articles) {
-    // Create processed_content table if it doesn't exist
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS processed_content (
-        id BIGSERIAL PRIMARY KEY,
-        headline TEXT,
-        articles JSONB,
-        processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-        published BOOLEAN DEFAULT FALSE
-      )
-    `);
-
-    const query = `
-      INSERT INTO processed_content (headline, articles, processed_at)
-      VALUES ($1, $2, NOW())
-      RETURNING id
-    `;
-
-    const { rows } = await pool.query(query, [headline, JSON.stringify(articles)]);
-    console.log(`📝 Stored processed content with ID: ${rows[0].id}`);
+  // The processed_content table is created by the migrations (see lib/migrator.js)
+  async storeProcessedContent(headline, articles, log = console) {
+    const stored = await saveProcessedContent(headline, articles);
+    log.log(`📝 Stored processed content with ID: ${stored.id}`);
   }
 
   async getLatestProcessedContent() {
-    const query = `
-      SELECT * FROM processed_content 
-      ORDER BY processed_at DESC 
-      LIMIT 1
-    `;
-    
-    const { rows } = await pool.query(query);
-    return rows[0] || null;
+    return getLatestProcessedContent();
   }
 }
 
 // Export for use in Render cron jobs
 module.exports = {
   ContentProcessor,
-  processDailyContent: async () => {
+  processDailyContent: async (options) => {
     const processor = new ContentProcessor();
-    return await processor.processDailyContent();
+    return await processor.processDailyContent(options);
   }
 };
 
@@ -2,7 +2,7 @@
 
 require('dotenv').config();
 const { ContentProcessor } = require('./contentProcessor');
-const { initSchema } = require('../lib/db-multi');
+const { initSchema } = require('../lib/repository');
 
 // Express server for AI processor (required by Render web service)
 const express = require('express');
@@ -2,17 +2,21 @@
 
 require('dotenv').config();
 const { ContentProcessor } = require('./contentProcessor');
+const { initSchema } = require('../lib/repository');
 
-async function runSelectionAndGeneration() {
+// options are passed to ContentProcessor#processDailyContent (limit, dryRun, log)
+async function runSelectionAndGeneration(options = {}) {
+  const log = options.log || console;
   try {
-    console.log('🎯 Starting AI content selection and generation...');
+    log.log('🎯 Starting AI content selection and generation...');
+    await initSchema({ log });
     
     const processor = new ContentProcessor();
-    const result = await processor.processDailyContent();
+    const result = await processor.processDailyContent(options);
     
-    console.log('✅ Selection and generation completed');
-    console.log(`📰 Headline: ${result.headline}`);
-    console.log(`📊 Processed ${result.articles.length} articles`);
+    log.log('✅ Selection and generation completed');
+    log.log(`📰 Headline: ${result.headline}`);
+    log.log(`📊 Processed ${result.articles.length} articles`);
     
     return result;
     
@@ -0,0 +1,29 @@
+'use strict';
+
+require('dotenv').config();
+const { initSchema, close } = require('../lib/repository');
+const { createJobWorker } = require('../lib/jobWorker');
+
+// Long-running worker that executes jobs queued from the dashboard (see lib/jobWorker.js).
+// JOB_CONCURRENCY sets how many jobs run at once (default 1).
+
+if (require.main === module) {
+  const concurrency = process.env.JOB_CONCURRENCY ? parseInt(process.env.JOB_CONCURRENCY, 10) || 1 : 1;
+  const worker = createJobWorker({ concurrency });
+
+  const shutdown = async () => {
+    console.log('\n🔄 Stopping job worker...');
+    await worker.stop();
+    await close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  initSchema()
+    .then(() => worker.start())
+    .catch(err => {
+      console.error('❌ Job worker failed to start:', err.message);
+      process.exit(1);
+    });
+}
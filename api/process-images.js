@@ -0,0 +1,54 @@
+'use strict';
+
+require('dotenv').config();
+const repository = require('../lib/repository');
+const { processArticleImage } = require('../lib/imagePipeline');
+const { createBlobStore } = require('../lib/blobStore');
+const { createHttpClient } = require('../lib/httpClient');
+const { createLimiter } = require('../lib/concurrency');
+
+// Downloads and resizes the lead images of recently scraped articles (see lib/imagePipeline.js).
+// options.store overrides the blob store from MEDIA_STORE/MEDIA_DIR, options.db the repository,
+// options.log the console.
+async function runImagePipeline(options = {}) {
+  const db = options.db || repository;
+  const store = options.store || createBlobStore(process.env, { pool: db.pool });
+  const client = options.client || createHttpClient();
+  const log = options.log || console;
+  // Resizing is CPU-bound, so only a couple of images are processed at once
+  const limit = createLimiter(options.concurrency || 2);
+
+  const articles = await db.getArticlesNeedingMedia(options.limit || 50);
+  const counts = { pending: articles.length, ready: 0, failed: 0 };
+
+  await Promise.all(articles.map(article => limit(async () => {
+    const media = await processArticleImage(article, { store, client });
+    await db.saveMedia(media);
+
+    counts[media.status]++;
+    if (media.status === 'failed') {
+      console.warn(`⚠️  Image for article ${article.id} failed: ${media.error}`);
+    }
+  })));
+
+  log.log(`🖼️  Images: ${counts.ready} stored, ${counts.failed} failed (${counts.pending} pending)`);
+  return counts;
+}
+
+// CLI handler
+if (require.main === module) {
+  const limit = process.env.LIMIT ? parseInt(process.env.LIMIT, 10) || 50 : 50;
+
+  repository.initSchema()
+    .then(() => runImagePipeline({ limit }))
+    .then(result => {
+      console.log('✅ Image processing completed:', JSON.stringify(result));
+      process.exit(0);
+    })
+    .catch(err => {
+      console.error('❌ Image processing failed:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runImagePipeline };
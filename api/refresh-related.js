@@ -0,0 +1,40 @@
+'use strict';
+
+require('dotenv').config();
+const { initSchema, listArticles, replaceRelatedArticles } = require('../lib/repository');
+const { computeRelated, RELATED_LIMIT } = require('../lib/relatedArticles');
+
+// Articles compared with each other: those published (or, undated, scraped) in the last this many
+// days, unless RELATED_WINDOW_DAYS says otherwise
+const DEFAULT_WINDOW_DAYS = 90;
+
+// Recomputes the related articles of every article in the window (see lib/relatedArticles.js).
+// Older articles keep the neighbours they had when they left it. options.log overrides the console.
+async function runRelatedRefresh(options = {}) {
+  const windowDays = options.windowDays || parseInt(process.env.RELATED_WINDOW_DAYS, 10) || DEFAULT_WINDOW_DAYS;
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  const log = options.log || console;
+
+  const articles = await listArticles({ since, withBody: true, limit: null });
+  const related = computeRelated(articles, { limit: options.limit || RELATED_LIMIT });
+  const links = await replaceRelatedArticles(related);
+
+  log.log(`🔗 Related articles: ${links} links for ${articles.length} articles from the last ${windowDays} days`);
+  return { articles: articles.length, links };
+}
+
+// CLI handler
+if (require.main === module) {
+  initSchema()
+    .then(() => runRelatedRefresh())
+    .then(result => {
+      console.log('✅ Related articles refreshed:', JSON.stringify(result));
+      process.exit(0);
+    })
+    .catch(err => {
+      console.error('❌ Related articles refresh failed:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runRelatedRefresh, DEFAULT_WINDOW_DAYS };
@@ -0,0 +1,59 @@
+'use strict';
+
+require('dotenv').config();
+const { EventEmitter } = require('events');
+
+// Runs one job in a child process of the job worker (lib/jobWorker.js). The worker passes the job
+// in JOB_TYPE and JOB_PARAMS, stores stdout/stderr as the job log, and receives scrape progress and
+// the result over IPC. `JOB_TYPE=scrape node api/run-job.js` runs a job by hand.
+
+// runScrape options a scrape job may override (the rest come from the environment)
+const SCRAPE_PARAMS = ['limit', 'sources', 'incremental', 'concurrency', 'images', 'related'];
+
+// Handlers are required lazily: the AI processor needs OPENAI_API_KEY as soon as it is loaded
+const JOB_HANDLERS = {
+  scrape(params) {
+    const { runScrape, scrapeOptionsFromEnv, reportProgress } = require('./scrape-all');
+    const events = new EventEmitter();
+    reportProgress(events);
+
+    const overrides = {};
+    for (const key of SCRAPE_PARAMS) {
+      if (params[key] !== undefined) overrides[key] = params[key];
+    }
+    return runScrape({ ...scrapeOptionsFromEnv(), ...overrides, events });
+  },
+
+  'ai-generate'() {
+    const { runSelectionAndGeneration } = require('../ai/select-and-generate');
+    return runSelectionAndGeneration();
+  }
+};
+
+async function runJob(type, params = {}) {
+  const handler = JOB_HANDLERS[type];
+  if (!handler) {
+    throw new Error(`Unknown job type "${type}". Supported: ${Object.keys(JOB_HANDLERS).join(', ')}`);
+  }
+  return handler(params);
+}
+
+// CLI handler
+if (require.main === module) {
+  const type = process.env.JOB_TYPE;
+  const params = process.env.JOB_PARAMS ? JSON.parse(process.env.JOB_PARAMS) : {};
+
+  runJob(type, params)
+    .then(result => {
+      console.log(`✅ ${type} job completed`);
+      if (!process.send) process.exit(0);
+      // Exit once the result has reached the worker
+      process.send({ type: 'job-result', result: result === undefined ? null : result }, () => process.exit(0));
+    })
+    .catch(err => {
+      console.error(`❌ ${type} job failed:`, err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { runJob, JOB_HANDLERS };
@@ -1,27 +1,68 @@
 'use strict';
 
 require('dotenv').config();
-const { scrapeAllSources } = require('../lib/multiSiteScraper');
-const { initSchema, saveArticles } = require('../lib/db-multi');
+const { EventEmitter } = require('events');
+const { scrapeAllSources, NEWS_SOURCES } = require('../lib/multiSiteScraper');
+const {
+  initSchema,
+  upsertArticle,
+  getArticleFetchState,
+  markArticlesChecked,
+  saveScrapeRun,
+  getScrapeRunHistory
+} = require('../lib/repository');
+const { createRunRecorder, assessHealth, TRAILING_RUNS } = require('../lib/scrapeRuns');
+const { runImagePipeline } = require('./process-images');
+const { runRelatedRefresh } = require('./refresh-related');
 
+const PROGRESS_EVENTS = ['discovered', 'fetched', 'extracted', 'saved', 'unchanged', 'failed', 'source:done'];
+
+// Pass options.events (an EventEmitter) to observe scrape progress; see scrapeAllSources. Progress
+// and the run summary go to options.log (default console).
 async function runScrape(options = {}) {
+  const log = options.log || console;
   try {
     // Initialize database schema
-    await initSchema();
-    console.log('✅ Database schema initialized');
-    
-    // Scrape all configured sources
-    const articles = await scrapeAllSources(options);
-    console.log(`📰 Scraped ${articles.length} articles from all sources`);
+    await initSchema({ log });
+    log.log('✅ Database schema initialized');
+
+    const events = options.events || new EventEmitter();
+    let saved = 0;
+    events.on('saved', () => { saved++; });
+    const recorder = createRunRecorder(events);
     
-    // Save to database
-    const savedRows = await saveArticles(articles);
-    console.log(`💾 Saved ${savedRows.length} articles to database`);
+    // Scrape all configured sources, saving each new or updated article as soon as it is extracted
+    // and skipping articles that haven't changed since the last run
+    const { summary } = await scrapeAllSources({
+      ...options,
+      events,
+      lookupState: getArticleFetchState,
+      save: upsertArticle,
+      markChecked: state => markArticlesChecked([state]),
+      log
+    });
+
+    const scraped = Object.values(summary).reduce((sum, counts) => sum + counts.new + counts.updated, 0);
+    const unchanged = Object.values(summary).reduce((sum, counts) => sum + counts.unchanged, 0);
+    log.log(`📰 Scraped ${scraped} new or updated articles from all sources`);
+    log.log(`💾 Saved ${saved} articles to database (${unchanged} unchanged)`);
+
+    log.log('📊 Run summary:');
+    log.table(summary);
+
+    const health = await recordRuns(recorder);
+    const images = options.images === false ? null : await storeImages(log);
+    const related = options.related === false || saved === 0 ? null : await refreshRelated(log);
     
     return {
-      scraped: articles.length,
-      saved: savedRows.length,
-      sources: options.sources || ['newyorker']
+      runId: recorder.runId,
+      scraped,
+      saved,
+      sources: Object.keys(summary),
+      summary,
+      health,
+      images,
+      related
     };
     
   } catch (err) {
@@ -30,12 +71,84 @@ async function runScrape(options = {}) {
   }
 }
 
+// Stores each source's run in scrape_runs, flagging sources whose yield or body-extraction rate
+// dropped sharply against their own recent history
+async function recordRuns(recorder) {
+  const health = {};
+
+  for (const run of recorder.runs()) {
+    const history = await getScrapeRunHistory(run.source, TRAILING_RUNS);
+    const { degraded, reasons } = assessHealth(run, history);
+    await saveScrapeRun({ ...run, degraded, reasons });
+
+    health[run.source] = { degraded, reasons };
+    if (degraded) {
+      console.warn(`⚠️  ${run.source} looks degraded: ${reasons.join('; ')}`);
+    }
+  }
+
+  return health;
+}
+
+// Stores lead images for the articles just saved (and retries earlier failures), newest first in
+// the pipeline's usual batch; what doesn't fit waits for the next run. A broken image host shouldn't
+// fail the scrape, so errors are only logged.
+async function storeImages(log) {
+  try {
+    return await runImagePipeline({ log });
+  } catch (err) {
+    console.error('❌ Image processing failed:', err.message);
+    return null;
+  }
+}
+
+// Recomputes related articles now that there are new ones to compare. Like images, a failure here
+// doesn't fail the scrape.
+async function refreshRelated(log) {
+  try {
+    return await runRelatedRefresh({ log });
+  } catch (err) {
+    console.error('❌ Related articles refresh failed:', err.message);
+    return null;
+  }
+}
+
+// Logs progress to log (default console), and forwards it to the parent process when started with
+// an IPC channel (the job worker does this to show live progress in the dashboard)
+function reportProgress(events, log = console) {
+  events.on('discovered', ({ source, count, total }) => {
+    log.log(`🔎 ${source}: ${count} articles queued (${total} discovered)`);
+  });
+  events.on('saved', ({ source, url, status }) => {
+    log.log(`💾 ${source}: ${status} ${url}`);
+  });
+
+  if (process.send) {
+    for (const event of PROGRESS_EVENTS) {
+      events.on(event, data => process.send({ type: 'scrape-progress', event, data }));
+    }
+  }
+}
+
+// runScrape options from LIMIT, SOURCES, INCREMENTAL, CONCURRENCY, IMAGES and RELATED. Without
+// SOURCES every configured source is scraped, as with the CLI.
+function scrapeOptionsFromEnv(env = process.env) {
+  return {
+    limit: env.LIMIT ? parseInt(env.LIMIT, 10) || 50 : 50,
+    sources: env.SOURCES ? env.SOURCES.split(',').map(source => source.trim()).filter(Boolean) : Object.keys(NEWS_SOURCES),
+    incremental: env.INCREMENTAL !== 'false',
+    concurrency: env.CONCURRENCY ? parseInt(env.CONCURRENCY, 10) || 6 : 6,
+    images: env.IMAGES !== 'false',
+    related: env.RELATED !== 'false'
+  };
+}
+
 // CLI handler
 if (require.main === module) {
-  const limit = process.env.LIMIT ? parseInt(process.env.LIMIT, 10) || 50 : 50;
-  const sources = process.env.SOURCES ? process.env.SOURCES.split(',') : ['newyorker'];
+  const events = new EventEmitter();
+  reportProgress(events);
   
-  runScrape({ limit, sources })
+  runScrape({ ...scrapeOptionsFromEnv(), events })
     .then(result => {
       console.log('✅ Scrape completed:', JSON.stringify(result, null, 2));
       process.exit(0);
@@ -46,4 +159,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { runScrape };
+module.exports = { runScrape, scrapeOptionsFromEnv, reportProgress, PROGRESS_EVENTS };
@@ -0,0 +1,662 @@
+#!/usr/bin/env node
+'use strict';
+
+// One entrypoint for scraping, AI processing and inspecting the database:
+//   node cli.js <command> [options]      (or: npm run cli -- <command> [options])
+// `node cli.js --help` lists the commands, `node cli.js <command> --help` their options.
+// Exit codes: 0 success, 1 failure, 2 usage error.
+
+// Modules loaded later call dotenv again; keep it from printing into the command's output
+process.env.DOTENV_CONFIG_QUIET = process.env.DOTENV_CONFIG_QUIET || 'true';
+require('dotenv').config();
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { parseArgs } = require('util');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// Every option any command accepts; each command picks its own and describes them in `options`
+const OPTION_TYPES = {
+  source: { type: 'string', short: 's', multiple: true, arg: '<key>' },
+  limit: { type: 'string', short: 'n', arg: '<n>' },
+  since: { type: 'string', arg: '<date>' },
+  from: { type: 'string', arg: '<date>' },
+  to: { type: 'string', arg: '<date>' },
+  output: { type: 'string', short: 'o', arg: '<file>' },
+  'batch-size': { type: 'string', arg: '<n>' },
+  pause: { type: 'string', arg: '<seconds>' },
+  restart: { type: 'boolean' },
+  target: { type: 'string', arg: '<version>' },
+  steps: { type: 'string', arg: '<n>' },
+  'dry-run': { type: 'boolean' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const SINCE_HELP = 'Only articles dated on or after this (ISO date, or an age like 12h, 7d, 2w)';
+
+const COMMANDS = {
+  scrape: {
+    description: 'Scrape sources and save new or updated articles',
+    options: {
+      source: 'Scrape only this source (repeatable). Default: SOURCES, or every configured source',
+      limit: 'Newest sitemap/feed entries per source (default: LIMIT or 50)',
+      since: SINCE_HELP,
+      'dry-run': 'List the articles that would be fetched, without fetching them',
+      json: 'Print the result as JSON'
+    },
+    run: scrape,
+    print: printScrape
+  },
+  backfill: {
+    description: 'Scrape the archived articles of a date range, resuming from the last checkpoint',
+    options: {
+      source: 'Source to backfill (required; repeatable, run one after another)',
+      from: 'First day of the range (required; ISO date)',
+      to: 'Last day of the range (default: that of an unfinished run from the same day, else today)',
+      limit: 'Stop after this many articles per source; run again to continue',
+      'batch-size': 'Articles per batch (default 25)',
+      pause: 'Seconds to wait between batches (default 5)',
+      restart: 'Ignore the saved checkpoint and start the range over',
+      'dry-run': 'Count the articles in range without scraping them',
+      json: 'Print the result as JSON'
+    },
+    run: backfill,
+    print: printBackfill,
+    // Sitemaps that couldn't be read are retried by the next run
+    failed: results => results.some(result => result.failedSitemaps.length > 0)
+  },
+  analyze: {
+    description: 'Run the AI analysis on readable articles that have none yet',
+    options: {
+      source: 'Only articles from this source (repeatable)',
+      limit: 'Articles to analyze (default 20)',
+      since: `${SINCE_HELP} (default 24h)`,
+      'dry-run': 'List the articles that would be analyzed',
+      json: 'Print the analyses as JSON'
+    },
+    run: analyze,
+    print: printAnalyze
+  },
+  edition: {
+    description: 'Select the top recent articles and generate the daily edition',
+    options: {
+      limit: 'Recent articles to choose from (default 50)',
+      'dry-run': 'Generate the edition without storing it',
+      json: 'Print the edition as JSON'
+    },
+    run: edition,
+    print: printEdition
+  },
+  'articles list': {
+    description: 'List stored articles, newest first',
+    options: {
+      source: 'Only articles from this source (repeatable)',
+      limit: 'Articles to list (default 20)',
+      since: SINCE_HELP,
+      json: 'Print the articles as JSON'
+    },
+    run: listCommand,
+    print: printArticles
+  },
+  'articles show': {
+    args: '<id>',
+    description: 'Show one article with its body',
+    options: {
+      json: 'Print the stored row as JSON'
+    },
+    run: showCommand,
+    print: printArticle
+  },
+  cleanup: {
+    description: 'Apply the retention policy: trash expired articles, archive and purge old trash',
+    options: {
+      'dry-run': 'Show what would be trashed and purged without changing anything',
+      json: 'Print the result as JSON'
+    },
+    run: cleanupCommand,
+    print: printCleanup
+  },
+  export: {
+    description: 'Export articles with their bodies as JSON',
+    options: {
+      source: 'Only articles from this source (repeatable)',
+      limit: 'Maximum number of articles (default: all)',
+      since: SINCE_HELP,
+      output: 'Write to this file instead of stdout'
+    },
+    run: exportCommand
+  },
+  'db migrate': {
+    description: 'Apply pending schema migrations',
+    options: {
+      target: 'Stop after this migration version',
+      'dry-run': 'List the pending migrations without applying them',
+      json: 'Print the migrations as JSON'
+    },
+    run: migrateCommand,
+    print: migrations => printMigrations(migrations, 'Applied')
+  },
+  'db rollback': {
+    description: 'Revert the most recently applied schema migrations',
+    options: {
+      steps: 'Migrations to revert (default 1)',
+      target: 'Revert every migration above this version (0 reverts all)',
+      'dry-run': 'List the migrations that would be reverted',
+      json: 'Print the migrations as JSON'
+    },
+    run: rollbackCommand,
+    print: migrations => printMigrations(migrations, 'Rolled back')
+  },
+  'db status': {
+    description: 'Show which schema migrations are applied',
+    options: {
+      json: 'Print the status as JSON'
+    },
+    run: statusCommand,
+    print: printMigrationStatus,
+    // Pending migrations mean the code expects a schema the database doesn't have yet
+    failed: status => status.some(migration => !migration.applied)
+  }
+};
+
+function usageError(message) {
+  const err = new Error(message);
+  err.code = 'USAGE';
+  return err;
+}
+
+// --- option values ---
+
+function parsePositiveInteger(value, option = '--limit') {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw usageError(`${option} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+function parseVersion(value) {
+  if (value === undefined) return undefined;
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 0) {
+    throw usageError(`--target must be a migration version, got "${value}"`);
+  }
+  return version;
+}
+
+function parseSeconds(value, option) {
+  if (value === undefined) return undefined;
+  const seconds = Number(value);
+  if (value.trim() === '' || !Number.isFinite(seconds) || seconds < 0) {
+    throw usageError(`${option} must be a number of seconds, got "${value}"`);
+  }
+  return seconds;
+}
+
+const AGE_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// "2025-11-01", "2025-11-01T08:00:00Z" or an age such as "36h" or "7d"
+function parseDate(value, now = new Date(), option = '--since') {
+  if (value === undefined) return undefined;
+
+  const age = /^(\d+)([mhdw])$/.exec(value);
+  if (age) return new Date(now.getTime() - Number(age[1]) * AGE_UNITS[age[2]]);
+
+  const date = /^\d{4}-\d{2}-\d{2}/.test(value) ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw usageError(`${option} must be an ISO date or an age like 24h or 7d, got "${value}"`);
+  }
+  return date;
+}
+
+// Backfill ranges take ISO dates only: a range given as an age would move every day, and a rerun
+// would no longer find the checkpoint of the run it continues
+function parseDay(value, option) {
+  if (value !== undefined && !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    throw usageError(`${option} must be an ISO date, got "${value}"`);
+  }
+  return parseDate(value, undefined, option);
+}
+
+function parseSources(values) {
+  if (!values) return undefined;
+  const { NEWS_SOURCES } = require('./lib/multiSiteScraper');
+
+  const sources = values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+  const unknown = sources.filter(source => !NEWS_SOURCES[source]);
+  if (unknown.length > 0) {
+    throw usageError(`Unknown source "${unknown[0]}". Known sources: ${Object.keys(NEWS_SOURCES).join(', ')}`);
+  }
+  return sources;
+}
+
+// --- commands ---
+
+async function scrape({ flags, log }) {
+  const { runScrape, scrapeOptionsFromEnv, reportProgress } = require('./api/scrape-all');
+  const { scrapeAllSources } = require('./lib/multiSiteScraper');
+
+  const options = {
+    ...scrapeOptionsFromEnv(),
+    sources: flags.source || parseSources(process.env.SOURCES ? [process.env.SOURCES] : undefined)
+  };
+  if (flags.limit) options.limit = flags.limit;
+  if (flags.since) options.since = flags.since;
+
+  if (flags['dry-run']) {
+    const { planned, summary } = await scrapeAllSources({ ...options, dryRun: true, log });
+    return {
+      dryRun: true,
+      sources: Object.keys(summary),
+      articles: planned.map(entry => ({
+        source: entry.source,
+        url: entry.loc,
+        date: entry.lastmod || entry.publishedAt || null
+      }))
+    };
+  }
+
+  const events = new EventEmitter();
+  reportProgress(events, log);
+  return runScrape({ ...options, events, log });
+}
+
+function printScrape(result) {
+  if (!result.dryRun) return;
+  for (const article of result.articles) {
+    console.log(`${article.source.padEnd(14)} ${formatDate(article.date).padEnd(10)} ${article.url}`);
+  }
+  console.log(`🧪 Dry run: ${result.articles.length} articles would be fetched from ${result.sources.join(', ') || 'no sources'}`);
+}
+
+async function backfill({ flags, log }) {
+  if (!flags.source) throw usageError('--source is required');
+  if (!flags.from) throw usageError('--from is required');
+  if (flags.to && flags.from > flags.to) throw usageError('--from must not be after --to');
+
+  const { runBackfill } = require('./lib/backfill');
+  const { scrapeOptionsFromEnv, reportProgress } = require('./api/scrape-all');
+  const db = require('./lib/repository');
+
+  const dryRun = Boolean(flags['dry-run']);
+  if (!dryRun) await db.initSchema({ log });
+
+  const events = new EventEmitter();
+  reportProgress(events, log);
+
+  const results = [];
+  for (const source of flags.source) {
+    results.push(await runBackfill({
+      source,
+      from: flags.from,
+      to: flags.to,
+      limit: flags.limit,
+      batchSize: flags['batch-size'],
+      pauseMs: flags.pause === undefined ? undefined : flags.pause * 1000,
+      restart: flags.restart,
+      dryRun,
+      concurrency: scrapeOptionsFromEnv().concurrency,
+      events,
+      log,
+      // A dry run only reads sitemaps, so it doesn't need the database
+      checkpoints: dryRun ? null : { load: db.getBackfillCheckpoint, save: db.saveBackfillCheckpoint, findOpen: db.findOpenBackfillCheckpoint },
+      lookupState: db.getArticleFetchState,
+      save: db.upsertArticle,
+      markChecked: state => db.markArticlesChecked([state])
+    }));
+  }
+
+  return results;
+}
+
+function printBackfill(results) {
+  for (const result of results) {
+    const { counts } = result;
+    const status = result.dryRun
+      ? `${counts.discovered} articles to scrape`
+      : `${counts.new} new, ${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.failed} failed`;
+    const progress = result.finished ? '✅ complete' : '⏸️  incomplete, run again to continue';
+
+    console.log(`📚 ${result.source} ${result.from} → ${result.to}: ${result.completedSitemaps}/${result.sitemaps} sitemaps, ${status}` +
+      (result.dryRun ? '' : ` (${progress})`));
+  }
+}
+
+async function analyze({ flags, log }) {
+  const { listArticles, saveArticleAnalysis } = require('./lib/repository');
+
+  const articles = await listArticles({
+    sources: flags.source,
+    since: flags.since || parseDate('24h'),
+    readableOnly: true,
+    unanalyzedOnly: true,
+    withBody: true,
+    limit: flags.limit || 20
+  });
+
+  if (flags['dry-run']) {
+    return { dryRun: true, articles: articles.map(({ body_text: bodyText, ...article }) => article) };
+  }
+
+  // Loaded only now: the processor needs OPENAI_API_KEY as soon as it is required
+  const { ContentProcessor } = require('./ai/contentProcessor');
+  const processor = new ContentProcessor();
+  const analyses = [];
+
+  for (const article of articles) {
+    const analysis = await processor.analyzeArticleContent(article);
+    if (!analysis) continue;
+    await saveArticleAnalysis(analysis);
+    analyses.push({ ...analysis, title: article.title });
+    log.log(`🧠 #${article.id} ${analysis.category} (quality ${analysis.qualityScore}): ${article.title}`);
+  }
+
+  if (articles.length > 0 && analyses.length === 0) {
+    throw new Error(`None of the ${articles.length} articles could be analyzed`);
+  }
+
+  return { analyzed: analyses.length, failed: articles.length - analyses.length, analyses };
+}
+
+function printAnalyze(result) {
+  if (result.dryRun) {
+    printArticles(result.articles);
+    console.log(`🧪 Dry run: ${result.articles.length} articles would be analyzed`);
+    return;
+  }
+  console.log(`✅ Analyzed ${result.analyzed} articles${result.failed ? ` (${result.failed} failed)` : ''}`);
+}
+
+async function edition({ flags, log }) {
+  const { runSelectionAndGeneration } = require('./ai/select-and-generate');
+  return runSelectionAndGeneration({ limit: flags.limit || 50, dryRun: flags['dry-run'], log });
+}
+
+function printEdition(result) {
+  console.log(`\n📰 ${result.headline}\n`);
+  result.articles.forEach((article, index) => {
+    console.log(`${index + 1}. ${article.title} (${article.source_name})`);
+  });
+}
+
+async function listCommand({ flags }) {
+  const { listArticles } = require('./lib/repository');
+  return listArticles({ sources: flags.source, since: flags.since, limit: flags.limit || 20 });
+}
+
+function printArticles(articles) {
+  if (articles.length === 0) {
+    console.log('No articles found.');
+    return;
+  }
+
+  for (const article of articles) {
+    const access = `${article.body_available ? '✅' : '❌'} ${article.access_status || 'unknown'}`;
+    console.log(`#${article.id}  ${formatDate(article.published_at)}  [${article.source}]  ${article.title || 'No Title'}`);
+    console.log(`    ${access}  ${article.url}`);
+  }
+}
+
+async function showCommand({ flags, args }) {
+  const { getArticle } = require('./lib/repository');
+
+  const id = Number(args[0]);
+  if (!Number.isInteger(id) || id < 1) {
+    throw usageError(args[0] === undefined ? 'Missing article <id>' : `Invalid article id "${args[0]}"`);
+  }
+
+  const article = await getArticle(id);
+  if (!article) {
+    const err = new Error(`Article ${id} not found`);
+    err.status = 404;
+    throw err;
+  }
+  return article;
+}
+
+function printArticle(article) {
+  const lines = [
+    article.title || 'No Title',
+    `URL: ${article.url}`,
+    `Source: ${article.source_name} (${article.source})`,
+    `Published: ${formatDate(article.published_at)}  Scraped: ${new Date(article.scraped_at).toLocaleString()}`,
+    `Authors: ${(article.authors || []).join(', ') || 'Unknown'}${article.section ? `  Section: ${article.section}` : ''}`,
+    `Access: ${article.body_available ? '✅' : '❌'} ${article.access_status || 'unknown'}${article.access_reason ? ` (${article.access_reason})` : ''}`
+  ];
+  if (article.processed_at) {
+    lines.push(`Analysis: ${article.category}, quality ${article.quality_score}, relevance ${article.relevance_score}`);
+  }
+  if (article.description) lines.push('', article.description);
+  if (article.body_text) lines.push('', article.body_text);
+
+  console.log(lines.join('\n'));
+}
+
+async function exportCommand({ flags, log }) {
+  const { listArticles } = require('./lib/repository');
+
+  const articles = await listArticles({
+    sources: flags.source,
+    since: flags.since,
+    withBody: true,
+    limit: flags.limit || null
+  });
+
+  const exported = { exported_at: new Date().toISOString(), total_articles: articles.length, articles };
+
+  if (!flags.output) return exported;
+
+  fs.writeFileSync(flags.output, `${JSON.stringify(exported, null, 2)}\n`);
+  log.log(`📦 Exported ${articles.length} articles to ${flags.output}`);
+  return undefined;
+}
+
+async function cleanupCommand({ flags, log }) {
+  const { runCleanup } = require('./lib/retention');
+  const { createBlobStore, createArchiveStore } = require('./lib/blobStore');
+  const db = require('./lib/repository');
+
+  const dryRun = Boolean(flags['dry-run']);
+  if (!dryRun) await db.initSchema({ log });
+  return runCleanup({
+    db,
+    store: createBlobStore(process.env, { pool: db.pool }),
+    archiveStore: createArchiveStore(process.env, { pool: db.pool }),
+    dryRun,
+    log
+  });
+}
+
+function printCleanup(result) {
+  if (!result.dryRun) return;
+  for (const article of result.trash.articles) {
+    console.log(`#${article.id}  ${String(article.age_days).padStart(4)}d  [${article.source}]  ${article.rule}: ${article.title || 'No Title'}`);
+  }
+  const counts = Object.entries(result.trash.byRule).map(([rule, count]) => `${rule} ${count}`).join(', ');
+  console.log(`🧪 Dry run (${result.policy}): ${result.trash.total} articles would move to the trash${counts ? ` (${counts})` : ''}, ` +
+    `${result.purge.total} would be archived and purged from it`);
+}
+
+function migrationPool() {
+  const { pool } = require('./lib/repository');
+  if (!pool) throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+  return pool;
+}
+
+async function migrateCommand({ flags, log }) {
+  const { migrate } = require('./lib/migrator');
+  const applied = await migrate(migrationPool(), { target: flags.target, dryRun: flags['dry-run'], log });
+  return { dryRun: Boolean(flags['dry-run']), migrations: applied };
+}
+
+async function rollbackCommand({ flags, log }) {
+  if (flags.steps && flags.target !== undefined) throw usageError('Pass either --steps or --target, not both');
+
+  const { rollback } = require('./lib/migrator');
+  const reverted = await rollback(migrationPool(), { steps: flags.steps, target: flags.target, dryRun: flags['dry-run'], log });
+  return { dryRun: Boolean(flags['dry-run']), migrations: reverted };
+}
+
+async function statusCommand() {
+  const { migrationStatus } = require('./lib/migrator');
+  return migrationStatus(migrationPool());
+}
+
+function printMigrations({ dryRun, migrations }, action) {
+  if (migrations.length === 0) {
+    console.log(action === 'Applied' ? '✅ Database schema is up to date' : 'No migrations to roll back.');
+    return;
+  }
+  if (dryRun) {
+    console.log(`🧪 Dry run: would be ${action.toLowerCase()}:`);
+    for (const migration of migrations) console.log(`   ${migration.version} ${migration.name}`);
+    return;
+  }
+  console.log(`✅ ${action} ${migrations.length} migration${migrations.length === 1 ? '' : 's'}`);
+}
+
+function printMigrationStatus(status) {
+  for (const migration of status) {
+    const state = migration.applied ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+    console.log(`${migration.applied ? '✅' : '⏳'} ${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(28)} ${state}${migration.missing ? ' (file missing)' : ''}`);
+  }
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : 'undated';
+}
+
+// --- help and dispatch ---
+
+function commandHelp(name) {
+  const command = COMMANDS[name];
+  const options = { ...command.options, help: 'Show this help' };
+  const rows = Object.entries(options).map(([option, text]) => {
+    const { short, arg } = OPTION_TYPES[option];
+    const flag = `${short ? `-${short}, ` : '    '}--${option}${arg ? ` ${arg}` : ''}`;
+    return `  ${flag.padEnd(24)} ${text}`;
+  });
+
+  return [
+    `Usage: node cli.js ${name}${command.args ? ` ${command.args}` : ''} [options]`,
+    '',
+    command.description,
+    '',
+    'Options:',
+    ...rows
+  ].join('\n');
+}
+
+function mainHelp() {
+  return [
+    'Usage: node cli.js <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(16)} ${command.description}`),
+    '',
+    'Run "node cli.js <command> --help" for the options of a command.',
+    'Exit codes: 0 success, 1 failure, 2 usage error.'
+  ].join('\n');
+}
+
+// Resolves "scrape" or "articles list" from the leading arguments
+function findCommand(argv) {
+  const [first, second] = argv;
+  if (COMMANDS[`${first} ${second}`]) return { name: `${first} ${second}`, rest: argv.slice(2) };
+  if (COMMANDS[first]) return { name: first, rest: argv.slice(1) };
+
+  const group = Object.keys(COMMANDS).filter(name => name.startsWith(`${first} `));
+  if (group.length > 0) {
+    throw usageError(`"${first}" needs a subcommand: ${group.map(name => name.split(' ')[1]).join(', ')}`);
+  }
+  throw usageError(`Unknown command "${first}"`);
+}
+
+function parseCommandArgs(name, argv) {
+  const command = COMMANDS[name];
+  const options = {};
+  for (const option of [...Object.keys(command.options), 'help']) {
+    const { type, short, multiple } = OPTION_TYPES[option];
+    options[option] = { type, ...(short && { short }), ...(multiple && { multiple }) };
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options, allowPositionals: Boolean(command.args) });
+  } catch (err) {
+    throw usageError(err.message);
+  }
+
+  const flags = parsed.values;
+  flags.limit = parsePositiveInteger(flags.limit);
+  flags['batch-size'] = parsePositiveInteger(flags['batch-size'], '--batch-size');
+  flags.pause = parseSeconds(flags.pause, '--pause');
+  flags.steps = parsePositiveInteger(flags.steps, '--steps');
+  flags.target = parseVersion(flags.target);
+  flags.since = parseDate(flags.since);
+  flags.from = parseDay(flags.from, '--from');
+  flags.to = parseDay(flags.to, '--to');
+  flags.source = parseSources(flags.source);
+  return { flags, args: parsed.positionals };
+}
+
+// Exits once everything written to stdout has been flushed (large exports go through a pipe)
+function exit(code, output) {
+  if (output === undefined) process.exit(code);
+  process.stdout.write(`${output}\n`, () => process.exit(code));
+}
+
+async function main(argv) {
+  if (argv.length === 0 || argv[0] === '--help' || argv[0] === '-h') {
+    console.log(mainHelp());
+    return exit(argv.length === 0 ? EXIT_USAGE : EXIT_OK);
+  }
+
+  let name;
+  let parsed;
+  try {
+    const found = findCommand(argv);
+    name = found.name;
+    parsed = parseCommandArgs(name, found.rest);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    console.error(name ? `Run "node cli.js ${name} --help" for usage.` : 'Run "node cli.js --help" for usage.');
+    return exit(EXIT_USAGE);
+  }
+
+  const command = COMMANDS[name];
+  if (parsed.flags.help) {
+    console.log(commandHelp(name));
+    return exit(EXIT_OK);
+  }
+
+  // JSON on stdout must not be mixed with progress logs: commands log through `log`, which writes
+  // to stderr instead
+  const jsonOutput = parsed.flags.json || (name === 'export' && !parsed.flags.output);
+  const log = jsonOutput ? new console.Console({ stdout: process.stderr, stderr: process.stderr }) : console;
+
+  try {
+    const result = await command.run({ ...parsed, log });
+    const code = command.failed && command.failed(result) ? EXIT_FAILURE : EXIT_OK;
+    if (jsonOutput) return exit(code, JSON.stringify(result === undefined ? null : result, null, 2));
+    if (command.print && result !== undefined) command.print(result);
+    return exit(code);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    if (err.code === 'USAGE') {
+      console.error(`Run "node cli.js ${name} --help" for usage.`);
+      return exit(EXIT_USAGE);
+    }
+    return exit(EXIT_FAILURE);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = { COMMANDS, parseDate, findCommand, parseCommandArgs };
@@ -2,106 +2,142 @@
 
 require('dotenv').config();
 const express = require('express');
-const { Pool } = require('pg');
 const path = require('path');
+const { ACCESS_STATUSES, READABLE_STATUSES } = require('./lib/accessClassifier');
+const { nextScheduledRun, TRAILING_RUNS, DEFAULT_SCHEDULE_HOURS } = require('./lib/scrapeRuns');
+const { createBlobStore, createArchiveStore } = require('./lib/blobStore');
+const db = require('./lib/repository');
+const { parseSearchQuery, hasSearchTerms } = require('./lib/searchQuery');
+const { RELATED_LIMIT } = require('./lib/relatedArticles');
+const { runCleanup, purgeWithArchive } = require('./lib/retention');
+const { createJobWorker, JOB_TYPES } = require('./lib/jobWorker');
 
 const app = express();
 const PORT = 3000;
 
-// Database connection
-const connectionString = process.env.DATABASE_URL || process.env.POSTGRES_URL;
-
-if (!connectionString) {
-  console.error('DATABASE_URL or POSTGRES_URL is not set');
+if (db.storage === 'postgres' && !db.pool) {
+  console.error('DATABASE_URL or POSTGRES_URL is not set (or set STORAGE=file to run without Postgres)');
   process.exit(1);
 }
 
-const pool = new Pool({ connectionString });
+// Where the image pipeline stored resized lead images
+const mediaStore = createBlobStore(process.env, { pool: db.pool });
+// Where cleanups write the articles they purge
+const archiveStore = createArchiveStore(process.env, { pool: db.pool });
+
+// UTC hours of the scheduled scrape, e.g. "0,6,12,18"
+const SCRAPE_SCHEDULE_HOURS = process.env.SCRAPE_SCHEDULE_HOURS
+  ? process.env.SCRAPE_SCHEDULE_HOURS.split(',').map(Number).filter(Number.isInteger)
+  : DEFAULT_SCHEDULE_HOURS;
+
+// Directories under the served one that are never public: the file store and cleanup archives
+// (data/ by default), which hold paywalled article bodies
+const PRIVATE_DIRS = [path.resolve('data'), process.env.STORAGE_DIR, process.env.ARCHIVE_DIR]
+  .filter(Boolean)
+  .map(dir => path.resolve(dir).toLowerCase());
+
+// Compares the file a request resolves to, so encoded or doubled slashes can't get around it
+function refusePrivateFiles(req, res, next) {
+  let file;
+  try {
+    file = path.resolve(`.${decodeURIComponent(req.path)}`).toLowerCase();
+  } catch (err) {
+    return next();
+  }
+  if (PRIVATE_DIRS.some(dir => file === dir || file.startsWith(dir + path.sep))) {
+    return res.status(404).end();
+  }
+  return next();
+}
 
 // Middleware
 app.use(express.json());
+app.use(refusePrivateFiles);
 app.use(express.static('.'));
 
 // Test endpoint for debugging
 app.get('/api/test', async (req, res) => {
   try {
     console.log('Testing database connection...');
-    const { rows } = await pool.query('SELECT COUNT(*) as count FROM articles');
-    console.log('Database test result:', rows);
-    res.json({ success: true, count: rows[0].count });
+    const { total } = await db.getArticleStats();
+    console.log('Database test result:', total);
+    res.json({ success: true, count: total });
   } catch (err) {
     console.error('Database test error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Resized lead images from the image pipeline: /media/<media id>/<thumb|medium|large>
+app.get('/media/:id/:size', async (req, res) => {
+  try {
+    const { id, size } = req.params;
+    if (!/^\d+$/.test(id)) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const media = await db.getReadyMedia(id);
+    const variant = media && media.variants ? media.variants[size] : null;
+    if (!variant) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const blob = await mediaStore.get(variant.key);
+    if (!blob) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    // The variant is re-generated under the same URL when the article's image changes
+    res.set({
+      'Content-Type': variant.contentType || blob.contentType,
+      'Cache-Control': 'public, max-age=86400',
+      ETag: `"${media.content_hash}-${size}"`
+    });
+    res.send(blob.body);
+  } catch (err) {
+    console.error('Error serving image:', err);
+    res.status(500).json({ error: 'Failed to serve image' });
+  }
+});
+
 // API Routes
 app.get('/api/articles', async (req, res) => {
   try {
-    const { page = 1, limit = 10, search = '', withBody = '' } = req.query;
+    const { page = 1, limit = 10, search = '', withBody = '', access = '', collapseDuplicates = '' } = req.query;
     const offset = (page - 1) * limit;
-    
-    let whereClause = 'WHERE 1=1';
-    let queryParams = [];
-    let paramIndex = 1;
-    
-    if (search) {
-      whereClause += ` AND (title ILIKE $${paramIndex} OR description ILIKE $${paramIndex})`;
-      queryParams.push(`%${search}%`);
-      paramIndex++;
-    }
-    
-    if (withBody === 'true') {
-      whereClause += ` AND body_available = true`;
+
+    // access=readable|<status>; withBody=true|false is kept for older callers
+    let accessFilter = null;
+    if (access === 'readable' || withBody === 'true') {
+      accessFilter = 'readable';
     } else if (withBody === 'false') {
-      whereClause += ` AND body_available = false`;
+      accessFilter = 'unreadable';
+    } else if (ACCESS_STATUSES.includes(access)) {
+      accessFilter = access;
     }
-    
-    const query = `
-      SELECT 
-        id,
-        title,
-        description,
-        image_url,
-        body_available,
-        published_at,
-        scraped_at,
-        url
-      FROM articles 
-      ${whereClause}
-      ORDER BY published_at DESC, scraped_at DESC
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
-    `;
-    
-    queryParams.push(parseInt(limit), parseInt(offset));
-    
-    console.log('=== DEBUG INFO ===');
-    console.log('Page:', page, 'Limit:', limit, 'Offset:', offset);
-    console.log('Where Clause:', whereClause);
-    console.log('Query:', query);
-    console.log('Query Parameters:', queryParams);
-    console.log('Parameter types:', queryParams.map(p => typeof p));
-    console.log('==================');
-    
-    const { rows } = await pool.query(query, queryParams);
-    
-    // Get total count for pagination
-    const countQuery = `
-      SELECT COUNT(*) as total
-      FROM articles 
-      ${whereClause}
-    `;
-    
-    // For count query, only use WHERE clause parameters (exclude limit/offset)
-    const countParams = queryParams.slice(0, -2);
-    
-    console.log('Count Query:', countQuery);
-    console.log('Count Params:', countParams);
-    const { rows: countRows } = await pool.query(countQuery, countParams);
-    const total = parseInt(countRows[0].total);
-    
+
+    const options = {
+      access: accessFilter,
+      // Show one article per group of near-duplicates
+      collapseDuplicates: collapseDuplicates === 'true',
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    };
+
+    // A search lists the matches best first (see /api/search)
+    let articles;
+    let total;
+    if (search.trim()) {
+      if (!hasSearchTerms(parseSearchQuery(search))) {
+        return res.status(400).json({ error: SEARCH_TERMS_ERROR });
+      }
+      ({ results: articles, total } = await db.searchArticles({ ...options, query: search }));
+    } else {
+      ({ articles, total } = await db.listArticlePage(options));
+    }
+
     res.json({
-      articles: rows,
+      articles,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -116,22 +152,87 @@ app.get('/api/articles', async (req, res) => {
   }
 });
 
+const SEARCH_TERMS_ERROR = 'Search for at least one word that isn\'t excluded';
+
+// Most results /api/search returns per page
+const MAX_SEARCH_LIMIT = 100;
+
+function listParam(value) {
+  if (!value) return null;
+  const values = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  return values.length > 0 ? values : null;
+}
+
+// "2025-11-01" or a full ISO timestamp; a bare date as `to` includes that whole day (UTC)
+function searchDateParam(value, name) {
+  if (!value) return null;
+
+  const date = /^\d{4}-\d{2}-\d{2}/.test(value) ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    const err = new Error(`${name} must be an ISO date such as 2025-11-01, got "${value}"`);
+    err.status = 400;
+    throw err;
+  }
+  if (name === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date;
+}
+
+// Full-text search: q uses the search box syntax (lib/searchQuery.js); source and category take
+// comma-separated values; from/to bound the publication date. Facets count the matches by source,
+// category and day, each ignoring its own filter.
+app.get('/api/search', async (req, res) => {
+  try {
+    const { q = '', source, category, from, to, access = '', collapseDuplicates = '', page = 1, limit = 20 } = req.query;
+
+    if (!hasSearchTerms(parseSearchQuery(q))) {
+      return res.status(400).json({ error: q.trim() ? SEARCH_TERMS_ERROR : 'q is required' });
+    }
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(MAX_SEARCH_LIMIT, Math.max(1, parseInt(limit) || 20));
+
+    const { results, total, facets } = await db.searchArticles({
+      query: q,
+      sources: listParam(source),
+      category: listParam(category),
+      from: searchDateParam(from, 'from'),
+      to: searchDateParam(to, 'to'),
+      access: access === 'readable' || access === 'unreadable' || ACCESS_STATUSES.includes(access) ? access : null,
+      collapseDuplicates: collapseDuplicates === 'true',
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+      facets: true
+    });
+
+    res.json({
+      query: q,
+      results,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      },
+      facets
+    });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error searching articles:', err);
+    res.status(500).json({ error: 'Failed to search articles' });
+  }
+});
+
 app.get('/api/articles/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const query = `
-      SELECT * FROM articles 
-      WHERE id = $1
-    `;
-    
-    const { rows } = await pool.query(query, [id]);
-    
-    if (rows.length === 0) {
+    const article = await db.getArticle(req.params.id, { withMedia: true });
+
+    if (!article) {
       return res.status(404).json({ error: 'Article not found' });
     }
     
-    res.json(rows[0]);
+    res.json(article);
     
   } catch (err) {
     console.error('Error fetching article:', err);
@@ -139,38 +240,71 @@ app.get('/api/articles/:id', async (req, res) => {
   }
 });
 
-app.get('/api/stats', async (req, res) => {
+// Every stored version of an article, oldest first, with the diff from the previous one
+app.get('/api/articles/:id/revisions', async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        COUNT(*) as total,
-        COUNT(CASE WHEN body_available = true THEN 1 END) as with_body,
-        COUNT(CASE WHEN body_available = false THEN 1 END) as without_body
-      FROM articles
-    `;
-    
-    const { rows } = await pool.query(query);
-    res.json(rows[0]);
-    
+    const revisions = await db.getArticleRevisions(req.params.id, { withBody: req.query.withBody === 'true' });
+    res.json({ revisions, edited: revisions.length > 1 });
   } catch (err) {
-    console.error('Error fetching stats:', err);
-    res.status(500).json({ error: 'Failed to fetch stats' });
+    console.error('Error fetching revisions:', err);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
   }
 });
 
-// Admin API endpoints
-app.delete('/api/admin/articles/:id', async (req, res) => {
+// Other copies of the same story (syndicated or near-identical bodies), representative first
+app.get('/api/articles/:id/duplicates', async (req, res) => {
   try {
-    const { id } = req.params;
-    const query = 'DELETE FROM articles WHERE id = $1';
-    await pool.query(query, [id]);
-    res.json({ success: true });
+    const duplicates = await db.getArticleDuplicates(req.params.id);
+    res.json({ duplicates });
   } catch (err) {
-    console.error('Error deleting article:', err);
-    res.status(500).json({ error: 'Failed to delete article' });
+    console.error('Error fetching duplicates:', err);
+    res.status(500).json({ error: 'Failed to fetch duplicates' });
+  }
+});
+
+// Articles on the same topic from the last refresh (api/refresh-related.js), most similar first.
+// access=readable leaves out paywalled ones.
+app.get('/api/articles/:id/related', async (req, res) => {
+  try {
+    const limit = Math.min(RELATED_LIMIT, Math.max(1, parseInt(req.query.limit) || 5));
+    const related = await db.getRelatedArticles(req.params.id, {
+      limit,
+      access: req.query.access === 'readable' ? 'readable' : null
+    });
+    res.json({ related });
+  } catch (err) {
+    console.error('Error fetching related articles:', err);
+    res.status(500).json({ error: 'Failed to fetch related articles' });
+  }
+});
+
+app.get('/api/stats', async (req, res) => {
+  try {
+    const rows = await db.countArticlesByAccess();
+    const stats = { total: 0, with_body: 0, without_body: 0 };
+    for (const status of ACCESS_STATUSES) stats[status] = 0;
+
+    for (const { access_status: status, count } of rows) {
+      stats.total += count;
+      if (status) stats[status] = count;
+      if (READABLE_STATUSES.includes(status)) {
+        stats.with_body += count;
+      } else {
+        stats.without_body += count;
+      }
+    }
+
+    res.json(stats);
+    
+  } catch (err) {
+    console.error('Error fetching stats:', err);
+    res.status(500).json({ error: 'Failed to fetch stats' });
   }
 });
 
+// Admin API endpoints
+// Deleting moves articles to the trash (see /api/admin/trash); the bulk route comes first so
+// "delete" isn't taken for an id
 app.delete('/api/admin/articles/delete', async (req, res) => {
   try {
     const { ids } = req.body;
@@ -178,15 +312,25 @@ app.delete('/api/admin/articles/delete', async (req, res) => {
       return res.status(400).json({ error: 'Invalid article IDs' });
     }
     
-    const query = 'DELETE FROM articles WHERE id = ANY($1)';
-    await pool.query(query, [ids]);
-    res.json({ success: true, deleted: ids.length });
+    const trashed = await db.trashArticles(ids);
+    res.json({ success: true, trashed });
   } catch (err) {
     console.error('Error deleting articles:', err);
     res.status(500).json({ error: 'Failed to delete articles' });
   }
 });
 
+app.delete('/api/admin/articles/:id', async (req, res) => {
+  try {
+    const trashed = await db.trashArticles([req.params.id]);
+    if (trashed === 0) return res.status(404).json({ error: 'Article not found' });
+    res.json({ success: true, trashed });
+  } catch (err) {
+    console.error('Error deleting article:', err);
+    res.status(500).json({ error: 'Failed to delete article' });
+  }
+});
+
 app.post('/api/admin/articles/publish', async (req, res) => {
   try {
     const { ids } = req.body;
@@ -194,9 +338,8 @@ app.post('/api/admin/articles/publish', async (req, res) => {
       return res.status(400).json({ error: 'Invalid article IDs' });
     }
     
-    const query = 'UPDATE articles SET published = true WHERE id = ANY($1)';
-    await pool.query(query, [ids]);
-    res.json({ success: true, published: ids.length });
+    const published = await db.setArticlesPublished(ids, true);
+    res.json({ success: true, published });
   } catch (err) {
     console.error('Error publishing articles:', err);
     res.status(500).json({ error: 'Failed to publish articles' });
@@ -210,78 +353,120 @@ app.post('/api/admin/articles/unpublish', async (req, res) => {
       return res.status(400).json({ error: 'Invalid article IDs' });
     }
     
-    const query = 'UPDATE articles SET published = false WHERE id = ANY($1)';
-    await pool.query(query, [ids]);
-    res.json({ success: true, unpublished: ids.length });
+    const unpublished = await db.setArticlesPublished(ids, false);
+    res.json({ success: true, unpublished });
   } catch (err) {
     console.error('Error unpublishing articles:', err);
     res.status(500).json({ error: 'Failed to unpublish articles' });
   }
 });
 
-app.post('/api/admin/scrape', async (req, res) => {
+// Queues a job and answers 202 with it, or 409 with the job that is already queued or running
+async function respondWithEnqueuedJob(res, type, params, message) {
   try {
-    // Trigger manual scrape
-    const { spawn } = require('child_process');
-    // Set LIMIT=50 environment variable for the scrape process
-    // Use node directly instead of npm to avoid PATH issues
-    const scrapeProcess = spawn(process.execPath, ['api/scrape-all.js'], {
-      cwd: __dirname,
-      detached: true,
-      env: { ...process.env, LIMIT: '50' },
-      stdio: 'ignore'
-    });
-    
-    scrapeProcess.unref();
-    res.json({ success: true, message: 'Scraping started in background' });
+    const job = await db.enqueueJob(type, params);
+    res.status(202).json({ success: true, message, job });
   } catch (err) {
-    console.error('Error triggering scrape:', err);
-    res.status(500).json({ error: 'Failed to start scraping: ' + err.message });
+    if (err.code === 'JOB_ACTIVE') {
+      return res.status(409).json({ error: err.message, job: err.job });
+    }
+    console.error(`Error queueing ${type} job:`, err);
+    res.status(500).json({ error: `Failed to queue ${type} job: ${err.message}` });
   }
+}
+
+app.post('/api/admin/scrape', async (req, res) => {
+  await respondWithEnqueuedJob(res, 'scrape', { limit: 50 }, 'Scrape queued');
 });
 
 app.post('/api/admin/ai-process', async (req, res) => {
+  await respondWithEnqueuedJob(res, 'ai-generate', {}, 'AI processing queued');
+});
+
+// Background jobs (see lib/jobWorker.js)
+app.post('/api/admin/jobs', async (req, res) => {
+  const { type, params = {} } = req.body || {};
+  if (!JOB_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${JOB_TYPES.join(', ')}` });
+  }
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return res.status(400).json({ error: 'params must be an object' });
+  }
+  await respondWithEnqueuedJob(res, type, params, `${type} job queued`);
+});
+
+app.get('/api/admin/jobs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const jobs = await db.listJobs({ status: req.query.status || null, type: req.query.type || null, limit });
+    res.json({ jobs });
+  } catch (err) {
+    console.error('Error listing jobs:', err);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+app.get('/api/admin/jobs/:id', async (req, res) => {
   try {
-    // Trigger AI processing
-    const { spawn } = require('child_process');
-    const aiProcess = spawn(process.execPath, ['ai/select-and-generate.js'], {
-      cwd: __dirname,
-      detached: true,
-      stdio: 'ignore'
+    const job = await db.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ job });
+  } catch (err) {
+    console.error('Error getting job:', err);
+    res.status(500).json({ error: 'Failed to get job' });
+  }
+});
+
+// ?after=<log line id> returns only newer lines, for tailing a running job
+app.get('/api/admin/jobs/:id/logs', async (req, res) => {
+  try {
+    const job = await db.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    const logs = await db.getJobLogs(job.id, {
+      after: parseInt(req.query.after, 10) || 0,
+      limit: Math.min(parseInt(req.query.limit, 10) || 500, 2000)
     });
-    
-    aiProcess.unref();
-    res.json({ success: true, message: 'AI processing started in background' });
+    res.json({ status: job.status, logs });
+  } catch (err) {
+    console.error('Error getting job logs:', err);
+    res.status(500).json({ error: 'Failed to get job logs' });
+  }
+});
+
+app.post('/api/admin/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await db.cancelJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ success: true, job });
   } catch (err) {
-    console.error('Error triggering AI processing:', err);
-    res.status(500).json({ error: 'Failed to start AI processing' });
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error cancelling job:', err);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+app.post('/api/admin/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await db.retryJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ success: true, job });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error retrying job:', err);
+    res.status(500).json({ error: 'Failed to retry job' });
   }
 });
 
 app.get('/api/admin/status', async (req, res) => {
   try {
-    // Get scraping status
-    const query = `
-      SELECT 
-        MAX(scraped_at) as last_scrape,
-        COUNT(*) as total_articles
-      FROM articles
-    `;
-    
-    const { rows } = await pool.query(query);
-    const lastScrape = rows[0].last_scrape;
-    
-    // Calculate next scrape (6 hours from last scrape)
-    let nextScrape = 'Unknown';
-    if (lastScrape) {
-      const next = new Date(lastScrape.getTime() + 6 * 60 * 60 * 1000);
-      nextScrape = next.toLocaleString();
-    }
+    const { lastScrape, totalArticles } = await db.getScrapeStatus();
+    const nextScrape = nextScheduledRun(SCRAPE_SCHEDULE_HOURS);
     
     res.json({
       lastScrape: lastScrape ? new Date(lastScrape).toLocaleString() : 'Never',
-      nextScrape,
-      totalArticles: rows[0].total_articles
+      nextScrape: nextScrape ? nextScrape.toLocaleString() : 'Unknown',
+      totalArticles
     });
   } catch (err) {
     console.error('Error getting status:', err);
@@ -289,26 +474,100 @@ app.get('/api/admin/status', async (req, res) => {
   }
 });
 
+app.get('/api/admin/scrape-runs', async (req, res) => {
+  try {
+    const { source = '', limit = 50 } = req.query;
+    const runs = await db.listScrapeRuns({ source: source || null, limit: Math.min(parseInt(limit) || 50, 500) });
+    res.json({ runs });
+  } catch (err) {
+    console.error('Error fetching scrape runs:', err);
+    res.status(500).json({ error: 'Failed to fetch scrape runs' });
+  }
+});
+
+// Latest run per source next to its trailing averages
+app.get('/api/admin/source-health', async (req, res) => {
+  try {
+    const sources = await db.getSourceHealth(TRAILING_RUNS);
+    res.json({ sources });
+  } catch (err) {
+    console.error('Error fetching source health:', err);
+    res.status(500).json({ error: 'Failed to fetch source health' });
+  }
+});
+
+// Articles moved to the trash by deletes and retention cleanup, most recent first
+app.get('/api/admin/trash', async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const { articles, total } = await db.listTrash({ limit, offset: (page - 1) * limit });
+    res.json({ articles, pagination: { page, limit, total, pages: Math.ceil(total / limit) } });
+  } catch (err) {
+    console.error('Error fetching trash:', err);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+app.post('/api/admin/trash/restore', async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!ids || !Array.isArray(ids)) {
+      return res.status(400).json({ error: 'Invalid article IDs' });
+    }
+
+    const restored = await db.restoreArticles(ids);
+    res.json({ success: true, restored });
+  } catch (err) {
+    console.error('Error restoring articles:', err);
+    res.status(500).json({ error: 'Failed to restore articles' });
+  }
+});
+
+// Deletes trashed articles for good, after writing them to an archive in the archive store
+app.post('/api/admin/trash/purge', async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!ids || !Array.isArray(ids)) {
+      return res.status(400).json({ error: 'Invalid article IDs' });
+    }
+
+    const { purged, archive } = await purgeWithArchive({ db, store: mediaStore, archiveStore, articleIds: ids, now: new Date() });
+    res.json({ success: true, purged, archive });
+  } catch (err) {
+    console.error('Error purging articles:', err);
+    res.status(500).json({ error: 'Failed to purge articles' });
+  }
+});
+
+// What a cleanup would move to the trash and purge under the retention policy (retention.json)
+app.get('/api/admin/cleanup/preview', async (req, res) => {
+  try {
+    res.json(await runCleanup({ db, store: mediaStore, archiveStore, dryRun: true }));
+  } catch (err) {
+    console.error('Error previewing cleanup:', err);
+    res.status(500).json({ error: `Failed to preview cleanup: ${err.message}` });
+  }
+});
+
 app.post('/api/admin/cleanup', async (req, res) => {
   try {
-    const query = 'DELETE FROM articles WHERE scraped_at < NOW() - INTERVAL \'30 days\'';
-    const { rows } = await pool.query(query);
-    res.json({ success: true, deleted: rows.length });
+    const dryRun = Boolean(req.body && req.body.dryRun);
+    res.json({ success: true, ...await runCleanup({ db, store: mediaStore, archiveStore, dryRun }) });
   } catch (err) {
     console.error('Error cleaning up:', err);
-    res.status(500).json({ error: 'Failed to cleanup old articles' });
+    res.status(500).json({ error: `Failed to cleanup old articles: ${err.message}` });
   }
 });
 
 app.get('/api/admin/export', async (req, res) => {
   try {
-    const query = 'SELECT * FROM articles ORDER BY scraped_at DESC';
-    const { rows } = await pool.query(query);
+    const articles = await db.listArticles({ withBody: true, limit: null });
     
     const exportData = {
       exported_at: new Date().toISOString(),
-      total_articles: rows.length,
-      articles: rows
+      total_articles: articles.length,
+      articles
     };
     
     res.setHeader('Content-Type', 'application/json');
@@ -322,24 +581,13 @@ app.get('/api/admin/export', async (req, res) => {
 
 app.get('/api/admin/stats', async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        COUNT(*) as total,
-        COUNT(CASE WHEN published = true THEN 1 END) as published,
-        COUNT(CASE WHEN body_available = true THEN 1 END) as with_body,
-        COUNT(DISTINCT source) as sources,
-        MIN(published_at) as oldest,
-        MAX(published_at) as newest
-      FROM articles
-    `;
-    
-    const { rows } = await pool.query(query);
-    const stats = rows[0];
+    const stats = await db.getArticleStats();
     
     res.json({
       total: stats.total,
       published: stats.published,
-      withBody: stats.with_body,
+      withBody: stats.withBody,
+      paywalled: stats.paywalled,
       sources: stats.sources,
       oldest: stats.oldest ? new Date(stats.oldest).toLocaleDateString() : 'Unknown',
       newest: stats.newest ? new Date(stats.newest).toLocaleDateString() : 'Unknown'
@@ -353,14 +601,8 @@ app.get('/api/admin/stats', async (req, res) => {
 // AI Content API endpoints
 app.get('/api/ai/content', async (req, res) => {
   try {
-    const query = 'SELECT * FROM processed_content ORDER BY processed_at DESC LIMIT 1';
-    const { rows } = await pool.query(query);
-    
-    if (rows.length > 0) {
-      res.json({ content: rows[0] });
-    } else {
-      res.json({ content: null });
-    }
+    const content = await db.getLatestProcessedContent();
+    res.json({ content });
   } catch (err) {
     console.error('Error getting AI content:', err);
     res.status(500).json({ error: 'Failed to get AI content' });
@@ -370,12 +612,7 @@ app.get('/api/ai/content', async (req, res) => {
 app.post('/api/ai/publish', async (req, res) => {
   try {
     // Mark latest AI content as published
-    const query = `
-      UPDATE processed_content 
-      SET published = true 
-      WHERE id = (SELECT id FROM processed_content ORDER BY processed_at DESC LIMIT 1)
-    `;
-    await pool.query(query);
+    await db.publishLatestProcessedContent();
     res.json({ success: true, message: 'AI content published' });
   } catch (err) {
     console.error('Error publishing AI content:', err);
@@ -384,21 +621,7 @@ app.post('/api/ai/publish', async (req, res) => {
 });
 
 app.post('/api/ai/regenerate', async (req, res) => {
-  try {
-    // Trigger AI regeneration
-    const { spawn } = require('child_process');
-    const aiProcess = spawn(process.execPath, ['ai/select-and-generate.js'], {
-      cwd: __dirname,
-      detached: true,
-      stdio: 'ignore'
-    });
-    
-    aiProcess.unref();
-    res.json({ success: true, message: 'AI content regeneration started' });
-  } catch (err) {
-    console.error('Error regenerating AI content:', err);
-    res.status(500).json({ error: 'Failed to regenerate AI content' });
-  }
+  await respondWithEnqueuedJob(res, 'ai-generate', {}, 'AI content regeneration queued');
 });
 
 app.post('/api/ai/config', async (req, res) => {
@@ -419,15 +642,27 @@ app.get('/dashboard', (req, res) => {
   res.sendFile(path.join(__dirname, 'dashboard.html'));
 });
 
+// Queued jobs run in this process unless JOB_WORKER=false (when api/job-worker.js runs elsewhere)
+const jobWorker = process.env.JOB_WORKER === 'false' ? null : createJobWorker();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Article Dashboard running at http://localhost:${PORT}/dashboard`);
   console.log(`📊 API available at http://localhost:${PORT}/api/articles`);
 });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\n🔄 Shutting down gracefully...');
-  await pool.end();
-  process.exit(0);
-});
+db.initSchema()
+  .then(() => {
+    if (jobWorker) jobWorker.start();
+  })
+  .catch(err => console.error('❌ Failed to initialize the database schema:', err.message));
+
+// Graceful shutdown (Render stops services with SIGTERM)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    console.log('\n🔄 Shutting down gracefully...');
+    if (jobWorker) await jobWorker.stop();
+    await db.close();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,188 @@
+'use strict';
+
+const { countWords } = require('./articleMetadata');
+
+// Classifies whether a scraped page served the full article, from (strongest first):
+// JSON-LD isAccessibleForFree / hasPart.cssSelector, paywall DOM markers, paywall wording
+// near the end of the body, truncation signals and body length.
+
+const ACCESS_STATUSES = ['free', 'metered', 'paywalled', 'truncated', 'error'];
+
+// Statuses whose body is complete enough to store and process
+const READABLE_STATUSES = ['free', 'metered'];
+
+// Paywall/regwall containers used by common subscription platforms (Piano, Poool, Zephr, Arc, ...)
+const PAYWALL_MARKERS = [
+  '.paywall',
+  '#paywall',
+  '[data-testid="paywall"]',
+  '[data-paywall]',
+  '.regwall',
+  '.tp-modal',
+  '.tp-container-inner',
+  '#piano-inline',
+  '.piano-offer',
+  '#poool-widget',
+  '.zephr-paywall',
+  '.article-paywall',
+  '.paywall-container',
+  '.subscriber-only',
+  '.premium-content-locked'
+];
+
+// Teaser endings: "Continue reading", "Sigue leyendo", "Read more"
+const TRUNCATION_PATTERNS = [
+  /(continue|keep) reading\W*$/i,
+  /read (the full|more)[^.]*\W*$/i,
+  /(sigue|seguir|continúa|continuar) leyendo\W*$/i,
+  /lee (la nota|el artículo) completo\W*$/i
+];
+
+// A trailing ellipsis only marks a teaser on bodies up to this long (a lead paragraph or two):
+// full articles, columns and chronicles can end in "…" too
+const TRAILING_ELLIPSIS = /(\.\.\.|…)\s*$/;
+const TEASER_MAX_LENGTH = 600;
+
+// Paywall wording only counts in this many trailing characters, so articles that merely
+// mention subscribing aren't flagged
+const TEXT_MARKER_WINDOW = 400;
+
+// Extracted text below this share of the JSON-LD wordCount means the page was cut short
+const MIN_WORD_COUNT_RATIO = 0.5;
+
+// JSON-LD booleans show up as true/false or "True"/"False"
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    if (/^true$/i.test(value.trim())) return true;
+    if (/^false$/i.test(value.trim())) return false;
+  }
+  return null;
+}
+
+function toArray(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// cssSelectors of the JSON-LD hasPart elements declared as not free
+function lockedSelectors(jsonLd) {
+  return toArray(jsonLd && jsonLd.hasPart)
+    .filter(part => part && toBoolean(part.isAccessibleForFree) === false && part.cssSelector)
+    .flatMap(part => toArray(part.cssSelector));
+}
+
+function selectorText($, selector) {
+  try {
+    return $(selector).text().replace(/\s+/g, ' ').trim();
+  } catch (err) {
+    // Invalid selectors in publisher markup are ignored
+    return '';
+  }
+}
+
+function findMarker($, selectors) {
+  for (const selector of selectors) {
+    try {
+      if ($(selector).length > 0) return selector;
+    } catch (err) {
+      // ignore invalid selectors
+    }
+  }
+  return null;
+}
+
+function findTextMarker(bodyText, paywall) {
+  if (paywall.maxLength && bodyText.length >= paywall.maxLength) return null;
+
+  const tail = bodyText.slice(-TEXT_MARKER_WINDOW).toLowerCase();
+  const anyOf = paywall.anyOf.find(marker => tail.includes(marker));
+
+  if (paywall.anyOf.length > 0 && !anyOf) return null;
+  if (paywall.allOf.length > 0 && !paywall.allOf.every(marker => tail.includes(marker))) return null;
+
+  return anyOf || paywall.allOf.join(' + ') || null;
+}
+
+// Teaser wording or a body well short of its declared length; a body under the source's minLength
+// is handled by classifyAccess
+function truncationReason(bodyText, jsonLd) {
+  const pattern = TRUNCATION_PATTERNS.find(regex => regex.test(bodyText)) ||
+    (bodyText.length <= TEASER_MAX_LENGTH && TRAILING_ELLIPSIS.test(bodyText));
+  if (pattern) return `body ends with a teaser ("${bodyText.slice(-40).trim()}")`;
+
+  const declared = parseInt(jsonLd && jsonLd.wordCount, 10);
+  const extracted = countWords(bodyText);
+  if (Number.isFinite(declared) && declared > 0 && extracted < declared * MIN_WORD_COUNT_RATIO) {
+    return `extracted ${extracted} of ${declared} words declared in JSON-LD`;
+  }
+
+  return null;
+}
+
+// Returns { status, reason }. `$` is the full page (before any boilerplate stripping),
+// `jsonLd` the picked JSON-LD article object, `bodyText` the extracted body.
+function classifyAccess({ $, jsonLd, bodyText, source }) {
+  const text = bodyText || '';
+  const { minLength } = source.body;
+  const paywall = source.paywall;
+  const fullBody = text.length > minLength;
+
+  const declaredFree = toBoolean(jsonLd && jsonLd.isAccessibleForFree);
+  const locked = lockedSelectors(jsonLd);
+
+  if (declaredFree === false || locked.length > 0) {
+    // Publishers serving crawlers the locked part (flexible sampling) leave it in the markup
+    const served = locked.find(selector => selectorText($, selector).length > minLength);
+    if (served) {
+      return { status: 'metered', reason: `JSON-LD marks ${served} as not free, but it was served` };
+    }
+    if (locked.length === 0 && fullBody) {
+      return { status: 'metered', reason: 'JSON-LD isAccessibleForFree=false, but the full body was served' };
+    }
+    return { status: 'paywalled', reason: locked.length > 0 ? `JSON-LD marks ${locked.join(', ')} as not free` : 'JSON-LD isAccessibleForFree=false' };
+  }
+
+  const marker = findMarker($, [...(paywall.selectors || []), ...PAYWALL_MARKERS]);
+  if (marker) {
+    return fullBody
+      ? { status: 'metered', reason: `paywall marker ${marker} present, but the full body was served` }
+      : { status: 'paywalled', reason: `paywall marker ${marker}` };
+  }
+
+  if (!text) {
+    return { status: 'error', reason: 'no body text could be extracted' };
+  }
+
+  const textMarker = findTextMarker(text, paywall);
+  if (textMarker) {
+    return { status: 'paywalled', reason: `paywall wording "${textMarker}" at the end of the body` };
+  }
+
+  const truncated = truncationReason(text, jsonLd);
+  if (truncated) {
+    return { status: 'truncated', reason: truncated };
+  }
+
+  // Without any other signal, a body this short is a teaser or a stub rather than the article
+  if (!fullBody) {
+    return { status: 'truncated', reason: `body shorter than minLength (${text.length} of ${minLength} characters)` };
+  }
+
+  return {
+    status: 'free',
+    reason: declaredFree === true ? 'JSON-LD isAccessibleForFree=true' : 'no paywall signals'
+  };
+}
+
+function isReadable(status) {
+  return READABLE_STATUSES.includes(status);
+}
+
+module.exports = {
+  classifyAccess,
+  isReadable,
+  ACCESS_STATUSES,
+  READABLE_STATUSES,
+  PAYWALL_MARKERS
+};
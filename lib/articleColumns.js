@@ -0,0 +1,79 @@
+'use strict';
+
+// Column layout of the articles table, for the queries in lib/db-multi.js
+
+// Article field -> articles column. Every column is written on insert and overwritten on conflict.
+const ARTICLE_COLUMNS = {
+  url: 'url',
+  source: 'source',
+  sourceName: 'source_name',
+  title: 'title',
+  description: 'description',
+  imageUrl: 'image_url',
+  imageAlt: 'image_alt',
+  bodyText: 'body_text',
+  bodyAvailable: 'body_available',
+  publishedAt: 'published_at',
+  rawJsonLd: 'raw_jsonld',
+  category: 'category',
+  qualityScore: 'quality_score',
+  relevanceScore: 'relevance_score',
+  keyTopics: 'key_topics',
+  summary: 'summary',
+  engagementPotential: 'engagement_potential',
+  processedAt: 'processed_at',
+  fetchedUrl: 'fetched_url',
+  etag: 'etag',
+  lastModified: 'last_modified',
+  sitemapLastmod: 'sitemap_lastmod',
+  contentHash: 'content_hash',
+  bodyStrategy: 'body_strategy',
+  bodySelector: 'body_selector',
+  authors: 'authors',
+  section: 'section',
+  tags: 'tags',
+  modifiedAt: 'modified_at',
+  language: 'language',
+  publisher: 'publisher',
+  canonicalUrl: 'canonical_url',
+  wordCount: 'word_count',
+  readingTimeMinutes: 'reading_time_minutes',
+  bodyBlocks: 'body_blocks',
+  bodyMarkdown: 'body_markdown',
+  accessStatus: 'access_status',
+  accessReason: 'access_reason',
+  simhash: 'simhash',
+  simhashBands: 'simhash_bands'
+};
+
+// Article columns without the body, for listings
+const ARTICLE_SUMMARY_COLUMNS = [
+  'id', 'url', 'source', 'source_name', 'title', 'description', 'image_url', 'authors', 'section',
+  'published_at', 'scraped_at', 'body_available', 'access_status', 'access_reason', 'word_count',
+  'duplicate_group_id', 'group_representative', 'category', 'quality_score', 'relevance_score',
+  'processed_at'
+];
+
+// Columns of the dashboard's article list
+const ARTICLE_LIST_COLUMNS = [
+  'id', 'title', 'description', 'image_url', 'body_available', 'access_status', 'access_reason',
+  'published_at', 'scraped_at', 'url', 'source', 'source_name', 'authors', 'section',
+  'reading_time_minutes', 'duplicate_group_id', 'group_representative'
+];
+
+// Local lead image fields joined onto article rows: output field -> media column
+const MEDIA_FIELDS = {
+  media_id: 'id',
+  image_width: 'width',
+  image_height: 'height',
+  image_alt_text: 'alt_text',
+  image_color: 'dominant_color',
+  image_placeholder: 'placeholder'
+};
+
+module.exports = {
+  ARTICLE_COLUMNS,
+  ARTICLE_SUMMARY_COLUMNS,
+  ARTICLE_LIST_COLUMNS,
+  MEDIA_FIELDS
+};
@@ -0,0 +1,202 @@
+'use strict';
+
+// Article metadata from JSON-LD, OpenGraph/article:* meta tags and the document itself
+
+const ARTICLE_TYPES = [
+  'Article', 'NewsArticle', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'OpinionNewsArticle',
+  'BackgroundNewsArticle', 'ReviewNewsArticle', 'BlogPosting', 'Report'
+];
+
+// Average adult reading speed used for the "N MIN READ" estimate
+const WORDS_PER_MINUTE = 230;
+
+function hasArticleType(json) {
+  const types = Array.isArray(json['@type']) ? json['@type'] : [json['@type']];
+  return types.some(type => ARTICLE_TYPES.includes(type));
+}
+
+function pickJsonLdArticle(json) {
+  if (!json) return null;
+
+  if (Array.isArray(json)) {
+    for (const item of json) {
+      const picked = pickJsonLdArticle(item);
+      if (picked) return picked;
+    }
+    return null;
+  }
+
+  if (typeof json === 'object') {
+    if (hasArticleType(json)) {
+      return json;
+    }
+
+    const graph = json['@graph'];
+    if (Array.isArray(graph)) {
+      for (const item of graph) {
+        const picked = pickJsonLdArticle(item);
+        if (picked) return picked;
+      }
+    }
+  }
+
+  return null;
+}
+
+function uniqueStrings(values) {
+  const seen = new Set();
+  const result = [];
+
+  for (const value of values) {
+    if (typeof value !== 'string') continue;
+    const trimmed = value.trim();
+    if (!trimmed || seen.has(trimmed.toLowerCase())) continue;
+    seen.add(trimmed.toLowerCase());
+    result.push(trimmed);
+  }
+
+  return result;
+}
+
+// Names from "Jane Doe", { name }, or arrays of either
+function personNames(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(personNames);
+  if (typeof value === 'string') return [value];
+  if (typeof value === 'object' && value.name) return personNames(value.name);
+  return [];
+}
+
+// "a, b" or ["a", "b"]
+function listValue(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(listValue);
+  if (typeof value === 'string') return value.split(',');
+  return [];
+}
+
+function imageUrl(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return imageUrl(value[0]);
+  if (typeof value === 'string') return value;
+  if (typeof value === 'object') return value.url || value.contentUrl || null;
+  return null;
+}
+
+// ImageObject caption or description, when the image is given as an object
+function imageAlt(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return imageAlt(value[0]);
+  if (typeof value === 'object') return value.caption || value.description || value.name || null;
+  return null;
+}
+
+// "es-CL" / "es_CL" -> "es"
+function normalizeLanguage(value) {
+  if (!value || typeof value !== 'string') return null;
+  const primary = value.trim().split(/[-_]/)[0].toLowerCase();
+  return /^[a-z]{2,3}$/.test(primary) ? primary : null;
+}
+
+function extractFromJsonLd(jsonLd) {
+  if (!jsonLd || typeof jsonLd !== 'object') return {};
+
+  const title = jsonLd.headline || jsonLd.name || null;
+  const description = jsonLd.description || null;
+  const image = imageUrl(jsonLd.image);
+  const datePublished = jsonLd.datePublished || jsonLd.dateCreated || null;
+  const wordCount = parseInt(jsonLd.wordCount, 10);
+
+  return {
+    title,
+    description,
+    imageUrl: image,
+    imageAlt: imageAlt(jsonLd.image),
+    publishedAt: datePublished,
+    modifiedAt: jsonLd.dateModified || null,
+    authors: uniqueStrings(personNames(jsonLd.author)),
+    section: listValue(jsonLd.articleSection)[0] || null,
+    tags: uniqueStrings(listValue(jsonLd.keywords)),
+    language: normalizeLanguage(jsonLd.inLanguage),
+    publisher: personNames(jsonLd.publisher)[0] || null,
+    wordCount: Number.isFinite(wordCount) ? wordCount : null,
+    isAccessibleForFree: jsonLd.isAccessibleForFree === undefined ? null : jsonLd.isAccessibleForFree
+  };
+}
+
+function metaContent($, selector) {
+  return $(selector).attr('content') || null;
+}
+
+function metaContents($, selector) {
+  return $(selector).map((_, el) => $(el).attr('content')).get();
+}
+
+function extractFromMeta($) {
+  const title = metaContent($, 'meta[property="og:title"]') ||
+                metaContent($, 'meta[name="twitter:title"]') ||
+                $('title').text() || null;
+
+  const description = metaContent($, 'meta[property="og:description"]') ||
+                      metaContent($, 'meta[name="description"]') || null;
+
+  const imageUrl = metaContent($, 'meta[property="og:image"]') ||
+                   metaContent($, 'meta[name="twitter:image"]') || null;
+
+  const imageAlt = metaContent($, 'meta[property="og:image:alt"]') ||
+                   metaContent($, 'meta[name="twitter:image:alt"]') || null;
+
+  // article:author is often a profile URL rather than a name, so only keep plain names
+  const authors = [
+    ...metaContents($, 'meta[property="article:author"]'),
+    ...metaContents($, 'meta[name="author"]')
+  ].filter(author => !/^https?:\/\//.test(author));
+
+  return {
+    title,
+    description,
+    imageUrl,
+    imageAlt,
+    publishedAt: metaContent($, 'meta[property="article:published_time"]'),
+    modifiedAt: metaContent($, 'meta[property="article:modified_time"]') ||
+                metaContent($, 'meta[property="og:updated_time"]'),
+    authors: uniqueStrings(authors),
+    section: metaContent($, 'meta[property="article:section"]'),
+    tags: uniqueStrings([
+      ...metaContents($, 'meta[property="article:tag"]'),
+      ...listValue(metaContent($, 'meta[name="keywords"]'))
+    ]),
+    language: normalizeLanguage($('html').attr('lang')) ||
+              normalizeLanguage(metaContent($, 'meta[property="og:locale"]')),
+    publisher: metaContent($, 'meta[property="og:site_name"]'),
+    canonicalUrl: $('link[rel="canonical"]').attr('href') ||
+                  metaContent($, 'meta[property="og:url"]')
+  };
+}
+
+function countWords(text) {
+  if (!text) return 0;
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+function estimateReadingTime(wordCount) {
+  if (!wordCount) return null;
+  return Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE));
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+  pickJsonLdArticle,
+  extractFromJsonLd,
+  extractFromMeta,
+  normalizeLanguage,
+  uniqueStrings,
+  countWords,
+  estimateReadingTime,
+  toDate
+};
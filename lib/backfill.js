@@ -0,0 +1,291 @@
+'use strict';
+
+const { resolveSitemapUrls, resolveArchiveSitemapUrls } = require('./sourceRegistry');
+const {
+  scrapeAllSources,
+  fetchSitemapXml,
+  parseSitemapXml,
+  dedupeEntries,
+  NEWS_SOURCES
+} = require('./multiSiteScraper');
+const { toDate } = require('./articleMetadata');
+
+// Historical backfills: scrapes a source's articles published in a date range from its archive
+// sitemaps (discovery.archive in sources/*.json) in throttled batches. Progress is saved in a
+// checkpoint after every batch, so an interrupted backfill resumes where it stopped.
+
+const DEFAULT_BATCH_SIZE = 25;
+const DEFAULT_PAUSE_MS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function checkpointKey(sourceKey, from, to) {
+  return `${sourceKey}:${isoDay(from)}:${isoDay(to)}`;
+}
+
+// The period a sitemap URL is named after (sitemap-2024-05.xml, /2024/05/12/), as [start, end)
+function urlPeriod(url) {
+  const match = /(?:^|\D)((?:19|20)\d{2})[-/_](\d{1,2})(?:[-/_](\d{1,2}))?(?=\D|$)/.exec(url);
+  if (!match) return null;
+
+  const [year, month, day] = [Number(match[1]), Number(match[2]), match[3] ? Number(match[3]) : null];
+  if (month < 1 || month > 12 || (day !== null && (day < 1 || day > 31))) return null;
+
+  return day === null
+    ? { start: new Date(Date.UTC(year, month - 1, 1)), end: new Date(Date.UTC(year, month, 1)) }
+    : { start: new Date(Date.UTC(year, month - 1, day)), end: new Date(Date.UTC(year, month - 1, day + 1)) };
+}
+
+// Whether a child of a sitemap index may list articles from [from, to]: children last modified
+// before the range, or named after a period outside it, are skipped
+function mayCoverRange(sitemap, from, to) {
+  const lastmod = toDate(sitemap.lastmod);
+  if (lastmod && lastmod < from) return false;
+
+  const period = urlPeriod(sitemap.loc);
+  return !period || (period.start <= to && period.end > from);
+}
+
+// Leaf sitemaps to read, oldest first: [{ url, scoped }]. Archive templates are expanded for the
+// range (scoped: every entry is from that period). Archive indexes, or the live sitemaps of a
+// source without an archive, are walked for children that may cover the range.
+async function planSitemaps(sourceKey, { from, to, client, log = console }) {
+  const source = NEWS_SOURCES[sourceKey];
+  const { archive, sitemapIndex } = source.discovery;
+
+  const plan = resolveArchiveSitemapUrls(source, from, to).map(sitemap => ({ url: sitemap.url, scoped: true }));
+
+  const roots = archive ? archive.indexes : resolveSitemapUrls(source);
+  const queue = roots.map(loc => ({ loc, depth: 0 }));
+  const visited = new Set();
+  const leaves = [];
+
+  while (queue.length > 0) {
+    const { loc, depth } = queue.shift();
+    if (visited.has(loc)) continue;
+    visited.add(loc);
+
+    try {
+      const { urls, sitemaps } = parseSitemapXml(await fetchSitemapXml(loc, source, client));
+      if (urls.length > 0) leaves.push({ url: loc, scoped: false, period: urlPeriod(loc) });
+
+      if (sitemaps.length > 0 && depth >= sitemapIndex.maxDepth) {
+        log.warn(`Sitemap index ${loc} exceeds max depth ${sitemapIndex.maxDepth}, skipping ${sitemaps.length} child sitemaps`);
+        continue;
+      }
+
+      for (const child of sitemaps) {
+        if (mayCoverRange(child, from, to)) queue.push({ loc: child.loc, depth: depth + 1 });
+      }
+    } catch (err) {
+      log.error(`Failed to read sitemap ${loc}:`, err.message);
+    }
+  }
+
+  // Dated children in date order, undated ones after them
+  leaves.sort((a, b) => (a.period ? a.period.start.getTime() : Infinity) - (b.period ? b.period.start.getTime() : Infinity));
+  plan.push(...leaves.map(({ url, scoped }) => ({ url, scoped })));
+
+  return plan.filter((sitemap, index) => plan.findIndex(other => other.url === sitemap.url) === index);
+}
+
+// Entries of one archive sitemap published in [from, to], in a stable order so that a checkpoint's
+// position stays valid. Undated entries are kept only from sitemaps scoped to a period.
+async function readSitemap(sourceKey, sitemap, { from, to, client }) {
+  const source = NEWS_SOURCES[sourceKey];
+  const { urls } = parseSitemapXml(await fetchSitemapXml(sitemap.url, source, client));
+
+  return dedupeEntries(sourceKey, urls)
+    .filter((entry) => {
+      const date = toDate(entry.publishedAt || entry.lastmod);
+      return date ? date >= from && date <= to : sitemap.scoped;
+    })
+    .sort((a, b) => a.url.localeCompare(b.url));
+}
+
+function emptyState(plan) {
+  return {
+    sitemaps: plan,
+    completed: [],
+    // url => error for sitemaps that couldn't be read; retried when the backfill is run again
+    failed: {},
+    current: null,
+    counts: { discovered: 0, queued: 0, new: 0, updated: 0, unchanged: 0, failed: 0, fallback: 0, blocked: 0 }
+  };
+}
+
+// options:
+// - source, from, to (Dates; whole UTC days). Without to, the range of the latest unfinished
+//   checkpoint starting on from is resumed, else it ends today (options.now)
+// - batchSize (articles per batch, default 25), pauseMs (between batches, default 5000)
+// - limit: stop after this many articles; the next run resumes from the checkpoint
+// - checkpoints: { load(key), save(key, { source, from, to, state, completed }), findOpen(source, from) }
+//   (findOpen resolves with the latest unfinished { range_to } or null); without it progress is
+//   only kept in memory. restart ignores a saved checkpoint.
+// - dryRun: read the sitemaps and count the articles in range without scraping
+// - client, concurrency, events, log, and save / lookupState / markChecked as for scrapeAllSources
+//
+// Emits 'backfill:plan', 'backfill:sitemap' and 'backfill:batch' on options.events besides the
+// scrape progress events. Resolves with { key, source, from, to, sitemaps, completedSitemaps,
+// failedSitemaps, counts, finished }.
+async function runBackfill(options) {
+  const sourceKey = options.source;
+  const source = NEWS_SOURCES[sourceKey];
+  if (!source) {
+    throw new Error(`Unknown source "${sourceKey}". Known sources: ${Object.keys(NEWS_SOURCES).join(', ')}`);
+  }
+
+  const from = startOfDay(options.from);
+  const open = !options.to && options.checkpoints && options.checkpoints.findOpen && !options.restart
+    ? await options.checkpoints.findOpen(sourceKey, isoDay(from))
+    : null;
+  const lastDay = options.to || (open ? new Date(open.range_to) : options.now || new Date());
+  const to = new Date(startOfDay(lastDay).getTime() + DAY_MS - 1);
+  if (from > to) {
+    throw new Error(`Backfill range starts (${isoDay(from)}) after it ends (${isoDay(to)})`);
+  }
+
+  const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+  const pauseMs = options.pauseMs === undefined ? DEFAULT_PAUSE_MS : options.pauseMs;
+  const emit = (event, data) => options.events && options.events.emit(event, data);
+  const log = options.log || console;
+  const key = checkpointKey(sourceKey, from, to);
+  const range = { from, to, client: options.client, log };
+
+  if (!source.discovery.archive) {
+    log.warn(`⚠️  ${source.name} has no discovery.archive; backfilling from the indexes behind its live sitemaps only`);
+  }
+
+  const saved = options.checkpoints && !options.restart ? await options.checkpoints.load(key) : null;
+  const state = saved && saved.state ? saved.state : emptyState(await planSitemaps(sourceKey, range));
+  const remaining = state.sitemaps.filter(sitemap => !state.completed.includes(sitemap.url));
+
+  log.log(`📚 ${source.name} ${isoDay(from)} → ${isoDay(to)}: ${state.sitemaps.length} sitemaps` +
+    (saved && saved.state ? `, resuming with ${remaining.length} left` : ''));
+  emit('backfill:plan', { source: sourceKey, sitemaps: state.sitemaps.length, remaining: remaining.length });
+
+  const saveCheckpoint = (completed = false) => options.checkpoints && !options.dryRun
+    ? options.checkpoints.save(key, { source: sourceKey, from: isoDay(from), to: isoDay(to), state, completed })
+    : null;
+
+  if (state.sitemaps.length === 0) {
+    log.warn(`⚠️  No sitemaps of ${source.name} cover ${isoDay(from)} → ${isoDay(to)}`);
+  }
+
+  let processed = 0;
+  let inRange = 0;
+  let stopped = false;
+
+  for (const sitemap of remaining) {
+    if (stopped) break;
+    const index = state.sitemaps.indexOf(sitemap) + 1;
+
+    let entries;
+    try {
+      entries = await readSitemap(sourceKey, sitemap, range);
+      delete state.failed[sitemap.url];
+    } catch (err) {
+      log.error(`Failed to read sitemap ${sitemap.url}:`, err.message);
+      state.failed[sitemap.url] = err.message;
+      await saveCheckpoint();
+      continue;
+    }
+
+    const resumeAt = state.current && state.current.url === sitemap.url ? state.current.position : 0;
+    log.log(`🗂️  [${index}/${state.sitemaps.length}] ${sitemap.url}: ${entries.length} articles in range` +
+      (resumeAt > 0 ? `, resuming at ${resumeAt}` : ''));
+    emit('backfill:sitemap', { source: sourceKey, url: sitemap.url, index, total: state.sitemaps.length, entries: entries.length });
+
+    if (options.dryRun) {
+      inRange += entries.length - resumeAt;
+      continue;
+    }
+
+    for (let position = resumeAt; position < entries.length;) {
+      if (options.limit && processed >= options.limit) {
+        stopped = true;
+        break;
+      }
+
+      const size = options.limit ? Math.min(batchSize, options.limit - processed) : batchSize;
+      const batch = entries.slice(position, position + size);
+      const { summary } = await scrapeAllSources({
+        sources: [sourceKey],
+        discover: async () => batch,
+        limit: batch.length,
+        client: options.client,
+        concurrency: options.concurrency,
+        events: options.events,
+        lookupState: options.lookupState,
+        save: options.save,
+        markChecked: options.markChecked,
+        log
+      });
+
+      for (const [field, count] of Object.entries(summary[sourceKey])) {
+        state.counts[field] = (state.counts[field] || 0) + count;
+      }
+      position += batch.length;
+      processed += batch.length;
+      state.current = { url: sitemap.url, position };
+      await saveCheckpoint();
+
+      emit('backfill:batch', { source: sourceKey, url: sitemap.url, position, entries: entries.length, counts: state.counts });
+      log.log(`   ${position}/${entries.length} (${state.counts.new} new, ${state.counts.updated} updated, ` +
+        `${state.counts.unchanged} unchanged, ${state.counts.failed} failed so far)`);
+
+      if (pauseMs > 0 && position < entries.length) await sleep(pauseMs);
+    }
+
+    if (!stopped) {
+      state.completed.push(sitemap.url);
+      state.current = null;
+      await saveCheckpoint();
+    }
+  }
+
+  const failedSitemaps = Object.keys(state.failed);
+  const finished = !options.dryRun && !stopped && state.completed.length === state.sitemaps.length;
+  if (finished) await saveCheckpoint(true);
+
+  if (stopped) {
+    log.log(`⏸️  Stopped after ${processed} articles; run the same backfill again to continue`);
+  } else if (failedSitemaps.length > 0) {
+    log.warn(`⚠️  ${failedSitemaps.length} sitemaps could not be read; run the same backfill again to retry them`);
+  }
+
+  return {
+    key,
+    source: sourceKey,
+    from: isoDay(from),
+    to: isoDay(to),
+    dryRun: Boolean(options.dryRun),
+    sitemaps: state.sitemaps.length,
+    completedSitemaps: state.completed.length,
+    failedSitemaps,
+    // For a dry run, the articles left to scrape
+    counts: options.dryRun ? { discovered: inRange } : state.counts,
+    finished
+  };
+}
+
+module.exports = {
+  runBackfill,
+  planSitemaps,
+  urlPeriod,
+  checkpointKey,
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_PAUSE_MS
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Storage for binary assets such as resized article images and cleanup archives. A store is
+// { put(key, body, contentType), get(key), remove(key) }: get resolves with { body, contentType }
+// or null. Keys are relative paths like "ab/abcdef…/thumb.webp".
+
+const DEFAULT_MEDIA_DIR = path.join(__dirname, '..', 'media');
+
+// Cleanup archives hold purged article bodies, paywalled ones included, so they stay out of the
+// media directory and under data/, which the dashboard doesn't serve
+const DEFAULT_ARCHIVE_DIR = path.join(__dirname, '..', 'data', 'archives');
+
+const CONTENT_TYPES = {
+  '.webp': 'image/webp',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.avif': 'image/avif',
+  '.gz': 'application/gzip'
+};
+
+// Stores blobs as files under rootDir
+function createFileStore(rootDir = DEFAULT_MEDIA_DIR) {
+  function resolveKey(key) {
+    const file = path.resolve(rootDir, key);
+    if (!file.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid blob key "${key}"`);
+    }
+    return file;
+  }
+
+  async function put(key, body) {
+    const file = resolveKey(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Write then rename so readers never see a half-written file
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, body);
+    await fs.rename(temp, file);
+  }
+
+  async function get(key) {
+    try {
+      const body = await fs.readFile(resolveKey(key));
+      return { body, contentType: CONTENT_TYPES[path.extname(key)] || 'application/octet-stream' };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function remove(key) {
+    await fs.rm(resolveKey(key), { force: true });
+  }
+
+  return { put, get, remove };
+}
+
+// Stores blobs in the media_blobs table (created by initSchema), for deployments where the
+// scraper and the web server don't share a disk
+function createPostgresStore(pool) {
+  async function put(key, body, contentType) {
+    await pool.query(`
+      INSERT INTO media_blobs (key, body, content_type)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (key) DO UPDATE SET body = EXCLUDED.body, content_type = EXCLUDED.content_type
+    `, [key, body, contentType || CONTENT_TYPES[path.extname(key)] || 'application/octet-stream']);
+  }
+
+  async function get(key) {
+    const { rows } = await pool.query('SELECT body, content_type FROM media_blobs WHERE key = $1', [key]);
+    return rows.length > 0 ? { body: rows[0].body, contentType: rows[0].content_type } : null;
+  }
+
+  async function remove(key) {
+    await pool.query('DELETE FROM media_blobs WHERE key = $1', [key]);
+  }
+
+  return { put, get, remove };
+}
+
+// The store configured by MEDIA_STORE: "file" (default, under MEDIA_DIR) or "postgres" (in the
+// database of options.pool, by default the repository's from lib/repository.js, so blobs live next
+// to the articles on every STORAGE backend). Other backends can be passed to the image pipeline directly.
+function createBlobStore(env = process.env, options = {}) {
+  const kind = env.MEDIA_STORE || 'file';
+
+  if (kind === 'file') {
+    return createFileStore(env.MEDIA_DIR || DEFAULT_MEDIA_DIR);
+  }
+
+  if (kind === 'postgres') {
+    // Required lazily: the repository picks its backend from the environment on first use
+    const pool = options.pool || require('./repository').pool;
+    if (!pool) {
+      throw new Error('MEDIA_STORE=postgres needs a database: set DATABASE_URL or POSTGRES_URL, or STORAGE=file.');
+    }
+    return createPostgresStore(pool);
+  }
+
+  throw new Error(`Unknown MEDIA_STORE "${kind}". Supported: file, postgres`);
+}
+
+// Where cleanup archives go (lib/retention.js): files under ARCHIVE_DIR, or the media_blobs table
+// with MEDIA_STORE=postgres, which is only read back by image key
+function createArchiveStore(env = process.env, options = {}) {
+  if ((env.MEDIA_STORE || 'file') === 'file') {
+    return createFileStore(env.ARCHIVE_DIR || DEFAULT_ARCHIVE_DIR);
+  }
+  return createBlobStore(env, options);
+}
+
+module.exports = {
+  createBlobStore,
+  createArchiveStore,
+  createFileStore,
+  createPostgresStore,
+  DEFAULT_MEDIA_DIR,
+  DEFAULT_ARCHIVE_DIR
+};
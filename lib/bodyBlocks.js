@@ -0,0 +1,254 @@
+'use strict';
+
+// Structured article bodies: an ordered list of typed blocks
+//   { type: 'paragraph', text, links: [{ text, href }] }
+//   { type: 'heading', level, text }
+//   { type: 'quote', text, cite }
+//   { type: 'list', ordered, items: [text] }
+//   { type: 'image', src, alt, caption }
+//   { type: 'embed', provider, url }
+// with plain-text and Markdown renderings.
+
+const SKIP_TAGS = ['script', 'style', 'noscript', 'template', 'nav', 'aside', 'form', 'button', 'svg', 'header', 'footer'];
+
+// Related links, newsletter promos, share bars and ads that sit inside article bodies
+const SKIP_HINT = /(^|[-_\s])(related|recommended|more-stories|read-more|newsletter|promo|subscribe|subscription|share|sharing|social|advert|ads?|sponsor)([-_\s]|$)/i;
+
+const EMBED_PROVIDERS = [
+  { pattern: /youtube\.com|youtu\.be/, provider: 'youtube' },
+  { pattern: /vimeo\.com/, provider: 'vimeo' },
+  { pattern: /twitter\.com|x\.com/, provider: 'twitter' },
+  { pattern: /instagram\.com/, provider: 'instagram' },
+  { pattern: /facebook\.com/, provider: 'facebook' },
+  { pattern: /tiktok\.com/, provider: 'tiktok' },
+  { pattern: /spotify\.com/, provider: 'spotify' },
+  { pattern: /soundcloud\.com/, provider: 'soundcloud' },
+  { pattern: /google\.com\/maps/, provider: 'google-maps' },
+  { pattern: /datawrapper\.de/, provider: 'datawrapper' }
+];
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function absoluteUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl).toString();
+  } catch (err) {
+    return null;
+  }
+}
+
+function embedProvider(url) {
+  const match = EMBED_PROVIDERS.find(({ pattern }) => pattern.test(url));
+  return match ? match.provider : 'other';
+}
+
+function isSkipped($, el) {
+  if (SKIP_TAGS.includes(el.tagName)) return true;
+  const hint = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+  return SKIP_HINT.test(hint);
+}
+
+function paragraphBlock($, el, baseUrl) {
+  const text = normalizeText($(el).text());
+  if (!text) return null;
+
+  const links = $(el).find('a[href]').toArray()
+    .map(a => ({ text: normalizeText($(a).text()), href: absoluteUrl($(a).attr('href'), baseUrl) }))
+    .filter(link => link.text && link.href);
+
+  return { type: 'paragraph', text, links };
+}
+
+function imageBlock($, el, baseUrl) {
+  const img = el.tagName === 'img' ? $(el) : $(el).find('img').first();
+  if (img.length === 0) return null;
+
+  // Lazy-loaded images keep the real URL in a data attribute
+  const src = absoluteUrl(
+    img.attr('data-src') || img.attr('data-lazy-src') || img.attr('src') ||
+    (img.attr('srcset') || '').split(',')[0].trim().split(' ')[0],
+    baseUrl
+  );
+  if (!src || src.startsWith('data:')) return null;
+
+  const caption = el.tagName === 'img' ? null : normalizeText($(el).find('figcaption').text()) || null;
+
+  return { type: 'image', src, alt: normalizeText(img.attr('alt')) || null, caption };
+}
+
+function embedBlock($, el, baseUrl) {
+  let url = null;
+
+  if (el.tagName === 'iframe') {
+    url = absoluteUrl($(el).attr('src') || $(el).attr('data-src'), baseUrl);
+  } else {
+    // Twitter/Instagram blockquote embeds link to the original post
+    const link = $(el).find('a[href]').last();
+    url = absoluteUrl($(el).attr('data-instgrm-permalink') || link.attr('href'), baseUrl);
+  }
+
+  return url ? { type: 'embed', provider: embedProvider(url), url } : null;
+}
+
+function isSocialEmbed($, el) {
+  const className = $(el).attr('class') || '';
+  return el.tagName === 'blockquote' && /twitter-tweet|instagram-media|tiktok-embed/.test(className);
+}
+
+// Walks `container` in document order. `isParagraph(el)` decides which elements are body
+// paragraphs (usually the ones matched by the source's selectors); headings, quotes, lists,
+// figures and embeds found along the way become their own blocks.
+function extractBlocks($, container, isParagraph, baseUrl) {
+  const blocks = [];
+
+  function visit(el, isRoot = false) {
+    if (el.type !== 'tag' || (!isRoot && isSkipped($, el))) return;
+
+    if (isParagraph(el)) {
+      const block = paragraphBlock($, el, baseUrl);
+      if (block) blocks.push(block);
+      return;
+    }
+
+    const tag = el.tagName;
+
+    if (/^h[2-6]$/.test(tag)) {
+      const text = normalizeText($(el).text());
+      if (text) blocks.push({ type: 'heading', level: Number(tag[1]), text });
+      return;
+    }
+
+    if (isSocialEmbed($, el) || tag === 'iframe') {
+      const block = embedBlock($, el, baseUrl);
+      if (block) blocks.push(block);
+      return;
+    }
+
+    if (tag === 'blockquote') {
+      const cite = normalizeText($(el).find('cite, footer').text()) || null;
+      const clone = $(el).clone();
+      clone.find('cite, footer').remove();
+      const text = normalizeText(clone.text());
+      if (text) blocks.push({ type: 'quote', text, cite });
+      return;
+    }
+
+    if (tag === 'ul' || tag === 'ol') {
+      const items = $(el).children('li').toArray()
+        .map(li => normalizeText($(li).text()))
+        .filter(Boolean);
+      if (items.length > 0) blocks.push({ type: 'list', ordered: tag === 'ol', items });
+      return;
+    }
+
+    if (tag === 'figure' || tag === 'picture' || tag === 'img') {
+      const embed = $(el).find('iframe').first();
+      const block = embed.length > 0 ? embedBlock($, embed[0], baseUrl) : imageBlock($, el, baseUrl);
+      if (block) blocks.push(block);
+      return;
+    }
+
+    for (const child of el.children || []) visit(child);
+  }
+
+  visit(container, true);
+  return blocks;
+}
+
+function commonAncestor($, elements) {
+  if (elements.length === 0) return null;
+
+  const ancestry = el => [el, ...$(el).parents().toArray()];
+  let candidates = ancestry(elements[0]);
+
+  for (const el of elements.slice(1)) {
+    const chain = new Set(ancestry(el));
+    candidates = candidates.filter(candidate => chain.has(candidate));
+  }
+
+  // A single matched element is its own container; step up so surrounding figures are kept
+  const ancestor = candidates[0] || null;
+  return elements.length === 1 && ancestor && ancestor.parent ? ancestor.parent : ancestor;
+}
+
+// Builds blocks from the elements a selector matched, using their closest common ancestor as the
+// body container so headings, quotes, lists and images between paragraphs are kept in order
+function blocksFromMatches($, matched, baseUrl) {
+  const container = commonAncestor($, matched);
+  if (!container) return [];
+
+  const matchedSet = new Set(matched);
+  return extractBlocks($, container, el => matchedSet.has(el), baseUrl);
+}
+
+// Plain text with paragraph boundaries, used for body_text, paywall checks and AI prompts
+function blocksToText(blocks) {
+  return blocks
+    .map((block) => {
+      switch (block.type) {
+        case 'paragraph':
+        case 'heading':
+          return block.text;
+        case 'quote':
+          return block.cite ? `${block.text} — ${block.cite}` : block.text;
+        case 'list':
+          return block.items.join('\n');
+        default:
+          return null;
+      }
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+function linkify(block) {
+  let markdown = escapeMarkdown(block.text);
+
+  for (const link of block.links || []) {
+    const escaped = escapeMarkdown(link.text);
+    markdown = markdown.replace(escaped, `[${escaped}](${link.href})`);
+  }
+
+  return markdown;
+}
+
+function blocksToMarkdown(blocks) {
+  return blocks
+    .map((block) => {
+      switch (block.type) {
+        case 'paragraph':
+          return linkify(block);
+        case 'heading':
+          return `${'#'.repeat(block.level)} ${escapeMarkdown(block.text)}`;
+        case 'quote':
+          return `> ${escapeMarkdown(block.text)}${block.cite ? `\n>\n> — ${escapeMarkdown(block.cite)}` : ''}`;
+        case 'list':
+          return block.items
+            .map((item, i) => `${block.ordered ? `${i + 1}.` : '-'} ${escapeMarkdown(item)}`)
+            .join('\n');
+        case 'image':
+          return `![${escapeMarkdown(block.alt || '')}](${block.src})${block.caption ? `\n*${escapeMarkdown(block.caption)}*` : ''}`;
+        case 'embed':
+          return `[${block.provider} embed](${block.url})`;
+        default:
+          return null;
+      }
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+module.exports = {
+  extractBlocks,
+  blocksFromMatches,
+  blocksToText,
+  blocksToMarkdown,
+  embedProvider
+};
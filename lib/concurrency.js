@@ -0,0 +1,31 @@
+'use strict';
+
+// Returns limit(fn): runs fn() once fewer than `max` limited calls are in flight
+function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+
+  function next() {
+    if (active >= max || waiting.length === 0) return;
+
+    active++;
+    const { fn, resolve, reject } = waiting.shift();
+
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return function limit(fn) {
+    return new Promise((resolve, reject) => {
+      waiting.push({ fn, resolve, reject });
+      next();
+    });
+  };
+}
+
+module.exports = { createLimiter };
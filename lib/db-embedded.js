@@ -0,0 +1,188 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Pool, Client } = require('pg');
+const { PGlite } = require('@electric-sql/pglite');
+const { unaccent } = require('@electric-sql/pglite/contrib/unaccent');
+const { PGLiteSocketServer } = require('@electric-sql/pglite-socket');
+
+// Postgres without a database server: PGlite (Postgres compiled to WebAssembly) runs inside a Node
+// process, and lib/db-multi.js runs its own queries and migrations on it through a regular pg Pool.
+// PGlite takes one process at a time, so the process that opens a database serves it on a Unix
+// socket (PGLiteSocketServer) and every other process connects to that socket:
+// - in memory: a database of this process only, served from a temporary directory
+// - in a directory: the data in <dir>/pgdata, served on <dir>/.s.PGSQL.5432 by the process named in
+//   <dir>/owner.pid. When that process exits, the next one to connect takes over.
+
+// Extensions the migrations create
+const EXTENSIONS = { unaccent };
+
+// pg connects to <host>/.s.PGSQL.<port> when host is a directory
+const SOCKET_PORT = 5432;
+
+// Processes waiting for the owner of a directory to start serving it give up after this long
+const OPEN_TIMEOUT_MS = 30000;
+
+const RETRY_MS = 100;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function isConnectionLost(err) {
+  return err.message === 'Connection terminated unexpectedly' || ['ECONNRESET', 'EPIPE'].includes(err.code);
+}
+
+function removeFile(file) {
+  fs.rmSync(file, { force: true });
+}
+
+// Starts PGlite (on dataDir, or in memory) and serves it on socketDir
+async function serve(dataDir, socketDir) {
+  const db = dataDir ? new PGlite(dataDir, { extensions: EXTENSIONS }) : new PGlite({ extensions: EXTENSIONS });
+  await db.waitReady;
+
+  const socket = path.join(socketDir, `.s.PGSQL.${SOCKET_PORT}`);
+  removeFile(socket);
+  const server = new PGLiteSocketServer({ db, path: socket, maxConnections: 100 });
+  await server.start();
+
+  return {
+    async stop() {
+      await server.stop();
+      await db.close();
+      removeFile(socket);
+    }
+  };
+}
+
+// Serves dir when no running process does; resolves with the server, or null when another process
+// serves it
+async function attachDirectory(dir) {
+  const ownerFile = path.join(dir, 'owner.pid');
+  const socket = path.join(dir, `.s.PGSQL.${SOCKET_PORT}`);
+  const deadline = Date.now() + OPEN_TIMEOUT_MS;
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (;;) {
+    const owner = fs.existsSync(ownerFile) ? Number(fs.readFileSync(ownerFile, 'utf8')) : null;
+
+    if (owner && isRunning(owner)) {
+      if (fs.existsSync(socket)) return null;
+    } else {
+      // Left behind by a process that exited without closing the database
+      if (owner) removeFile(ownerFile);
+
+      let claimed = false;
+      try {
+        fs.writeFileSync(ownerFile, String(process.pid), { flag: 'wx' });
+        claimed = true;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      if (claimed) {
+        try {
+          const server = await serve(path.join(dir, 'pgdata'), dir);
+          const release = () => removeFile(ownerFile);
+          process.once('exit', release);
+          return {
+            async stop() {
+              await server.stop();
+              process.removeListener('exit', release);
+              release();
+            }
+          };
+        } catch (err) {
+          removeFile(ownerFile);
+          throw err;
+        }
+      }
+    }
+
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for process ${owner} to serve the database in ${dir}`);
+    }
+    await sleep(RETRY_MS);
+  }
+}
+
+// A pg Pool on an embedded database: in dir when given, else in memory. Clients wait for the
+// database to be served before connecting; end() stops serving it when this process does.
+function createEmbeddedPool({ dir = null } = {}) {
+  const socketDir = dir ? path.resolve(dir) : fs.mkdtempSync(path.join(os.tmpdir(), 'news-db-'));
+  let started = null;
+  let server = null;
+
+  async function start() {
+    if (server) return;
+
+    if (!dir) {
+      if (!started) {
+        started = serve(null, socketDir).then((served) => { server = served; });
+        // A failed start is retried by the next connection
+        started.catch(() => { started = null; });
+      }
+      await started;
+      return;
+    }
+
+    // Until this process serves the directory, every connection checks who does: that process
+    // may have exited since
+    const served = await attachDirectory(socketDir);
+    if (served) server = served;
+  }
+
+  class EmbeddedClient extends Client {
+    connect(callback) {
+      const connected = start().then(() => super.connect());
+      if (!callback) return connected;
+      connected.then(() => callback(null), callback);
+      return undefined;
+    }
+  }
+
+  const pool = new Pool({
+    Client: EmbeddedClient,
+    host: socketDir,
+    port: SOCKET_PORT,
+    user: 'postgres',
+    database: 'postgres'
+  });
+
+  // Idle connections break when the serving process exits. A query sent on one before the pool
+  // noticed is sent again on a new connection, which finds the process serving the database now.
+  pool.on('error', err => console.warn(`⚠️  Embedded database connection lost: ${err.message}`));
+  const query = pool.query.bind(pool);
+  pool.query = async (...args) => {
+    try {
+      return await query(...args);
+    } catch (err) {
+      if (!dir || !isConnectionLost(err)) throw err;
+      return query(...args);
+    }
+  };
+
+  const end = pool.end.bind(pool);
+  pool.end = async () => {
+    await end();
+    if (server) await server.stop();
+    server = null;
+    if (!dir) fs.rmSync(socketDir, { recursive: true, force: true });
+  };
+
+  return pool;
+}
+
+module.exports = { createEmbeddedPool };
@@ -1,245 +1,1509 @@
 'use strict';
 
-const { Pool } = require('pg');
+const { READABLE_STATUSES } = require('./accessClassifier');
+const { revisionHash, diffRevisions } = require('./revisions');
+const { normalizeUrl } = require('./urlNormalizer');
+const { isNearDuplicate } = require('./simhash');
+const { migrate } = require('./migrator');
+const {
+  HIGHLIGHT_START,
+  HIGHLIGHT_STOP,
+  parseSearchQuery,
+  hasSearchTerms,
+  toTsQuery,
+  highlightHtml
+} = require('./searchQuery');
+const {
+  ARTICLE_COLUMNS,
+  ARTICLE_SUMMARY_COLUMNS,
+  ARTICLE_LIST_COLUMNS,
+  MEDIA_FIELDS
+} = require('./articleColumns');
 
-const connectionString = process.env.DATABASE_URL || process.env.POSTGRES_URL;
+// node-postgres sends JS arrays as Postgres arrays, so JSONB array values are serialized up front
+const JSON_ARRAY_FIELDS = ['bodyBlocks'];
 
-if (!connectionString) {
-  console.warn('DATABASE_URL or POSTGRES_URL is not set. Database operations will fail until it is configured.');
+async function insertRevision(client, articleId, revision, row, diff) {
+  const query = `
+    INSERT INTO article_revisions (
+      article_id, revision, content_hash, title, description, body_text, modified_at, captured_at,
+      changed_fields, changes
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, NOW()), $9, $10)
+    RETURNING *;
+  `;
+
+  const { rows } = await client.query(query, [
+    articleId,
+    revision,
+    revisionHash(row),
+    row.title,
+    row.description,
+    row.body_text,
+    row.modified_at,
+    row.captured_at || null,
+    diff ? diff.changedFields : null,
+    diff ? diff.changes : null
+  ]);
+
+  return rows[0];
 }
 
-const pool = connectionString ? new Pool({ connectionString }) : null;
-
-async function initSchema() {
-  if (!pool) {
-    throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
-  }
-
-  // Main articles table (supports multiple sources)
-  const createArticlesTable = `
-    CREATE TABLE IF NOT EXISTS articles (
-      id BIGSERIAL PRIMARY KEY,
-      url TEXT UNIQUE NOT NULL,
-      source TEXT NOT NULL,
-      source_name TEXT NOT NULL,
-      title TEXT,
-      description TEXT,
-      image_url TEXT,
-      body_text TEXT,
-      body_available BOOLEAN DEFAULT FALSE,
-      published_at TIMESTAMPTZ,
-      scraped_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      raw_jsonld TEXT,
-      
-      -- AI analysis fields
-      category TEXT,
-      quality_score INTEGER,
-      relevance_score INTEGER,
-      key_topics TEXT[],
-      summary TEXT,
-      engagement_potential TEXT,
-      processed_at TIMESTAMPTZ
-    );
-  `;
+// Adds a revision when the saved article differs from its latest one. `previous` is the row as it
+// was before the upsert; articles stored before revisions were tracked get it as revision 1.
+async function recordRevision(client, saved, previous) {
+  const { rows } = await client.query(`
+    SELECT revision, content_hash, title, description, body_text
+    FROM article_revisions
+    WHERE article_id = $1
+    ORDER BY revision DESC
+    LIMIT 1
+  `, [saved.id]);
 
-  // Processed daily content
-  const createProcessedContentTable = `
-    CREATE TABLE IF NOT EXISTS processed_content (
-      id BIGSERIAL PRIMARY KEY,
-      headline TEXT NOT NULL,
-      articles JSONB NOT NULL,
-      processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      published BOOLEAN DEFAULT FALSE,
-      date DATE NOT NULL DEFAULT CURRENT_DATE
-    );
-  `;
+  let latest = rows[0] || null;
+  if (!latest && previous) {
+    latest = await insertRevision(client, saved.id, 1, { ...previous, captured_at: previous.scraped_at }, null);
+  }
 
-  // Analytics table
-  const createAnalyticsTable = `
-    CREATE TABLE IF NOT EXISTS analytics (
-      id BIGSERIAL PRIMARY KEY,
-      article_id BIGINT REFERENCES articles(id),
-      event_type TEXT NOT NULL,
-      event_data JSONB,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      date DATE NOT NULL DEFAULT CURRENT_DATE
-    );
-  `;
+  if (!latest) {
+    return insertRevision(client, saved.id, 1, saved, null);
+  }
 
-  // Create indexes for performance
-  const createIndexes = `
-    CREATE INDEX IF NOT EXISTS idx_articles_source ON articles(source);
-    CREATE INDEX IF NOT EXISTS idx_articles_published ON articles(published_at DESC);
-    CREATE INDEX IF NOT EXISTS idx_articles_category ON articles(category);
-    CREATE INDEX IF NOT EXISTS idx_articles_quality ON articles(quality_score DESC);
-    CREATE INDEX IF NOT EXISTS idx_processed_content_date ON processed_content(date DESC);
-    CREATE INDEX IF NOT EXISTS idx_analytics_date ON analytics(date);
-  `;
+  if (latest.content_hash === revisionHash(saved)) return null;
 
-  await pool.query(createArticlesTable);
-  await pool.query(createProcessedContentTable);
-  await pool.query(createAnalyticsTable);
-  await pool.query(createIndexes);
+  const diff = diffRevisions(latest, saved);
+  if (diff.changedFields.length === 0) return null;
+
+  return insertRevision(client, saved.id, latest.revision + 1, saved, diff);
 }
 
-async function upsertArticle(article) {
-  if (!pool) {
-    throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+// Groups the saved article with its near-duplicates: articles whose body simhash is within
+// MAX_DISTANCE bits, or whose URL is the article's cross-site canonical link (syndicated copies).
+// Groups it bridges are merged into the oldest one. Nothing is deleted; each group has one
+// representative (see electRepresentatives).
+async function linkDuplicates(client, saved) {
+  const matches = [];
+
+  if (saved.simhash_bands) {
+    const { rows } = await client.query(`
+      SELECT id, simhash, duplicate_group_id
+      FROM articles
+      WHERE simhash_bands && $1 AND id <> $2
+    `, [saved.simhash_bands, saved.id]);
+    matches.push(...rows.filter(row => isNearDuplicate(saved.simhash, row.simhash)));
   }
 
-  const { 
-    url, source, sourceName, title, description, imageUrl, 
-    bodyText, bodyAvailable, publishedAt, rawJsonLd,
-    category, qualityScore, relevanceScore, keyTopics, summary, engagementPotential
-  } = article;
+  const canonical = saved.canonical_url ? normalizeUrl(saved.canonical_url) : null;
+  if (canonical && canonical !== saved.url) {
+    const { rows } = await client.query(`
+      SELECT id, simhash, duplicate_group_id
+      FROM articles
+      WHERE url = $1 AND id <> $2
+    `, [canonical, saved.id]);
+    matches.push(...rows);
+  }
 
-  const query = `
-    INSERT INTO articles (
-      url, source, source_name, title, description, image_url, 
-      body_text, body_available, published_at, scraped_at, raw_jsonld,
-      category, quality_score, relevance_score, key_topics, summary, engagement_potential, processed_at
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), $10, $11, $12, $13, $14, $15, $16, $17)
-    ON CONFLICT (url) DO UPDATE SET
-      title = EXCLUDED.title,
-      description = EXCLUDED.description,
-      image_url = EXCLUDED.image_url,
-      body_text = EXCLUDED.body_text,
-      body_available = EXCLUDED.body_available,
-      published_at = EXCLUDED.published_at,
-      scraped_at = NOW(),
-      raw_jsonld = EXCLUDED.raw_jsonld,
-      category = EXCLUDED.category,
-      quality_score = EXCLUDED.quality_score,
-      relevance_score = EXCLUDED.relevance_score,
-      key_topics = EXCLUDED.key_topics,
-      summary = EXCLUDED.summary,
-      engagement_potential = EXCLUDED.engagement_potential,
-      processed_at = EXCLUDED.processed_at
-    RETURNING *;
-  `;
+  if (matches.length === 0 && !saved.duplicate_group_id) return null;
 
-  const values = [
-    url,
-    source,
-    sourceName,
-    title || null,
-    description || null,
-    imageUrl || null,
-    bodyText || null,
-    bodyAvailable || false,
-    publishedAt || null,
-    rawJsonLd || null,
-    category || null,
-    qualityScore || null,
-    relevanceScore || null,
-    keyTopics || null,
-    summary || null,
-    engagementPotential || null,
-    article.processedAt || null
-  ];
-
-  const { rows } = await pool.query(query, values);
-  return rows[0];
+  const members = [saved, ...matches];
+  const groups = [...new Set(members.map(row => Number(row.duplicate_group_id || row.id)))];
+  const groupId = Math.min(...groups);
+
+  await client.query(`
+    UPDATE articles SET duplicate_group_id = $1
+    WHERE id = ANY($2) OR duplicate_group_id = ANY($3)
+  `, [groupId, members.map(row => row.id), groups]);
+
+  await electRepresentatives(client, [groupId]);
+
+  return String(groupId);
 }
 
-async function saveProcessedContent(headline, articles) {
-  if (!pool) {
-    throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
-  }
+// Makes one member of each group its representative, preferring an article that isn't in the
+// trash, then a readable body, then the earliest publication
+async function electRepresentatives(client, groupIds) {
+  await client.query(`
+    UPDATE articles SET group_representative = (id = (
+      SELECT candidate.id FROM articles AS candidate
+      WHERE candidate.duplicate_group_id = articles.duplicate_group_id
+      ORDER BY candidate.deleted_at IS NULL DESC, COALESCE(candidate.access_status = ANY($2), FALSE) DESC,
+        candidate.published_at ASC NULLS LAST, candidate.id
+      LIMIT 1
+    ))
+    WHERE duplicate_group_id = ANY($1)
+  `, [groupIds, READABLE_STATUSES]);
+}
 
-  const query = `
-    INSERT INTO processed_content (headline, articles, processed_at)
-    VALUES ($1, $2, NOW())
-    RETURNING *;
-  `;
+// A failed image is retried on later runs until it has failed this many times
+const MAX_MEDIA_ATTEMPTS = 3;
 
-  const { rows } = await pool.query(query, [headline, JSON.stringify(articles)]);
-  return rows[0];
+// Local lead image fields, for queries that LEFT JOIN media
+const MEDIA_SELECT = Object.entries(MEDIA_FIELDS).map(([field, column]) => `media.${column} AS ${field}`).join(', ');
+
+// How many days the date facet lists, newest first
+const FACET_DAYS = 31;
+
+function toArray(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return Array.isArray(value) ? value : [value];
 }
 
-async function getLatestProcessedContent() {
-  if (!pool) {
-    throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+// The repository on `pool`: a pg Pool on Postgres, or on the embedded database (lib/db-embedded.js).
+// lib/repository.js picks one; without a pool every call fails.
+function createPostgresRepository(pool) {
+  async function initSchema(options = {}) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    // Tables, columns and indexes are created by the migrations in migrations/ (see lib/migrator.js),
+    // each one applied logged to options.log
+    await migrate(pool, { log: options.log });
   }
 
-  const query = `
-    SELECT * FROM processed_content 
-    ORDER BY processed_at DESC 
-    LIMIT 1
-  `;
-  
-  const { rows } = await pool.query(query);
-  return rows[0];
-}
+  async function upsertArticle(article) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const fields = Object.keys(ARTICLE_COLUMNS);
+    const columns = fields.map(field => ARTICLE_COLUMNS[field]);
+    const values = fields.map((field) => {
+      if (field === 'bodyAvailable') return article.bodyAvailable || false;
+      if (field === 'url') return normalizeUrl(article.url) || article.url;
+      const value = article[field];
+      if (value === undefined || value === '') return null;
+      return JSON_ARRAY_FIELDS.includes(field) && value !== null ? JSON.stringify(value) : value;
+    });
 
-async function getTopArticles(limit = 20, category = null) {
-  if (!pool) {
-    throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    const updates = columns
+      .filter(column => column !== 'url' && column !== 'source' && column !== 'source_name')
+      .map(column => `${column} = EXCLUDED.${column}`);
+
+    // The CTE reads the row as it was before this statement, so the old version can be diffed
+    const query = `
+      WITH previous AS (
+        SELECT id, title, description, body_text, content_hash, modified_at, scraped_at
+        FROM articles
+        WHERE url = $1
+      )
+      INSERT INTO articles (${columns.join(', ')}, scraped_at, checked_at)
+      VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}, NOW(), NOW())
+      ON CONFLICT (url) DO UPDATE SET
+        ${updates.join(',\n      ')},
+        scraped_at = NOW(),
+        checked_at = NOW()
+      RETURNING articles.*, (SELECT row_to_json(previous) FROM previous) AS previous;
+    `;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(query, values);
+      const { previous, ...saved } = rows[0];
+      await recordRevision(client, saved, previous);
+      saved.duplicate_group_id = await linkDuplicates(client, saved);
+      if (saved.duplicate_group_id) {
+        // Linking may have elected another representative
+        const { rows: [linked] } = await client.query('SELECT group_representative FROM articles WHERE id = $1', [saved.id]);
+        saved.group_representative = linked.group_representative;
+      }
+      await client.query('COMMIT');
+      return saved;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
   }
 
-  let whereClause = 'WHERE body_available = true AND quality_score >= 7';
-  let queryParams = [];
-  let paramIndex = 1;
+  // Revisions of an article, oldest first. Bodies are left out unless withBody is set.
+  async function getArticleRevisions(articleId, { withBody = false } = {}) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      SELECT id, article_id, revision, content_hash, title, description,
+        ${withBody ? 'body_text' : 'LENGTH(body_text) AS body_length'},
+        modified_at, captured_at, changed_fields, changes
+      FROM article_revisions
+      WHERE article_id = $1
+      ORDER BY revision
+    `;
 
-  if (category) {
-    whereClause += ` AND category = $${paramIndex}`;
-    queryParams.push(category);
-    paramIndex++;
+    const { rows } = await pool.query(query, [articleId]);
+    return rows;
   }
 
-  const query = `
-    SELECT * FROM articles 
-    ${whereClause}
-    ORDER BY quality_score DESC, published_at DESC 
-    LIMIT $${paramIndex}
-  `;
+  // Stored fetch state for incremental scraping: Map of requested url => { url, etag, lastModified,
+  // contentHash, sitemapLastmod }, url being the one the article is stored under
+  async function getArticleFetchState(urls) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
 
-  queryParams.push(limit);
-  
-  const { rows } = await pool.query(query, [limit]);
-  return rows;
-}
+    const state = new Map();
+    if (urls.length === 0) return state;
+
+    // An article stored under its canonical URL is found by the URL it was fetched from
+    const query = `
+      SELECT url, fetched_url, etag, last_modified, content_hash, sitemap_lastmod
+      FROM articles
+      WHERE url = ANY($1) OR fetched_url = ANY($1)
+    `;
+
+    const requested = new Set(urls);
+    const { rows } = await pool.query(query, [urls]);
+    for (const row of rows) {
+      const known = {
+        url: row.url,
+        etag: row.etag,
+        lastModified: row.last_modified,
+        contentHash: row.content_hash,
+        sitemapLastmod: row.sitemap_lastmod
+      };
+      if (row.fetched_url && requested.has(row.fetched_url)) state.set(row.fetched_url, known);
+      if (requested.has(row.url)) state.set(row.url, known);
+    }
+
+    return state;
+  }
+
+  // Records that unchanged articles were re-checked without rewriting their content or scraped_at
+  async function markArticlesChecked(entries) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      UPDATE articles SET
+        etag = COALESCE($2, etag),
+        last_modified = COALESCE($3, last_modified),
+        sitemap_lastmod = COALESCE($4, sitemap_lastmod),
+        checked_at = NOW()
+      WHERE url = $1
+    `;
+
+    for (const entry of entries) {
+      try {
+        await pool.query(query, [entry.url, entry.etag || null, entry.lastModified || null, entry.sitemapLastmod || null]);
+      } catch (err) {
+        console.error('Failed to mark article checked:', err.message);
+      }
+    }
+  }
+
+  async function saveScrapeRun(run) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      INSERT INTO scrape_runs (
+        run_id, source, started_at, finished_at, discovered, queued, fetched, not_modified,
+        extracted, with_body, new_articles, updated_articles, unchanged, failed, fallback,
+        access_statuses, selectors, errors, degraded, degraded_reasons
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20)
+      RETURNING *;
+    `;
+
+    const { rows } = await pool.query(query, [
+      run.runId,
+      run.source,
+      run.startedAt,
+      run.finishedAt,
+      run.discovered,
+      run.queued,
+      run.fetched,
+      run.notModified,
+      run.extracted,
+      run.withBody,
+      run.new,
+      run.updated,
+      run.unchanged,
+      run.failed,
+      run.fallback,
+      run.accessStatuses,
+      run.selectors,
+      JSON.stringify(run.errors),
+      run.degraded || false,
+      run.reasons || []
+    ]);
+
+    return rows[0];
+  }
+
+  // A source's most recent runs, newest first, in the shape assessHealth() expects
+  async function getScrapeRunHistory(source, limit = 10) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
 
-async function saveArticles(articles) {
-  if (!pool) {
-    throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    const query = `
+      SELECT discovered, queued, extracted, with_body, failed
+      FROM scrape_runs
+      WHERE source = $1
+      ORDER BY started_at DESC
+      LIMIT $2
+    `;
+
+    const { rows } = await pool.query(query, [source, limit]);
+    return rows.map(row => ({
+      discovered: row.discovered,
+      queued: row.queued,
+      extracted: row.extracted,
+      withBody: row.with_body,
+      failed: row.failed
+    }));
+  }
+
+  // Runs newest first, optionally of one source
+  async function listScrapeRuns({ source = null, limit = 50 } = {}) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      SELECT *
+      FROM scrape_runs
+      WHERE ($1::text IS NULL OR source = $1)
+      ORDER BY started_at DESC, source
+      LIMIT $2
+    `;
+
+    const { rows } = await pool.query(query, [source, limit]);
+    return rows;
   }
 
-  const saved = [];
-  for (const article of articles) {
+  // Latest run per source next to its averages over the trailingRuns runs before it, degraded sources first
+  async function getSourceHealth(trailingRuns) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      SELECT latest.*, baseline.avg_discovered, baseline.avg_body_rate, baseline.runs AS trailing_runs
+      FROM (
+        SELECT DISTINCT ON (source) *
+        FROM scrape_runs
+        ORDER BY source, started_at DESC
+      ) latest
+      LEFT JOIN LATERAL (
+        SELECT
+          COUNT(*)::int AS runs,
+          AVG(previous.discovered)::float AS avg_discovered,
+          AVG(previous.with_body::float / NULLIF(previous.extracted, 0)) AS avg_body_rate
+        FROM (
+          SELECT discovered, extracted, with_body
+          FROM scrape_runs
+          WHERE source = latest.source AND started_at < latest.started_at
+          ORDER BY started_at DESC
+          LIMIT $1
+        ) previous
+      ) baseline ON true
+      ORDER BY latest.degraded DESC, latest.source
+    `;
+
+    const { rows } = await pool.query(query, [trailingRuns]);
+    return rows;
+  }
+
+  // { lastScrape, totalArticles }: the last finished run from the run history, falling back to article
+  // timestamps for databases that predate scrape_runs
+  async function getScrapeStatus() {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      SELECT
+        COALESCE((SELECT MAX(finished_at) FROM scrape_runs), MAX(scraped_at)) AS last_scrape,
+        COUNT(*) FILTER (WHERE deleted_at IS NULL)::int AS total_articles
+      FROM articles
+    `;
+
+    const { rows } = await pool.query(query);
+    return { lastScrape: rows[0].last_scrape, totalArticles: rows[0].total_articles };
+  }
+
+  // Articles whose lead image hasn't been stored yet, has changed, or failed and is due a retry
+  async function getArticlesNeedingMedia(limit = 50) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      SELECT articles.id, articles.image_url, articles.image_alt
+      FROM articles
+      LEFT JOIN media ON media.article_id = articles.id
+      WHERE articles.image_url IS NOT NULL
+        AND articles.deleted_at IS NULL
+        AND (
+          media.id IS NULL
+          OR media.source_url <> articles.image_url
+          OR (media.status = 'failed' AND media.attempts < $1 AND media.updated_at < NOW() - INTERVAL '1 hour')
+        )
+      ORDER BY articles.published_at DESC NULLS LAST
+      LIMIT $2
+    `;
+
+    const { rows } = await pool.query(query, [MAX_MEDIA_ATTEMPTS, limit]);
+    return rows;
+  }
+
+  // Stores the outcome of processArticleImage(); attempts counts consecutive failed tries of the same
+  // image, and is 0 once it is ready
+  async function saveMedia(media) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      INSERT INTO media (
+        article_id, source_url, status, content_hash, format, width, height, alt_text,
+        dominant_color, placeholder, variants, error, attempts
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, CASE WHEN $3 = 'failed' THEN 1 ELSE 0 END)
+      ON CONFLICT (article_id) DO UPDATE SET
+        source_url = EXCLUDED.source_url,
+        status = EXCLUDED.status,
+        content_hash = EXCLUDED.content_hash,
+        format = EXCLUDED.format,
+        width = EXCLUDED.width,
+        height = EXCLUDED.height,
+        alt_text = EXCLUDED.alt_text,
+        dominant_color = EXCLUDED.dominant_color,
+        placeholder = EXCLUDED.placeholder,
+        variants = EXCLUDED.variants,
+        error = EXCLUDED.error,
+        attempts = CASE
+          WHEN EXCLUDED.status <> 'failed' THEN 0
+          WHEN media.source_url = EXCLUDED.source_url AND media.status = 'failed' THEN media.attempts + 1
+          ELSE 1
+        END,
+        updated_at = NOW()
+      RETURNING *;
+    `;
+
+    const { rows } = await pool.query(query, [
+      media.articleId,
+      media.sourceUrl,
+      media.status,
+      media.contentHash || null,
+      media.format || null,
+      media.width || null,
+      media.height || null,
+      media.altText || null,
+      media.dominantColor || null,
+      media.placeholder || null,
+      media.variants || null,
+      media.error || null
+    ]);
+
+    return rows[0];
+  }
+
+  // A stored lead image, or null unless it is ready
+  async function getReadyMedia(mediaId) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const { rows } = await pool.query(`SELECT * FROM media WHERE id = $1 AND status = 'ready'`, [mediaId]);
+    return rows[0] || null;
+  }
+
+  // Queues a job. Rejects with err.code 'JOB_ACTIVE' (and err.job, the blocking job) when a job of
+  // the same type is already queued or running.
+  async function enqueueJob(type, params = {}, { maxAttempts = 1 } = {}) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
     try {
-      const savedRow = await upsertArticle(article);
-      saved.push(savedRow);
+      const { rows } = await pool.query(
+        'INSERT INTO jobs (type, params, max_attempts) VALUES ($1, $2, $3) RETURNING *',
+        [type, params, maxAttempts]
+      );
+      return rows[0];
     } catch (err) {
-      console.error('Failed to save article:', err.message);
+      if (err.code !== '23505') throw err;
+
+      const { rows } = await pool.query(
+        `SELECT * FROM jobs WHERE type = $1 AND status IN ('queued', 'running') LIMIT 1`,
+        [type]
+      );
+      const conflict = new Error(`A ${type} job is already ${rows[0] ? rows[0].status : 'queued'}`);
+      conflict.code = 'JOB_ACTIVE';
+      conflict.status = 409;
+      conflict.job = rows[0] || null;
+      throw conflict;
     }
   }
-  
-  return saved;
-}
 
-async function trackAnalytics(articleId, eventType, eventData = {}) {
-  if (!pool) {
-    throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+  // Marks the oldest queued job as running for workerId and returns it (null when the queue is
+  // empty). SKIP LOCKED lets several workers poll without claiming the same job.
+  async function claimJob(workerId) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      UPDATE jobs
+      SET status = 'running', attempts = attempts + 1, locked_by = $1, started_at = NOW(),
+          heartbeat_at = NOW(), updated_at = NOW()
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE status = 'queued'
+        ORDER BY created_at, id
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *;
+    `;
+
+    const { rows } = await pool.query(query, [workerId]);
+    return rows[0] || null;
   }
 
-  const query = `
-    INSERT INTO analytics (article_id, event_type, event_data)
-    VALUES ($1, $2, $3)
-    RETURNING *;
-  `;
+  // Refreshes the heartbeat of a worker's running jobs and stores their latest progress.
+  // progressById maps a job id to its progress (or undefined to leave it unchanged).
+  // Resolves with { cancelled, lost }: the ids (as given) whose cancellation was requested, and
+  // those no longer running under this worker (recovered as stale and possibly claimed by another).
+  async function heartbeatJobs(workerId, progressById) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
 
-  const { rows } = await pool.query(query, [articleId, eventType, eventData]);
-  return rows[0];
+    const cancelled = [];
+    const lost = [];
+    for (const [id, progress] of Object.entries(progressById)) {
+      const { rows } = await pool.query(`
+        UPDATE jobs
+        SET heartbeat_at = NOW(), updated_at = NOW(), progress = COALESCE($3, progress)
+        WHERE id = $1 AND locked_by = $2 AND status = 'running'
+        RETURNING cancel_requested
+      `, [id, workerId, progress === undefined ? null : progress]);
+
+      if (!rows[0]) lost.push(id);
+      else if (rows[0].cancel_requested) cancelled.push(id);
+    }
+
+    return { cancelled, lost };
+  }
+
+  // lines: [{ stream, line }]
+  async function appendJobLogs(jobId, lines) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+    if (lines.length === 0) return;
+
+    await pool.query(`
+      INSERT INTO job_logs (job_id, stream, line)
+      SELECT $1, stream, line FROM UNNEST($2::text[], $3::text[]) AS t(stream, line)
+    `, [jobId, lines.map(entry => entry.stream), lines.map(entry => entry.line)]);
+  }
+
+  // Records how a job ended. A failed job with attempts left goes back to the queue.
+  async function finishJob(jobId, { status, result = null, error = null, progress }) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      UPDATE jobs
+      SET status = CASE WHEN $2 = 'failed' AND attempts < max_attempts THEN 'queued' ELSE $2 END,
+          result = $3,
+          error = $4,
+          progress = COALESCE($5, progress),
+          locked_by = NULL,
+          finished_at = CASE WHEN $2 = 'failed' AND attempts < max_attempts THEN NULL ELSE NOW() END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *;
+    `;
+
+    const { rows } = await pool.query(query, [jobId, status, result, error, progress === undefined ? null : progress]);
+    return rows[0] || null;
+  }
+
+  // Running jobs whose worker stopped sending heartbeats (it crashed or was redeployed) are retried
+  // when they have attempts left and failed otherwise. The jobs of exceptWorker (the worker doing
+  // the recovery, which knows its own are alive) are left alone.
+  async function recoverStaleJobs(staleSeconds, exceptWorker = null) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      UPDATE jobs
+      SET status = CASE WHEN attempts < max_attempts THEN 'queued' ELSE 'failed' END,
+          error = 'worker ' || COALESCE(locked_by, 'unknown') || ' stopped responding',
+          locked_by = NULL,
+          finished_at = CASE WHEN attempts < max_attempts THEN NULL ELSE NOW() END,
+          updated_at = NOW()
+      WHERE status = 'running' AND heartbeat_at < NOW() - make_interval(secs => $1)
+        AND locked_by IS DISTINCT FROM $2
+      RETURNING *;
+    `;
+
+    const { rows } = await pool.query(query, [staleSeconds, exceptWorker]);
+    return rows;
+  }
+
+  async function listJobs({ status = null, type = null, limit = 20 } = {}) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      SELECT * FROM jobs
+      WHERE ($1::text IS NULL OR status = $1)
+        AND ($2::text IS NULL OR type = $2)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $3
+    `;
+
+    const { rows } = await pool.query(query, [status, type, limit]);
+    return rows;
+  }
+
+  async function getJob(jobId) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const { rows } = await pool.query('SELECT * FROM jobs WHERE id = $1', [jobId]);
+    return rows[0] || null;
+  }
+
+  // Log lines after the line with id `after`, oldest first
+  async function getJobLogs(jobId, { after = 0, limit = 500 } = {}) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      SELECT id, stream, line, logged_at FROM job_logs
+      WHERE job_id = $1 AND id > $2
+      ORDER BY id
+      LIMIT $3
+    `;
+
+    const { rows } = await pool.query(query, [jobId, after, limit]);
+    return rows;
+  }
+
+  // Queued jobs are cancelled straight away; running ones are flagged and stopped by their worker on
+  // its next heartbeat. Resolves with the job (null if it doesn't exist); finished jobs reject with status 409.
+  async function cancelJob(jobId) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      UPDATE jobs
+      SET status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+          finished_at = CASE WHEN status = 'queued' THEN NOW() ELSE finished_at END,
+          cancel_requested = TRUE,
+          updated_at = NOW()
+      WHERE id = $1 AND status IN ('queued', 'running')
+      RETURNING *;
+    `;
+
+    const { rows } = await pool.query(query, [jobId]);
+    if (rows[0]) return rows[0];
+
+    const job = await getJob(jobId);
+    if (!job) return null;
+
+    const err = new Error(`Job ${jobId} already ${job.status}`);
+    err.status = 409;
+    throw err;
+  }
+
+  // Puts a failed or cancelled job back in the queue for one more attempt. Rejects with status 409
+  // when the job hasn't finished, or with code 'JOB_ACTIVE' when another job of its type is active.
+  async function retryJob(jobId) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      UPDATE jobs
+      SET status = 'queued', max_attempts = attempts + 1, cancel_requested = FALSE, result = NULL,
+          error = NULL, progress = NULL, finished_at = NULL, updated_at = NOW()
+      WHERE id = $1 AND status IN ('failed', 'cancelled')
+      RETURNING *;
+    `;
+
+    let rows;
+    try {
+      ({ rows } = await pool.query(query, [jobId]));
+    } catch (err) {
+      if (err.code !== '23505') throw err;
+      const conflict = new Error('Another job of the same type is already queued or running');
+      conflict.code = 'JOB_ACTIVE';
+      conflict.status = 409;
+      throw conflict;
+    }
+    if (rows[0]) return rows[0];
+
+    const job = await getJob(jobId);
+    if (!job) return null;
+
+    const err = new Error(`Job ${jobId} is ${job.status}; only failed or cancelled jobs can be retried`);
+    err.status = 409;
+    throw err;
+  }
+
+  // Articles newest first. since matches the publication date, or the scrape date of undated articles;
+  // scrapedSince only the scrape date. readableOnly keeps free or metered bodies of duplicate-group
+  // representatives, representativesOnly any representative, unanalyzedOnly those without an AI
+  // analysis yet. limit null = no limit.
+  async function listArticles({
+    sources = null,
+    since = null,
+    scrapedSince = null,
+    readableOnly = false,
+    representativesOnly = false,
+    unanalyzedOnly = false,
+    withBody = false,
+    limit = 20
+  } = {}) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      SELECT ${withBody ? '*' : ARTICLE_SUMMARY_COLUMNS.join(', ')}
+      FROM articles
+      WHERE deleted_at IS NULL
+        AND ($1::text[] IS NULL OR source = ANY($1))
+        AND ($2::timestamptz IS NULL OR COALESCE(published_at, scraped_at) >= $2)
+        AND ($3::timestamptz IS NULL OR scraped_at >= $3)
+        AND (NOT $4 OR (access_status = ANY($5) AND group_representative))
+        AND (NOT $6 OR group_representative)
+        AND (NOT $7 OR processed_at IS NULL)
+      ORDER BY published_at DESC NULLS LAST, scraped_at DESC, id DESC
+      LIMIT $8
+    `;
+
+    const { rows } = await pool.query(query, [
+      sources,
+      since,
+      scrapedSince,
+      readableOnly,
+      READABLE_STATUSES,
+      representativesOnly,
+      unanalyzedOnly,
+      limit
+    ]);
+    return rows;
+  }
+
+  // One page of the dashboard's article list, with the local lead image fields. access is 'readable',
+  // 'unreadable' or one access status; collapseDuplicates keeps one article per duplicate group.
+  // Newest first, undated articles last, ties broken by id so pages don't overlap.
+  // Resolves with { articles, total }. Searches go through searchArticles.
+  async function listArticlePage({ access = null, collapseDuplicates = false, limit = 10, offset = 0 } = {}) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const conditions = ['deleted_at IS NULL'];
+    const params = [];
+
+    if (access === 'readable' || access === 'unreadable') {
+      params.push(READABLE_STATUSES);
+      conditions.push(`${access === 'readable' ? '' : 'NOT '}(access_status = ANY($${params.length}))`);
+    } else if (access) {
+      params.push(access);
+      conditions.push(`access_status = $${params.length}`);
+    }
+
+    if (collapseDuplicates) conditions.push('group_representative');
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const query = `
+      SELECT ${ARTICLE_LIST_COLUMNS.map(column => `articles.${column}`).join(', ')}, ${MEDIA_SELECT}
+      FROM articles
+      LEFT JOIN media ON media.article_id = articles.id AND media.status = 'ready'
+      ${where}
+      ORDER BY articles.published_at DESC NULLS LAST, articles.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    const { rows } = await pool.query(query, [...params, limit, offset]);
+    const { rows: countRows } = await pool.query(`SELECT COUNT(*)::int AS total FROM articles ${where}`, params);
+
+    return { articles: rows, total: countRows[0].total };
+  }
+
+  // Full-text search (migrations/003_full_text_search.js). query uses the syntax in lib/searchQuery.js;
+  // each article is matched with the stemming of its own language. sources and category take one
+  // value or several; from/to bound the publication date (to exclusive); access and collapseDuplicates
+  // work as in listArticlePage. Results are ranked best first, with title_html and snippet_html
+  // highlighting the matches. facets adds match counts by source, category and day, each ignoring its
+  // own filter. Resolves with { results, total, facets }.
+  async function searchArticles({
+    query,
+    sources = null,
+    category = null,
+    from = null,
+    to = null,
+    access = null,
+    collapseDuplicates = false,
+    limit = 20,
+    offset = 0,
+    facets = false
+  } = {}) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const clauses = parseSearchQuery(query);
+    if (!hasSearchTerms(clauses)) return { results: [], total: 0, facets: facets ? { sources: [], categories: [], days: [] } : null };
+
+    // The first condition can use the GIN index whatever the language; the second is the exact match
+    const where = `
+      WHERE search_vector @@ (to_tsquery('news_spanish', $1) || to_tsquery('news_english', $1) || to_tsquery('news_simple', $1))
+        AND search_vector @@ to_tsquery(article_search_config(language), $1)
+        AND deleted_at IS NULL
+        AND ($2::text[] IS NULL OR source = ANY($2))
+        AND ($3::text[] IS NULL OR category = ANY($3))
+        AND ($4::timestamptz IS NULL OR COALESCE(published_at, scraped_at) >= $4)
+        AND ($5::timestamptz IS NULL OR COALESCE(published_at, scraped_at) < $5)
+        AND (NOT $6 OR group_representative)
+        AND ($7::text[] IS NULL OR (access_status = ANY($7)) <> $8)
+    `;
+
+    const accessStatuses = access === 'readable' || access === 'unreadable' ? READABLE_STATUSES : access && [access];
+    const params = [
+      toTsQuery(clauses),
+      toArray(sources),
+      toArray(category),
+      from,
+      to,
+      collapseDuplicates,
+      accessStatuses || null,
+      access === 'unreadable'
+    ];
+
+    const markers = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}"`;
+    const resultsQuery = `
+      WITH matches AS (
+        SELECT id, ts_rank_cd(search_vector, to_tsquery(article_search_config(language), $1), 1) AS rank
+        FROM articles
+        ${where}
+        ORDER BY rank DESC, published_at DESC NULLS LAST, id DESC
+        LIMIT $9 OFFSET $10
+      )
+      SELECT ${ARTICLE_LIST_COLUMNS.map(column => `articles.${column}`).join(', ')}, ${MEDIA_SELECT},
+        articles.category, matches.rank,
+        ts_headline(article_search_config(articles.language), COALESCE(articles.title, ''),
+          to_tsquery(article_search_config(articles.language), $1), '${markers}, HighlightAll=true') AS title_highlight,
+        ts_headline(article_search_config(articles.language),
+          COALESCE(NULLIF(articles.body_text, ''), articles.description, ''),
+          to_tsquery(article_search_config(articles.language), $1),
+          '${markers}, MaxFragments=2, MaxWords=30, MinWords=12, FragmentDelimiter=" … "') AS snippet
+      FROM matches
+      JOIN articles ON articles.id = matches.id
+      LEFT JOIN media ON media.article_id = articles.id AND media.status = 'ready'
+      ORDER BY matches.rank DESC, articles.published_at DESC NULLS LAST, articles.id DESC
+    `;
+
+    const { rows } = await pool.query(resultsQuery, [...params, limit, offset]);
+    const { rows: countRows } = await pool.query(`SELECT COUNT(*)::int AS total FROM articles ${where}`, params);
+
+    const results = rows.map(({ title_highlight: titleHighlight, snippet, ...row }) => ({
+      ...row,
+      title_html: highlightHtml(titleHighlight),
+      snippet_html: highlightHtml(snippet)
+    }));
+
+    return {
+      results,
+      total: countRows[0].total,
+      facets: facets ? await searchFacets(where, params) : null
+    };
+  }
+
+  // Each facet drops its own filter (nulls its parameters), so the other values stay selectable
+  async function searchFacets(where, params) {
+    const without = (...indexes) => params.map((value, index) => (indexes.includes(index + 1) ? null : value));
+
+    const [sources, categories, days] = await Promise.all([
+      pool.query(`
+        SELECT source, MAX(source_name) AS source_name, COUNT(*)::int AS count
+        FROM articles
+        ${where}
+        GROUP BY source
+        ORDER BY count DESC, source
+      `, without(2)),
+      pool.query(`
+        SELECT category, COUNT(*)::int AS count
+        FROM articles
+        ${where} AND category IS NOT NULL
+        GROUP BY category
+        ORDER BY count DESC, category
+      `, without(3)),
+      pool.query(`
+        SELECT to_char((COALESCE(published_at, scraped_at) AT TIME ZONE 'UTC')::date, 'YYYY-MM-DD') AS date,
+          COUNT(*)::int AS count
+        FROM articles
+        ${where}
+        GROUP BY 1
+        ORDER BY 1 DESC
+        LIMIT ${FACET_DAYS}
+      `, without(4, 5))
+    ]);
+
+    return { sources: sources.rows, categories: categories.rows, days: days.rows };
+  }
+
+  // withMedia adds the local lead image fields
+  async function getArticle(articleId, { withMedia = false } = {}) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = withMedia
+      ? `
+        SELECT articles.*, ${MEDIA_SELECT}
+        FROM articles
+        LEFT JOIN media ON media.article_id = articles.id AND media.status = 'ready'
+        WHERE articles.id = $1 AND articles.deleted_at IS NULL
+      `
+      : 'SELECT * FROM articles WHERE id = $1 AND deleted_at IS NULL';
+
+    const { rows } = await pool.query(query, [articleId]);
+    return rows[0] || null;
+  }
+
+  // Other copies of the same story (syndicated or near-identical bodies), representative first
+  async function getArticleDuplicates(articleId) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      SELECT others.id, others.url, others.source, others.source_name, others.title,
+        others.published_at, others.access_status, others.group_representative
+      FROM articles AS article
+      JOIN articles AS others
+        ON others.duplicate_group_id = article.duplicate_group_id AND others.id <> article.id
+      WHERE article.id = $1 AND others.deleted_at IS NULL
+      ORDER BY others.group_representative DESC, others.published_at ASC NULLS LAST
+    `;
+
+    const { rows } = await pool.query(query, [articleId]);
+    return rows;
+  }
+
+  // Stores the neighbours from lib/relatedArticles.js computeRelated (a Map of article id ->
+  // [{ id, score }]), replacing those of the same articles. Resolves with the number of links stored.
+  async function replaceRelatedArticles(relatedById) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const articleIds = [];
+    const relatedIds = [];
+    const ranks = [];
+    const scores = [];
+    for (const [articleId, neighbours] of relatedById) {
+      neighbours.forEach((neighbour, index) => {
+        articleIds.push(articleId);
+        relatedIds.push(neighbour.id);
+        ranks.push(index + 1);
+        scores.push(neighbour.score);
+      });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM related_articles WHERE article_id = ANY($1)', [[...relatedById.keys()]]);
+      // Articles deleted since the neighbours were computed are skipped
+      const { rowCount } = await client.query(`
+        INSERT INTO related_articles (article_id, related_id, rank, score)
+        SELECT links.article_id, links.related_id, links.rank, links.score
+        FROM unnest($1::bigint[], $2::bigint[], $3::int[], $4::real[]) AS links(article_id, related_id, rank, score)
+        JOIN articles AS article ON article.id = links.article_id
+        JOIN articles AS related ON related.id = links.related_id
+      `, [articleIds, relatedIds, ranks, scores]);
+      await client.query('COMMIT');
+      return rowCount;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // An article's stored neighbours, most similar first, with the local lead image fields and score.
+  // access is 'readable' or null.
+  async function getRelatedArticles(articleId, { limit = 5, access = null } = {}) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      SELECT ${ARTICLE_LIST_COLUMNS.map(column => `articles.${column}`).join(', ')}, ${MEDIA_SELECT},
+        related_articles.score, related_articles.computed_at
+      FROM related_articles
+      JOIN articles ON articles.id = related_articles.related_id
+      LEFT JOIN media ON media.article_id = articles.id AND media.status = 'ready'
+      WHERE related_articles.article_id = $1
+        AND articles.deleted_at IS NULL
+        AND ($2::text[] IS NULL OR articles.access_status = ANY($2))
+      ORDER BY related_articles.rank
+      LIMIT $3
+    `;
+
+    const { rows } = await pool.query(query, [articleId, access === 'readable' ? READABLE_STATUSES : null, limit]);
+    return rows;
+  }
+
+  // [{ access_status, count }], most common first
+  async function countArticlesByAccess() {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      SELECT access_status, COUNT(*)::int AS count
+      FROM articles
+      WHERE deleted_at IS NULL
+      GROUP BY access_status
+      ORDER BY count DESC
+    `;
+
+    const { rows } = await pool.query(query);
+    return rows;
+  }
+
+  // Totals for the dashboard: { total, published, withBody, paywalled, sources, oldest, newest }
+  async function getArticleStats() {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      SELECT
+        COUNT(*)::int AS total,
+        COUNT(*) FILTER (WHERE published)::int AS published,
+        COUNT(*) FILTER (WHERE access_status = ANY($1))::int AS with_body,
+        COUNT(*) FILTER (WHERE access_status = 'paywalled')::int AS paywalled,
+        COUNT(DISTINCT source)::int AS sources,
+        MIN(published_at) AS oldest,
+        MAX(published_at) AS newest
+      FROM articles
+      WHERE deleted_at IS NULL
+    `;
+
+    const { rows } = await pool.query(query, [READABLE_STATUSES]);
+    const { with_body: withBody, ...stats } = rows[0];
+    return { ...stats, withBody };
+  }
+
+  // Resolves with the number of articles changed
+  async function setArticlesPublished(articleIds, published) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const { rowCount } = await pool.query('UPDATE articles SET published = $2 WHERE id = ANY($1)', [articleIds, published]);
+    return rowCount;
+  }
+
+  // Moves articles to the trash, where they are left out of every listing until restored or purged.
+  // Resolves with the number of articles moved.
+  async function trashArticles(articleIds) {
+    return setArticlesTrashed(articleIds, true);
+  }
+
+  // Takes articles out of the trash. Resolves with the number of articles restored.
+  async function restoreArticles(articleIds) {
+    return setArticlesTrashed(articleIds, false);
+  }
+
+  async function setArticlesTrashed(articleIds, trashed) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(`
+        UPDATE articles SET deleted_at = ${trashed ? 'NOW()' : 'NULL'}
+        WHERE id = ANY($1) AND deleted_at IS ${trashed ? 'NULL' : 'NOT NULL'}
+        RETURNING duplicate_group_id
+      `, [articleIds]);
+      // A trashed representative hands over to another copy of the story
+      const groupIds = [...new Set(rows.map(row => row.duplicate_group_id).filter(Boolean))];
+      if (groupIds.length > 0) await electRepresentatives(client, groupIds);
+      await client.query('COMMIT');
+      return rows.length;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Articles in the trash, most recently trashed first. deletedBefore keeps those trashed before then.
+  // Resolves with { articles, total }.
+  async function listTrash({ deletedBefore = null, limit = 50, offset = 0 } = {}) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const where = 'WHERE deleted_at IS NOT NULL AND ($1::timestamptz IS NULL OR deleted_at < $1)';
+    const { rows } = await pool.query(`
+      SELECT ${ARTICLE_SUMMARY_COLUMNS.join(', ')}, deleted_at
+      FROM articles
+      ${where}
+      ORDER BY deleted_at DESC, id DESC
+      LIMIT $2 OFFSET $3
+    `, [deletedBefore, limit, offset]);
+    const { rows: countRows } = await pool.query(`SELECT COUNT(*)::int AS total FROM articles ${where}`, [deletedBefore]);
+
+    return { articles: rows, total: countRows[0].total };
+  }
+
+  // What retention policies are checked against: every article outside the trash, with in_edition
+  // set when a stored edition (processed_content) includes it
+  async function listRetentionCandidates() {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      WITH edition_articles AS (
+        SELECT DISTINCT (edition_article->>'id') AS id
+        FROM processed_content, jsonb_array_elements(processed_content.articles) AS edition_article
+        WHERE jsonb_typeof(processed_content.articles) = 'array'
+      )
+      SELECT id, title, source, access_status, published, published_at, scraped_at,
+        id::text IN (SELECT id FROM edition_articles WHERE id IS NOT NULL) AS in_edition
+      FROM articles
+      WHERE deleted_at IS NULL
+      ORDER BY id
+    `;
+
+    const { rows } = await pool.query(query);
+    return rows;
+  }
+
+  // Trashed articles as written to a cleanup archive: [{ article, revisions, analytics, media }]
+  async function getArticlesForArchive(articleIds) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      SELECT to_jsonb(articles) - 'search_vector' AS article,
+        COALESCE((
+          SELECT jsonb_agg(to_jsonb(revision) ORDER BY revision.revision)
+          FROM article_revisions AS revision
+          WHERE revision.article_id = articles.id
+        ), '[]') AS revisions,
+        COALESCE((
+          SELECT jsonb_agg(to_jsonb(event) ORDER BY event.id)
+          FROM analytics AS event
+          WHERE event.article_id = articles.id
+        ), '[]') AS analytics,
+        (SELECT to_jsonb(media) FROM media WHERE media.article_id = articles.id) AS media
+      FROM articles
+      WHERE id = ANY($1) AND deleted_at IS NOT NULL
+      ORDER BY id
+    `;
+
+    const { rows } = await pool.query(query, [articleIds]);
+    return rows;
+  }
+
+  // Deletes trashed articles for good, with their revisions, media and related-article links.
+  // Analytics events stay, without the article reference. Resolves with the number deleted.
+  async function purgeArticles(articleIds) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const { rowCount } = await pool.query('DELETE FROM articles WHERE id = ANY($1) AND deleted_at IS NOT NULL', [articleIds]);
+    return rowCount;
+  }
+
+  // The blob keys among keys that a media row still points to. Keys are content hashes, so articles
+  // with the same image share them.
+  async function getReferencedMediaKeys(keys) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const { rows } = await pool.query(`
+      SELECT DISTINCT variant.value->>'key' AS key
+      FROM media, jsonb_each(media.variants) AS variant
+      WHERE variant.value->>'key' = ANY($1);
+    `, [keys]);
+    return rows.map(row => row.key);
+  }
+
+  // Stores an analysis from ContentProcessor#analyzeArticleContent on its article
+  async function saveArticleAnalysis(analysis) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      UPDATE articles SET
+        category = $2,
+        quality_score = $3,
+        relevance_score = $4,
+        key_topics = $5,
+        summary = $6,
+        engagement_potential = $7,
+        processed_at = $8
+      WHERE id = $1
+      RETURNING id;
+    `;
+
+    const { rows } = await pool.query(query, [
+      analysis.articleId,
+      analysis.category || null,
+      Number.isFinite(analysis.qualityScore) ? Math.round(analysis.qualityScore) : null,
+      Number.isFinite(analysis.relevanceScore) ? Math.round(analysis.relevanceScore) : null,
+      Array.isArray(analysis.keyTopics) ? analysis.keyTopics.map(String) : null,
+      analysis.summary || null,
+      analysis.engagementPotential || null,
+      analysis.processedAt || new Date()
+    ]);
+    return rows[0] || null;
+  }
+
+  async function getBackfillCheckpoint(key) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const { rows } = await pool.query('SELECT * FROM backfill_checkpoints WHERE key = $1', [key]);
+    return rows[0] || null;
+  }
+
+  // The latest unfinished backfill of source starting on from (an ISO day), with range_to as an
+  // ISO day too
+  async function findOpenBackfillCheckpoint(source, from) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const { rows } = await pool.query(`
+      SELECT key, range_to::text AS range_to
+      FROM backfill_checkpoints
+      WHERE source = $1 AND range_from = $2 AND completed_at IS NULL
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `, [source, from]);
+    return rows[0] || null;
+  }
+
+  async function saveBackfillCheckpoint(key, { source, from, to, state, completed = false }) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      INSERT INTO backfill_checkpoints (key, source, range_from, range_to, state, completed_at)
+      VALUES ($1, $2, $3, $4, $5, CASE WHEN $6 THEN NOW() END)
+      ON CONFLICT (key) DO UPDATE SET
+        state = EXCLUDED.state,
+        updated_at = NOW(),
+        completed_at = EXCLUDED.completed_at
+      RETURNING *;
+    `;
+
+    const { rows } = await pool.query(query, [key, source, from, to, JSON.stringify(state), completed]);
+    return rows[0];
+  }
+
+  async function saveProcessedContent(headline, articles) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      INSERT INTO processed_content (headline, articles, processed_at)
+      VALUES ($1, $2, NOW())
+      RETURNING *;
+    `;
+
+    const { rows } = await pool.query(query, [headline, JSON.stringify(articles)]);
+    return rows[0];
+  }
+
+  async function getLatestProcessedContent() {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      SELECT * FROM processed_content 
+      ORDER BY processed_at DESC 
+      LIMIT 1
+    `;
+    
+    const { rows } = await pool.query(query);
+    return rows[0] || null;
+  }
+
+  // Marks the latest edition as published; resolves with it (null when there is none)
+  async function publishLatestProcessedContent() {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      UPDATE processed_content
+      SET published = true
+      WHERE id = (SELECT id FROM processed_content ORDER BY processed_at DESC LIMIT 1)
+      RETURNING *;
+    `;
+
+    const { rows } = await pool.query(query);
+    return rows[0] || null;
+  }
+
+  async function getTopArticles(limit = 20, category = null) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    // Only one article per duplicate group is a candidate
+    let whereClause = 'WHERE deleted_at IS NULL AND access_status = ANY($1) AND group_representative AND quality_score >= 7';
+    let queryParams = [READABLE_STATUSES];
+    let paramIndex = 2;
+
+    if (category) {
+      whereClause += ` AND category = $${paramIndex}`;
+      queryParams.push(category);
+      paramIndex++;
+    }
+
+    const query = `
+      SELECT * FROM articles 
+      ${whereClause}
+      ORDER BY quality_score DESC, published_at DESC 
+      LIMIT $${paramIndex}
+    `;
+
+    queryParams.push(limit);
+    
+    const { rows } = await pool.query(query, queryParams);
+    return rows;
+  }
+
+  async function saveArticles(articles) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const saved = [];
+    for (const article of articles) {
+      try {
+        const savedRow = await upsertArticle(article);
+        saved.push(savedRow);
+      } catch (err) {
+        console.error('Failed to save article:', err.message);
+      }
+    }
+    
+    return saved;
+  }
+
+  async function trackAnalytics(articleId, eventType, eventData = {}) {
+    if (!pool) {
+      throw new Error('DATABASE_URL or POSTGRES_URL must be set for Postgres.');
+    }
+
+    const query = `
+      INSERT INTO analytics (article_id, event_type, event_data)
+      VALUES ($1, $2, $3)
+      RETURNING *;
+    `;
+
+    const { rows } = await pool.query(query, [articleId, eventType, eventData]);
+    return rows[0];
+  }
+
+  async function close() {
+    if (pool) await pool.end();
+  }
+
+  return {
+    initSchema,
+    upsertArticle,
+    saveArticles,
+    getArticleFetchState,
+    markArticlesChecked,
+    saveScrapeRun,
+    getScrapeRunHistory,
+    listScrapeRuns,
+    getSourceHealth,
+    getScrapeStatus,
+    getArticleRevisions,
+    listArticles,
+    listArticlePage,
+    searchArticles,
+    getArticle,
+    getArticleDuplicates,
+    replaceRelatedArticles,
+    getRelatedArticles,
+    countArticlesByAccess,
+    getArticleStats,
+    setArticlesPublished,
+    trashArticles,
+    restoreArticles,
+    listTrash,
+    listRetentionCandidates,
+    getArticlesForArchive,
+    purgeArticles,
+    getReferencedMediaKeys,
+    saveArticleAnalysis,
+    getArticlesNeedingMedia,
+    saveMedia,
+    getReadyMedia,
+    enqueueJob,
+    claimJob,
+    heartbeatJobs,
+    appendJobLogs,
+    finishJob,
+    recoverStaleJobs,
+    listJobs,
+    getJob,
+    getJobLogs,
+    cancelJob,
+    retryJob,
+    getBackfillCheckpoint,
+    findOpenBackfillCheckpoint,
+    saveBackfillCheckpoint,
+    saveProcessedContent,
+    getLatestProcessedContent,
+    publishLatestProcessedContent,
+    getTopArticles,
+    trackAnalytics,
+    close,
+    pool
+  };
 }
 
-module.exports = {
-  initSchema,
-  upsertArticle,
-  saveArticles,
-  saveProcessedContent,
-  getLatestProcessedContent,
-  getTopArticles,
-  trackAnalytics,
-  pool
-};
+module.exports = { createPostgresRepository };
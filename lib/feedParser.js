@@ -0,0 +1,122 @@
+'use strict';
+
+const { XMLParser } = require('fast-xml-parser');
+const cheerio = require('cheerio');
+
+const FEED_TYPES = ['application/rss+xml', 'application/atom+xml'];
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function textValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'object') value = value['#text'];
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+// Feed summaries are frequently HTML fragments
+function stripHtml(value) {
+  const text = textValue(value);
+  if (!text) return null;
+  return cheerio.load(`<div>${text}</div>`)('div').first().text().replace(/\s+/g, ' ').trim() || null;
+}
+
+function toIsoDate(value) {
+  const text = textValue(value);
+  if (!text) return null;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function parseRssItem(item) {
+  const loc = textValue(item.link) || textValue(item.guid);
+  if (!loc) return null;
+
+  const publishedAt = toIsoDate(item.pubDate) || toIsoDate(item.date);
+
+  return {
+    loc,
+    lastmod: publishedAt,
+    title: stripHtml(item.title),
+    summary: stripHtml(item.description),
+    author: textValue(item.creator) || textValue(item.author),
+    publishedAt
+  };
+}
+
+function pickAtomLink(links) {
+  const all = toArray(links);
+  const alternate = all.find(link => !link['@_rel'] || link['@_rel'] === 'alternate');
+  const link = alternate || all[0];
+  if (!link) return null;
+  return typeof link === 'string' ? link.trim() : textValue(link['@_href']);
+}
+
+function parseAtomEntry(entry) {
+  const loc = pickAtomLink(entry.link) || textValue(entry.id);
+  if (!loc) return null;
+
+  const author = toArray(entry.author)[0];
+  const publishedAt = toIsoDate(entry.published) || toIsoDate(entry.updated);
+
+  return {
+    loc,
+    lastmod: toIsoDate(entry.updated) || publishedAt,
+    title: stripHtml(entry.title),
+    summary: stripHtml(entry.summary) || stripHtml(entry.content),
+    author: author ? textValue(author.name) || textValue(author) : null,
+    publishedAt
+  };
+}
+
+// Parses RSS 2.0 (<rss><channel><item>) and Atom (<feed><entry>) into discovery entries
+function parseFeedXml(xml) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    removeNSPrefix: true,
+    parseTagValue: false
+  });
+  const data = parser.parse(xml);
+
+  if (!data) return [];
+
+  if (data.rss && data.rss.channel) {
+    const channel = Array.isArray(data.rss.channel) ? data.rss.channel[0] : data.rss.channel;
+    return toArray(channel.item).map(parseRssItem).filter(Boolean);
+  }
+
+  if (data.feed) {
+    return toArray(data.feed.entry).map(parseAtomEntry).filter(Boolean);
+  }
+
+  return [];
+}
+
+// Finds <link rel="alternate" type="application/rss+xml|atom+xml"> feeds advertised by a page
+function discoverFeedUrls(html, baseUrl) {
+  const $ = cheerio.load(html);
+  const urls = [];
+
+  $('link[rel~="alternate"][href]').each((_, el) => {
+    const type = ($(el).attr('type') || '').toLowerCase().trim();
+    if (!FEED_TYPES.includes(type)) return;
+
+    try {
+      const url = new URL($(el).attr('href'), baseUrl).toString();
+      if (!urls.includes(url)) urls.push(url);
+    } catch (err) {
+      // ignore malformed hrefs
+    }
+  });
+
+  return urls;
+}
+
+module.exports = {
+  parseFeedXml,
+  discoverFeedUrls
+};
@@ -0,0 +1,380 @@
+'use strict';
+
+// Shared HTTP client for the scraper: per-host rate limiting, timeouts,
+// retries with exponential backoff (honoring Retry-After) and robots.txt.
+
+const DEFAULT_USER_AGENT = process.env.SCRAPER_USER_AGENT ||
+  'BuenosDiasChileBot/1.0 (+https://github.com/kuatecno/mejoresnoticias)';
+
+const DEFAULT_OPTIONS = {
+  userAgent: DEFAULT_USER_AGENT,
+  // Simultaneous requests allowed against one host
+  maxConcurrentPerHost: 2,
+  // Requests per second allowed against one host (robots.txt Crawl-delay can lower it further)
+  requestsPerSecond: 1,
+  timeoutMs: 20000,
+  retries: 3,
+  backoffBaseMs: 1000,
+  backoffMaxMs: 60000,
+  respectRobots: true,
+  // Robots.txt files are re-fetched after this long
+  robotsTtlMs: 6 * 60 * 60 * 1000,
+  // A robots.txt the host failed to serve is tried again after this long; until then nothing on the
+  // host is fetched
+  robotsRetryMs: 10 * 60 * 1000,
+  // Larger responses are abandoned rather than read into memory
+  maxResponseBytes: 20 * 1024 * 1024
+};
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Responses to these have no body
+const NULL_BODY_STATUSES = [204, 205, 304];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group of rules
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = Number(value);
+      if (Number.isFinite(delay)) current.crawlDelay = delay;
+    }
+  }
+
+  return groups;
+}
+
+function selectRobotsGroup(groups, userAgent) {
+  const agent = userAgent.toLowerCase();
+  let best = null;
+  let bestLength = -1;
+
+  for (const group of groups) {
+    for (const token of group.agents) {
+      if (token === '*') {
+        if (bestLength < 0) {
+          best = group;
+          bestLength = 0;
+        }
+      } else if (agent.includes(token) && token.length > bestLength) {
+        best = group;
+        bestLength = token.length;
+      }
+    }
+  }
+
+  return best;
+}
+
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// Longest matching rule wins; Allow wins ties (RFC 9309)
+function isPathAllowed(group, pathWithQuery) {
+  if (!group) return true;
+
+  let verdict = true;
+  let matchedLength = -1;
+
+  for (const rule of group.rules) {
+    if (!rule.path) continue;
+    if (!robotsPatternToRegExp(rule.path).test(pathWithQuery)) continue;
+
+    if (rule.path.length > matchedLength || (rule.path.length === matchedLength && rule.allow)) {
+      verdict = rule.allow;
+      matchedLength = rule.path.length;
+    }
+  }
+
+  return verdict;
+}
+
+function tooLarge(url, bytes, maxBytes) {
+  const err = new Error(`Response from ${url} is over ${maxBytes} bytes (${bytes})`);
+  err.code = 'RESPONSE_TOO_LARGE';
+  return err;
+}
+
+// Reads the whole body of `res` and returns an equivalent Response holding it
+async function bufferResponse(url, res, maxBytes) {
+  const init = { status: res.status, statusText: res.statusText, headers: res.headers };
+  if (!res.body || NULL_BODY_STATUSES.includes(res.status)) return new Response(null, init);
+
+  const declared = parseInt(res.headers.get('content-length'), 10);
+  if (declared > maxBytes) {
+    await res.body.cancel();
+    throw tooLarge(url, declared, maxBytes);
+  }
+
+  const chunks = [];
+  let bytes = 0;
+  // Leaving the loop early cancels the stream
+  for await (const chunk of res.body) {
+    bytes += chunk.length;
+    if (bytes > maxBytes) throw tooLarge(url, bytes, maxBytes);
+    chunks.push(chunk);
+  }
+  return new Response(Buffer.concat(chunks), init);
+}
+
+function createHttpClient(overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const fetchImpl = options.fetch || ((...args) => fetch(...args));
+
+  const hosts = new Map();
+  const robotsCache = new Map();
+
+  function hostState(host) {
+    if (!hosts.has(host)) {
+      hosts.set(host, { active: 0, waiting: [], nextSlotAt: 0, crawlDelayMs: 0 });
+    }
+    return hosts.get(host);
+  }
+
+  async function acquire(host) {
+    const state = hostState(host);
+
+    if (state.active >= options.maxConcurrentPerHost) {
+      // release() hands its slot straight to us, so `active` is never briefly below the limit
+      await new Promise(resolve => state.waiting.push(resolve));
+    } else {
+      state.active++;
+    }
+
+    // Space requests out to the host's rate, reserving our slot before sleeping
+    const interval = Math.max(1000 / options.requestsPerSecond, state.crawlDelayMs);
+    const now = Date.now();
+    const slot = Math.max(now, state.nextSlotAt);
+    state.nextSlotAt = slot + interval;
+
+    if (slot > now) await sleep(slot - now);
+  }
+
+  function release(host) {
+    const state = hostState(host);
+    const next = state.waiting.shift();
+    if (next) next();
+    else state.active--;
+  }
+
+  // The host's slot is held until the body has been read, so maxConcurrentPerHost bounds whole
+  // downloads rather than just waiting for headers. The body is read under the same timeout.
+  async function rawFetch(url, init = {}, userAgent = options.userAgent) {
+    const { host } = new URL(url);
+    await acquire(host);
+
+    try {
+      const res = await fetchImpl(url, {
+        ...init,
+        headers: {
+          'User-Agent': userAgent,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'es-CL,es;q=0.9,en;q=0.8',
+          ...(init.headers || {})
+        },
+        signal: AbortSignal.timeout(options.timeoutMs)
+      });
+      return await bufferResponse(url, res, options.maxResponseBytes);
+    } finally {
+      release(host);
+    }
+  }
+
+  // How long to wait before retry number attempt + 1: Retry-After when res has one, else
+  // exponential backoff with jitter
+  function retryDelay(res, attempt) {
+    const retryAfter = res ? parseRetryAfter(res.headers.get('retry-after')) : null;
+    if (retryAfter !== null) return Math.min(retryAfter, options.backoffMaxMs);
+    const backoff = Math.min(options.backoffMaxMs, options.backoffBaseMs * 2 ** attempt);
+    return backoff + Math.random() * options.backoffBaseMs;
+  }
+
+  // Resolves with { groups, error }. As RFC 9309 says, a missing robots.txt (4xx) allows everything,
+  // while one the host fails to serve (5xx, 429 or a network error) allows nothing: error is set.
+  // Such failures are retried like any request first, so one bad response doesn't block the host.
+  async function fetchRobots(origin, userAgent) {
+    for (let attempt = 0; ; attempt++) {
+      let res = null;
+      let error;
+      try {
+        res = await rawFetch(`${origin}/robots.txt`, {}, userAgent);
+        if (res.ok) return { groups: parseRobotsTxt(await res.text()), error: null };
+        if (res.status < 500 && res.status !== 429) return { groups: [], error: null };
+        error = `status ${res.status}`;
+      } catch (err) {
+        error = err.message;
+      }
+
+      if (attempt >= options.retries) return { groups: [], error };
+      const delay = retryDelay(res, attempt);
+      console.warn(`Retrying ${origin}/robots.txt in ${Math.round(delay)}ms (attempt ${attempt + 1}/${options.retries}, ${error})`);
+      await sleep(delay);
+    }
+  }
+
+  // Cache the pending promise so concurrent requests to a new host share one robots.txt fetch.
+  // Failed fetches are cached for robotsRetryMs only.
+  function loadRobots(origin, userAgent) {
+    const cached = robotsCache.get(origin);
+    if (cached && Date.now() < cached.expiresAt) {
+      return cached.robots;
+    }
+
+    const entry = { robots: null, expiresAt: Date.now() + options.robotsTtlMs };
+    entry.robots = fetchRobots(origin, userAgent).then((robots) => {
+      if (robots.error) {
+        entry.expiresAt = Date.now() + options.robotsRetryMs;
+        console.warn(`Could not fetch robots.txt for ${origin} (${robots.error}), skipping the host for ${Math.round(options.robotsRetryMs / 1000)}s`);
+      }
+      return robots;
+    });
+    robotsCache.set(origin, entry);
+    return entry.robots;
+  }
+
+  async function checkRobots(url, userAgent) {
+    const { origin, host, pathname, search } = new URL(url);
+    const { groups, error } = await loadRobots(origin, userAgent);
+    if (error) {
+      const err = new Error(`robots.txt of ${origin} is unavailable (${error}), retry later: ${url}`);
+      err.code = 'ROBOTS_UNAVAILABLE';
+      throw err;
+    }
+
+    const group = selectRobotsGroup(groups, userAgent);
+
+    if (group && group.crawlDelay) {
+      const state = hostState(host);
+      state.crawlDelayMs = Math.max(state.crawlDelayMs, group.crawlDelay * 1000);
+    }
+
+    if (!isPathAllowed(group, pathname + search)) {
+      const err = new Error(`Blocked by robots.txt: ${url}`);
+      err.code = 'ROBOTS_DISALLOWED';
+      throw err;
+    }
+  }
+
+  // init.userAgent overrides the client's User-Agent (sources can set their own).
+  // Resolves with the Response, its body already read, for 2xx and 304; throws with err.status for
+  // anything else.
+  async function request(url, init = {}) {
+    const { userAgent = options.userAgent, ...fetchInit } = init;
+
+    if (options.respectRobots) {
+      await checkRobots(url, userAgent);
+    }
+
+    let attempt = 0;
+    for (;;) {
+      let res = null;
+      let error = null;
+
+      try {
+        res = await rawFetch(url, fetchInit, userAgent);
+      } catch (err) {
+        error = err;
+      }
+
+      if (res && (res.ok || res.status === 304)) return res;
+
+      const retryable = error ? error.code !== 'RESPONSE_TOO_LARGE' : RETRYABLE_STATUSES.includes(res.status);
+      if (!retryable || attempt >= options.retries) {
+        if (error) {
+          // Timeouts are DOMExceptions, whose message can't be rewritten
+          const err = new Error(`Request failed for ${url}: ${error.message}`, { cause: error });
+          if (error.code) err.code = error.code;
+          throw err;
+        }
+        const err = new Error(`Request failed for ${url} with status ${res.status}`);
+        err.status = res.status;
+        throw err;
+      }
+
+      const delay = retryDelay(res, attempt);
+
+      attempt++;
+      console.warn(`Retrying ${url} in ${Math.round(delay)}ms (attempt ${attempt}/${options.retries}, ${error ? error.message : `status ${res.status}`})`);
+
+      if (res && (res.status === 429 || res.status === 503)) {
+        // Push back everyone else queued on this host too
+        const state = hostState(new URL(url).host);
+        state.nextSlotAt = Math.max(state.nextSlotAt, Date.now() + delay);
+      }
+
+      await sleep(delay);
+    }
+  }
+
+  async function fetchText(url, init) {
+    const res = await request(url, init);
+    return await res.text();
+  }
+
+  async function fetchBuffer(url, init) {
+    const res = await request(url, init);
+    return Buffer.from(await res.arrayBuffer());
+  }
+
+  return {
+    request,
+    fetchText,
+    fetchBuffer,
+    options
+  };
+}
+
+module.exports = {
+  createHttpClient,
+  parseRobotsTxt,
+  parseRetryAfter,
+  DEFAULT_USER_AGENT
+};
@@ -0,0 +1,291 @@
+'use strict';
+
+const cheerio = require('cheerio');
+const { extractBlocks, blocksToText, embedProvider } = require('./bodyBlocks');
+const { uniqueStrings } = require('./articleMetadata');
+
+// Article bodies read from the state that JavaScript front ends embed for hydration, e.g. Arc XP's
+// `Fusion.globalContent = {...}` or Next.js' <script id="__NEXT_DATA__">. The CMS data is far more
+// stable than the rendered markup, and on client-rendered pages it is the only copy of the body.
+
+// Inline scripts that assign the page state to a global
+const STATE_ASSIGNMENTS = ['Fusion.globalContent', 'window.__INITIAL_STATE__', 'window.__PRELOADED_STATE__'];
+
+// Script elements whose whole content is the serialized state
+const STATE_SCRIPTS = ['script#__NEXT_DATA__'];
+
+// Object keys that hold an HTML body in non-Arc states (WordPress REST puts it in content.rendered)
+const HTML_BODY_KEYS = ['body', 'content', 'articleBody', 'bodyHtml'];
+
+// States can be large (whole Redux stores), so the article search is bounded
+const MAX_DEPTH = 12;
+const MAX_NODES = 20000;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Returns the JSON object or array literal starting at `start`, scanning brackets outside strings
+function sliceLiteral(text, start) {
+  const open = text[start];
+  if (open !== '{' && open !== '[') return null;
+
+  let depth = 0;
+  let quote = null;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+
+    if (char === '"' || char === "'") quote = char;
+    else if (char === '{' || char === '[') depth++;
+    else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  return null;
+}
+
+function parseAssignment(script, name) {
+  const match = new RegExp(`(?<![\\w$])${escapeRegex(name)}\\s*=\\s*`).exec(script);
+  if (!match) return null;
+
+  const literal = sliceLiteral(script, match.index + match[0].length);
+  if (!literal) return null;
+
+  try {
+    return JSON.parse(literal);
+  } catch (err) {
+    return null;
+  }
+}
+
+// [{ name, state }] for every hydration blob on the page, in STATE_SCRIPTS then STATE_ASSIGNMENTS order
+function findStates($) {
+  const states = [];
+
+  for (const selector of STATE_SCRIPTS) {
+    const text = $(selector).first().contents().text().trim();
+    if (!text) continue;
+    try {
+      states.push({ name: selector.replace(/^script#/, ''), state: JSON.parse(text) });
+    } catch (err) {
+      // ignore malformed state
+    }
+  }
+
+  const scripts = $('script:not([src])').toArray()
+    .map(el => $(el).contents().text())
+    .filter(text => STATE_ASSIGNMENTS.some(name => text.includes(name)));
+
+  for (const name of STATE_ASSIGNMENTS) {
+    for (const script of scripts) {
+      const state = parseAssignment(script, name);
+      if (state) {
+        states.push({ name, state });
+        break;
+      }
+    }
+  }
+
+  return states;
+}
+
+// Depth-first search for the first object matching `predicate`
+function findObject(root, predicate) {
+  const stack = [{ value: root, depth: 0 }];
+  let visited = 0;
+
+  while (stack.length > 0 && visited < MAX_NODES) {
+    const { value, depth } = stack.pop();
+    if (!value || typeof value !== 'object') continue;
+    visited++;
+
+    if (!Array.isArray(value) && predicate(value)) return value;
+    if (depth >= MAX_DEPTH) continue;
+
+    // Pushed in reverse so children are visited in document order
+    const children = Array.isArray(value) ? value : Object.values(value);
+    for (let i = children.length - 1; i >= 0; i--) {
+      stack.push({ value: children[i], depth: depth + 1 });
+    }
+  }
+
+  return null;
+}
+
+// Arc XP's content format (ANS): a story with `content_elements`
+function isAnsStory(value) {
+  return Array.isArray(value.content_elements) && (value.type === 'story' || Boolean(value.headlines));
+}
+
+function htmlBody(value) {
+  for (const key of HTML_BODY_KEYS) {
+    const field = value[key];
+    const html = field && typeof field === 'object' ? field.rendered : field;
+    if (typeof html === 'string' && /<p[\s>]/i.test(html)) return html;
+  }
+  return null;
+}
+
+function htmlText(html) {
+  if (!html) return '';
+  return cheerio.load(`<div>${html}</div>`, null, false).text().replace(/\s+/g, ' ').trim();
+}
+
+function absoluteUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    return new URL(href, baseUrl).toString();
+  } catch (err) {
+    return null;
+  }
+}
+
+// Paragraph, heading, list and figure blocks from an HTML fragment
+function htmlBlocks(html, baseUrl) {
+  const $ = cheerio.load(`<div>${html}</div>`, null, false);
+  return extractBlocks($, $('div').first()[0], el => el.tagName === 'p', baseUrl);
+}
+
+// ANS content_elements -> body blocks. Interstitial links, raw HTML, custom embeds and videos are
+// promos or widgets rather than article text, so they are left out.
+function ansBlocks(elements, baseUrl) {
+  const blocks = [];
+
+  for (const element of elements || []) {
+    switch (element.type) {
+      case 'text':
+        blocks.push(...htmlBlocks(`<p>${element.content || ''}</p>`, baseUrl));
+        break;
+      case 'header': {
+        const text = htmlText(element.content);
+        if (text) blocks.push({ type: 'heading', level: element.level || 2, text });
+        break;
+      }
+      case 'quote':
+      case 'blockquote': {
+        const text = (element.content_elements || [])
+          .map(child => htmlText(child.content))
+          .filter(Boolean)
+          .join(' ');
+        const cite = htmlText(element.citation && element.citation.content) || null;
+        if (text) blocks.push({ type: 'quote', text, cite });
+        break;
+      }
+      case 'list': {
+        const items = (element.items || []).map(item => htmlText(item.content)).filter(Boolean);
+        if (items.length > 0) blocks.push({ type: 'list', ordered: element.list_type === 'ordered', items });
+        break;
+      }
+      case 'image': {
+        const src = absoluteUrl(element.url, baseUrl);
+        if (src) blocks.push({ type: 'image', src, alt: element.alt_text || null, caption: htmlText(element.caption) || null });
+        break;
+      }
+      case 'oembed_response': {
+        const url = (element.referent && element.referent.id) || (element.raw_oembed && element.raw_oembed.url);
+        if (url) blocks.push({ type: 'embed', provider: embedProvider(url), url });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return blocks;
+}
+
+function ansMetadata(story, baseUrl) {
+  const taxonomy = story.taxonomy || {};
+  const section = taxonomy.primary_section || (taxonomy.sections || [])[0];
+  const promo = story.promo_items && story.promo_items.basic;
+  const promoImage = promo && promo.type === 'image' ? promo : null;
+
+  return {
+    title: (story.headlines && story.headlines.basic) || null,
+    description: (story.subheadlines && story.subheadlines.basic) || (story.description && story.description.basic) || null,
+    imageUrl: promoImage ? absoluteUrl(promoImage.url, baseUrl) : null,
+    imageAlt: promoImage ? promoImage.alt_text || htmlText(promoImage.caption) || null : null,
+    publishedAt: story.first_publish_date || story.display_date || story.publish_date || null,
+    modifiedAt: story.last_updated_date || null,
+    authors: uniqueStrings(((story.credits && story.credits.by) || []).map(credit => credit.name)),
+    section: (section && section.name) || null,
+    tags: uniqueStrings((taxonomy.tags || []).map(tag => tag.text))
+  };
+}
+
+// "Jane Doe", { name }, { node: { name } } (GraphQL) or arrays of those
+function names(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(names);
+  if (typeof value === 'string') return [value];
+  if (typeof value === 'object') return names(value.name || value.node || value.nodes);
+  return [];
+}
+
+function textField(value) {
+  if (typeof value === 'string') return htmlText(value) || null;
+  if (value && typeof value === 'object' && typeof value.rendered === 'string') return htmlText(value.rendered) || null;
+  return null;
+}
+
+function htmlMetadata(article, baseUrl) {
+  const image = article.image || article.featuredImage || article.mainImage;
+  const imageUrl = typeof image === 'string' ? image : image && (image.url || image.src || image.sourceUrl);
+  const section = article.section || article.category || article.categories;
+
+  return {
+    title: textField(article.headline) || textField(article.title),
+    description: textField(article.description) || textField(article.excerpt) || textField(article.summary),
+    imageUrl: absoluteUrl(imageUrl, baseUrl),
+    imageAlt: (image && typeof image === 'object' && (image.alt || image.altText)) || null,
+    publishedAt: article.publishedAt || article.datePublished || article.date || null,
+    modifiedAt: article.updatedAt || article.dateModified || article.modified || null,
+    authors: uniqueStrings(names(article.authors || article.author)),
+    section: typeof section === 'string' ? section : names(section)[0] || null,
+    tags: uniqueStrings(names(article.tags))
+  };
+}
+
+// Reads the article out of the page's hydration state. Returns
+// { name, blocks, bodyText, metadata } (name being the blob it came from, e.g. "Fusion.globalContent")
+// or null when no blob holds an article body. metadata has the same fields as extractFromJsonLd.
+function extractHydration($, baseUrl) {
+  const states = findStates($);
+
+  for (const { name, state } of states) {
+    const story = findObject(state, isAnsStory);
+    if (!story) continue;
+
+    const blocks = ansBlocks(story.content_elements, baseUrl);
+    if (blocks.length > 0) {
+      return { name, blocks, bodyText: blocksToText(blocks), metadata: ansMetadata(story, baseUrl) };
+    }
+  }
+
+  for (const { name, state } of states) {
+    const article = findObject(state, htmlBody);
+    if (!article) continue;
+
+    const blocks = htmlBlocks(htmlBody(article), baseUrl);
+    if (blocks.length > 0) {
+      return { name, blocks, bodyText: blocksToText(blocks), metadata: htmlMetadata(article, baseUrl) };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  extractHydration,
+  STATE_ASSIGNMENTS,
+  STATE_SCRIPTS
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { createHttpClient } = require('./httpClient');
+
+// Downloads an article's lead image once, stores resized WebP variants in a blob store
+// (see lib/blobStore.js) and describes them for the media table, so pages never hotlink publishers.
+
+// Variant name -> maximum width. Smaller images are never enlarged.
+const IMAGE_SIZES = {
+  thumb: 320,
+  medium: 800,
+  large: 1600
+};
+
+// Larger downloads are rejected rather than decoded
+const MAX_IMAGE_BYTES = 15 * 1024 * 1024;
+
+// Width of the inline blurred placeholder
+const PLACEHOLDER_WIDTH = 16;
+
+const WEBP_QUALITY = 80;
+
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+async function downloadImage(url, client) {
+  const res = await client.request(url, { headers: { Accept: 'image/avif,image/webp,image/*;q=0.8' } });
+
+  const contentType = (res.headers.get('content-type') || '').split(';')[0].trim();
+  if (contentType && !contentType.startsWith('image/')) {
+    const err = new Error(`Expected an image but got ${contentType}`);
+    err.code = 'NOT_AN_IMAGE';
+    throw err;
+  }
+
+  const length = parseInt(res.headers.get('content-length'), 10);
+  if (length > MAX_IMAGE_BYTES) {
+    const err = new Error(`Image is ${length} bytes (limit ${MAX_IMAGE_BYTES})`);
+    err.code = 'IMAGE_TOO_LARGE';
+    throw err;
+  }
+
+  const buffer = Buffer.from(await res.arrayBuffer());
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    const err = new Error(`Image is ${buffer.length} bytes (limit ${MAX_IMAGE_BYTES})`);
+    err.code = 'IMAGE_TOO_LARGE';
+    throw err;
+  }
+
+  return buffer;
+}
+
+// Decodes `buffer` and returns { hash, width, height, format, dominantColor, placeholder, variants },
+// variants being { [size]: { buffer, width, height } }
+async function processImage(buffer) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const { format } = await sharp(buffer).metadata();
+
+  // Decode once (rotate() applies the EXIF orientation so dimensions match what readers see)
+  // and resize from the raw pixels
+  const { data, info } = await sharp(buffer, { failOn: 'error' })
+    .rotate()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const decoded = () => sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+
+  const { dominant } = await decoded().stats();
+
+  const variants = {};
+  for (const [size, maxWidth] of Object.entries(IMAGE_SIZES)) {
+    const { data: resized, info: resizedInfo } = await decoded()
+      .resize({ width: maxWidth, withoutEnlargement: true })
+      .webp({ quality: WEBP_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+    variants[size] = { buffer: resized, width: resizedInfo.width, height: resizedInfo.height };
+  }
+
+  const placeholder = await decoded()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    hash,
+    width: info.width,
+    height: info.height,
+    format,
+    dominantColor: toHex(dominant),
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    variants
+  };
+}
+
+// Fetches and stores the lead image of `article` ({ id, image_url, image_alt }). Resolves with the
+// media record to save: status 'ready' with dimensions and variant keys, or 'failed' with the error.
+async function processArticleImage(article, { store, client = createHttpClient() }) {
+  const record = {
+    articleId: article.id,
+    sourceUrl: article.image_url,
+    altText: article.image_alt || null
+  };
+
+  try {
+    const processed = await processImage(await downloadImage(article.image_url, client));
+
+    const variants = {};
+    for (const [size, variant] of Object.entries(processed.variants)) {
+      const key = `${processed.hash.slice(0, 2)}/${processed.hash}/${size}.webp`;
+      await store.put(key, variant.buffer, 'image/webp');
+      variants[size] = {
+        key,
+        width: variant.width,
+        height: variant.height,
+        bytes: variant.buffer.length,
+        contentType: 'image/webp'
+      };
+    }
+
+    return {
+      ...record,
+      status: 'ready',
+      contentHash: processed.hash,
+      format: processed.format,
+      width: processed.width,
+      height: processed.height,
+      dominantColor: processed.dominantColor,
+      placeholder: processed.placeholder,
+      variants,
+      error: null
+    };
+  } catch (err) {
+    return { ...record, status: 'failed', error: err.message };
+  }
+}
+
+module.exports = {
+  processArticleImage,
+  processImage,
+  IMAGE_SIZES
+};
@@ -0,0 +1,263 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { fork } = require('child_process');
+
+// Runs queued jobs (the jobs in lib/repository.js). Each job runs in its own child process
+// (api/run-job.js) so its output can be captured line by line and a cancelled job can be stopped.
+
+// Types the job runner knows how to execute
+const JOB_TYPES = ['scrape', 'ai-generate'];
+
+const JOB_RUNNER = path.join(__dirname, '..', 'api', 'run-job.js');
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+
+// A running job whose worker hasn't sent a heartbeat for this long is presumed dead
+const STALE_AFTER_SECONDS = 60;
+
+// A job process still running this long after SIGTERM (on cancel or stop) is killed with SIGKILL
+const DEFAULT_KILL_TIMEOUT_MS = 10000;
+
+// Output beyond this many lines per attempt is dropped
+const MAX_LOG_LINES = 5000;
+
+// Recent progress events kept for the dashboard
+const MAX_RECENT_EVENTS = 20;
+
+function emptyProgress() {
+  return {
+    counts: { discovered: 0, queued: 0, fetched: 0, extracted: 0, saved: 0, unchanged: 0, failed: 0 },
+    sources: {},
+    recent: []
+  };
+}
+
+// Folds one scrape progress event (see PROGRESS_EVENTS in api/scrape-all.js) into `progress`
+function applyProgress(progress, event, data) {
+  if (event === 'discovered') {
+    progress.counts.discovered += data.total;
+    progress.counts.queued += data.count;
+  } else if (event === 'source:done') {
+    progress.sources[data.source] = data;
+  } else if (progress.counts[event] !== undefined) {
+    progress.counts[event]++;
+  }
+
+  if (event !== 'fetched') {
+    progress.recent.unshift({ event, ...data, at: new Date().toISOString() });
+    progress.recent.length = Math.min(progress.recent.length, MAX_RECENT_EVENTS);
+  }
+
+  return progress;
+}
+
+// options: workerId, concurrency (jobs run at once, default 1), pollInterval (ms), killTimeout (ms),
+// db (the repository, default lib/repository.js) and runner (the script jobs run in, default
+// api/run-job.js)
+function createJobWorker(options = {}) {
+  const workerId = options.workerId || `${os.hostname()}:${process.pid}`;
+  const concurrency = options.concurrency || 1;
+  const pollInterval = options.pollInterval || DEFAULT_POLL_INTERVAL_MS;
+  const killTimeout = options.killTimeout || DEFAULT_KILL_TIMEOUT_MS;
+  const db = options.db || require('./repository');
+  const runner = options.runner || JOB_RUNNER;
+
+  // job id -> { child, lines, lineCount, progress, progressChanged, result, cancelled, lost, closed,
+  //   killTimer, flushing }
+  const running = new Map();
+  let timer = null;
+  let polling = null;
+  let stopped = true;
+
+  function log(entry, stream, line) {
+    if (entry.lineCount === MAX_LOG_LINES) {
+      entry.lines.push({ stream: 'worker', line: `Output truncated after ${MAX_LOG_LINES} lines` });
+    }
+    if (entry.lineCount++ >= MAX_LOG_LINES) return;
+    entry.lines.push({ stream, line });
+  }
+
+  // Writes buffered lines in order; flushes are chained so concurrent calls never interleave
+  function flushLogs(jobId, entry) {
+    entry.flushing = entry.flushing
+      .then(() => db.appendJobLogs(jobId, entry.lines.splice(0)))
+      .catch(err => console.error(`❌ Failed to store logs of job ${jobId}:`, err.message));
+    return entry.flushing;
+  }
+
+  function terminate(entry) {
+    if (entry.killTimer || entry.closed) return;
+    entry.child.kill('SIGTERM');
+    entry.killTimer = setTimeout(() => entry.child.kill('SIGKILL'), killTimeout);
+  }
+
+  function startJob(job) {
+    const entry = {
+      child: null,
+      lines: [],
+      lineCount: 0,
+      progress: job.type === 'scrape' ? emptyProgress() : null,
+      progressChanged: false,
+      result: null,
+      cancelled: false,
+      lost: false,
+      closed: false,
+      killTimer: null,
+      flushing: Promise.resolve()
+    };
+    running.set(job.id, entry);
+    log(entry, 'worker', `Attempt ${job.attempts} of ${job.max_attempts} started by ${workerId}`);
+
+    const child = fork(runner, [], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, JOB_ID: String(job.id), JOB_TYPE: job.type, JOB_PARAMS: JSON.stringify(job.params || {}) },
+      stdio: ['ignore', 'pipe', 'pipe', 'ipc']
+    });
+    entry.child = child;
+
+    readline.createInterface({ input: child.stdout }).on('line', line => log(entry, 'stdout', line));
+    readline.createInterface({ input: child.stderr }).on('line', line => log(entry, 'stderr', line));
+
+    child.on('message', (message) => {
+      if (!message) return;
+      if (message.type === 'scrape-progress' && entry.progress) {
+        applyProgress(entry.progress, message.event, message.data);
+        entry.progressChanged = true;
+      } else if (message.type === 'job-result') {
+        entry.result = message.result === undefined ? null : message.result;
+      }
+    });
+
+    child.on('error', err => log(entry, 'worker', `Job process error: ${err.message}`));
+
+    // 'close' fires once the output streams are drained, so every line has been logged
+    child.on('close', async (code, signal) => {
+      entry.closed = true;
+      clearTimeout(entry.killTimer);
+      let status = 'failed';
+      let error = null;
+
+      // The job row belongs to whoever claimed it after this worker lost it; only the logs are kept
+      if (entry.lost) {
+        log(entry, 'worker', 'Stopped: the job is no longer running under this worker');
+        await flushLogs(job.id, entry);
+        console.warn(`⚠️  Job ${job.id} (${job.type}) was taken from worker ${workerId}; its process was stopped`);
+        running.delete(job.id);
+        return;
+      }
+
+      if (entry.cancelled) {
+        status = 'cancelled';
+        log(entry, 'worker', 'Cancelled');
+      } else if (code === 0) {
+        status = 'succeeded';
+      } else {
+        error = signal ? `Job process was killed (${signal})` : `Job process exited with code ${code}`;
+        log(entry, 'worker', error);
+      }
+
+      try {
+        await flushLogs(job.id, entry);
+        const finished = await db.finishJob(job.id, { status, result: entry.result, error, progress: entry.progress || undefined });
+        console.log(`🧰 Job ${job.id} (${job.type}) ${finished ? finished.status : status}`);
+      } catch (err) {
+        console.error(`❌ Failed to record the end of job ${job.id}:`, err.message);
+      } finally {
+        running.delete(job.id);
+      }
+    });
+
+    console.log(`🧰 Job ${job.id} (${job.type}) started`);
+  }
+
+  async function tick() {
+    try {
+      // Heartbeat before recovering stale jobs, so a slow poll never makes this worker's own jobs
+      // look abandoned
+      if (running.size > 0) {
+        const progressById = {};
+        for (const [id, entry] of running) {
+          progressById[id] = entry.progressChanged ? entry.progress : undefined;
+          entry.progressChanged = false;
+        }
+
+        const { cancelled, lost } = await db.heartbeatJobs(workerId, progressById);
+        for (const id of cancelled) {
+          const entry = running.get(id);
+          if (entry && !entry.cancelled) {
+            entry.cancelled = true;
+            terminate(entry);
+          }
+        }
+        // Recovered by another worker (and maybe running there by now): stop this copy
+        for (const id of lost) {
+          const entry = running.get(id);
+          if (entry && !entry.closed && !entry.lost) {
+            entry.lost = true;
+            terminate(entry);
+          }
+        }
+
+        await Promise.all([...running].map(([id, entry]) => flushLogs(id, entry)));
+      }
+
+      await db.recoverStaleJobs(STALE_AFTER_SECONDS, workerId);
+
+      while (!stopped && running.size < concurrency) {
+        const job = await db.claimJob(workerId);
+        if (!job) break;
+        startJob(job);
+      }
+    } catch (err) {
+      console.error('❌ Job worker poll failed:', err.message);
+    }
+
+    if (!stopped) timer = setTimeout(poll, pollInterval);
+  }
+
+  function poll() {
+    polling = tick();
+  }
+
+  function start() {
+    if (!stopped) return;
+    stopped = false;
+    console.log(`🧰 Job worker ${workerId} polling every ${pollInterval}ms`);
+    poll();
+  }
+
+  // Stops polling and terminates running jobs, which are recorded as failed (and retried if they
+  // have attempts left). Jobs that ignore SIGTERM are killed after killTimeout.
+  async function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    // A poll in progress may still start a job
+    await polling;
+
+    for (const entry of running.values()) {
+      terminate(entry);
+    }
+
+    // Exit handlers record each outcome asynchronously
+    while (running.size > 0) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  return {
+    workerId,
+    start,
+    stop,
+    runningJobs: () => [...running.keys()]
+  };
+}
+
+module.exports = {
+  createJobWorker,
+  applyProgress,
+  emptyProgress,
+  JOB_TYPES
+};
@@ -0,0 +1,183 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations. Each file in migrations/ is named <version>_<name>.js and exports
+// async up(client) and down(client). Applied versions are recorded in schema_migrations; every
+// migration runs in its own transaction, and the whole run holds a Postgres advisory lock so
+// services starting at the same time apply them once, one after another.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Any constant works as long as every service uses the same one
+const MIGRATION_LOCK_ID = 684120021;
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+const createMigrationsTable = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  );
+`;
+
+// [{ version, name, up, down }] sorted by version
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .map((file) => {
+      const match = MIGRATION_FILE.exec(file);
+      if (!match) {
+        throw new Error(`Migration file ${file} must be named <version>_<name>.js`);
+      }
+
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up(client) and down(client)`);
+      }
+
+      return { version: Number(match[1]), name: match[2], up: migration.up, down: migration.down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Two migrations share version ${migrations[i].version}`);
+    }
+  }
+
+  return migrations;
+}
+
+function label(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+// Runs fn(client) on one connection while holding the migration lock
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await client.query(createMigrationsTable);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function appliedMigrations(client) {
+  const { rows } = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+async function inTransaction(client, migration, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    const failed = new Error(`Migration ${label(migration)} failed: ${err.message}`);
+    failed.cause = err;
+    throw failed;
+  }
+}
+
+// Applies pending migrations up to options.target (default: all). With options.dryRun only lists
+// them. Each migration applied is logged to options.log (default console). Resolves with the
+// [{ version, name }] applied (or pending).
+async function migrate(pool, options = {}) {
+  const migrations = options.migrations || loadMigrations();
+  const target = options.target === undefined ? Infinity : options.target;
+  const log = options.log || console;
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await appliedMigrations(client);
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= target);
+
+    for (const migration of pending) {
+      if (options.dryRun) continue;
+      await inTransaction(client, migration, async () => {
+        await migration.up(client);
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+      });
+      log.log(`⬆️  Applied migration ${label(migration)}`);
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+// Reverts the last options.steps applied migrations (default 1), or every one above
+// options.target, logging each to options.log (default console). Resolves with the
+// [{ version, name }] reverted, newest first.
+async function rollback(pool, options = {}) {
+  const migrations = options.migrations || loadMigrations();
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+  const log = options.log || console;
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = [...(await appliedMigrations(client)).keys()].sort((a, b) => b - a);
+    const versions = options.target === undefined
+      ? applied.slice(0, options.steps || 1)
+      : applied.filter(version => version > options.target);
+
+    const missing = versions.find(version => !byVersion.has(version));
+    if (missing !== undefined) {
+      throw new Error(`Migration ${missing} is applied but its file is missing, so it can't be rolled back`);
+    }
+
+    const reverted = [];
+    for (const version of versions) {
+      const migration = byVersion.get(version);
+      if (!options.dryRun) {
+        await inTransaction(client, migration, async () => {
+          await migration.down(client);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        });
+        log.log(`⬇️  Rolled back migration ${label(migration)}`);
+      }
+      reverted.push({ version, name: migration.name });
+    }
+
+    return reverted;
+  });
+}
+
+// Every known migration with its state: [{ version, name, applied, appliedAt }]. Versions recorded
+// in schema_migrations without a file are included with missing: true.
+async function migrationStatus(pool, options = {}) {
+  const migrations = options.migrations || loadMigrations();
+
+  return withMigrationLock(pool, async (client) => {
+    const applied = await appliedMigrations(client);
+    const status = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+
+    for (const [version, row] of applied) {
+      if (!migrations.some(migration => migration.version === version)) {
+        status.push({ version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true });
+      }
+    }
+
+    return status.sort((a, b) => a.version - b.version);
+  });
+}
+
+module.exports = {
+  migrate,
+  rollback,
+  migrationStatus,
+  loadMigrations,
+  MIGRATIONS_DIR
+};
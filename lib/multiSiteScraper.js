@@ -1,294 +1,326 @@
 'use strict';
 
+const zlib = require('zlib');
 const { XMLParser } = require('fast-xml-parser');
 const cheerio = require('cheerio');
+const { loadSources, resolveSitemapUrls, matchesUrlPatterns } = require('./sourceRegistry');
+const { parseFeedXml, discoverFeedUrls } = require('./feedParser');
+const { createHttpClient } = require('./httpClient');
+const { createLimiter } = require('./concurrency');
+const { extractReadable } = require('./readability');
+const { blocksFromMatches, blocksToText, blocksToMarkdown } = require('./bodyBlocks');
+const { extractHydration } = require('./hydration');
+const { classifyAccess, isReadable } = require('./accessClassifier');
+const { computeContentHash } = require('./revisions');
+const { normalizeUrl, preferredArticleUrl } = require('./urlNormalizer');
+const { simhash, simhashBands } = require('./simhash');
+const {
+  pickJsonLdArticle,
+  extractFromJsonLd,
+  extractFromMeta,
+  normalizeLanguage,
+  uniqueStrings,
+  countWords,
+  estimateReadingTime,
+  toDate
+} = require('./articleMetadata');
+
+// News source configurations, loaded from sources/*.json
+const NEWS_SOURCES = loadSources();
+
+// Shared client so every sitemap, feed and article request goes through the same per-host limits
+const defaultClient = createHttpClient();
+
+function requestInit(source) {
+  return source.userAgent ? { userAgent: source.userAgent } : {};
+}
 
-// News source configurations
-const NEWS_SOURCES = {
-  newyorker: {
-    name: 'The New Yorker',
-    get sitemaps() {
-      const urls = [];
-      const now = new Date();
-      const year = now.getFullYear();
-      const month = now.getMonth() + 1;
-      
-      // Generate sitemaps for current month (weeks 1-5)
-      for (let w = 1; w <= 5; w++) {
-        urls.push(`https://www.newyorker.com/sitemap.xml?year=${year}&month=${month}&week=${w}`);
-      }
-      
-      // Also add previous month to catch late updates
-      const prevDate = new Date();
-      prevDate.setMonth(prevDate.getMonth() - 1);
-      const prevYear = prevDate.getFullYear();
-      const prevMonth = prevDate.getMonth() + 1;
-      
-      for (let w = 4; w <= 5; w++) {
-        urls.push(`https://www.newyorker.com/sitemap.xml?year=${prevYear}&month=${prevMonth}&week=${w}`);
-      }
-      
-      return urls;
-    },
-    urlPatterns: ['/magazine/', '/culture/', '/podcast/', '/humor/', '/books/', '/business/', '/tech/', '/politics/'],
-    extractBody: extractNewYorkerBody
-  },
-  atlantic: {
-    name: 'The Atlantic',
-    sitemaps: ['https://www.theatlantic.com/sitemap.xml'],
-    urlPatterns: ['/articles/', '/magazine/', '/culture/', '/politics/', '/science/', '/technology/', '/business/'],
-    extractBody: extractAtlanticBody
-  },
-  latercera: {
-    name: 'La Tercera',
-    sitemaps: ['https://www.latercera.com/arc/outboundfeeds/sitemap?outputType=xml'],
-    urlPatterns: ['/nacional/', '/politica/', '/mundo/', '/pulso/', '/culto/', '/opinion/'],
-    extractBody: extractLaTerceraBody
+// Sitemaps may be served as raw .xml.gz files (not Content-Encoding), so sniff the gzip magic bytes
+async function fetchSitemapXml(url, source, client = defaultClient) {
+  const buffer = await client.fetchBuffer(url, requestInit(source));
+  return decodeSitemapBuffer(buffer);
+}
+
+function decodeSitemapBuffer(buffer) {
+  if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gunzipSync(buffer).toString('utf8');
   }
-};
+  return buffer.toString('utf8');
+}
 
-async function fetchText(url) {
-  const res = await fetch(url, {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
-      'Accept-Language': 'en-US,en;q=0.9',
-      'Referer': 'https://www.google.com/',
-      'Upgrade-Insecure-Requests': '1',
-      'Sec-Ch-Ua': '"Not_A Brand";v="8", "Chromium";v="120"',
-      'Sec-Ch-Ua-Mobile': '?0',
-      'Sec-Ch-Ua-Platform': '"Windows"'
-    }
-  });
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
 
-  if (!res.ok) {
-    throw new Error(`Request failed for ${url} with status ${res.status}`);
-  }
+function textValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'object') value = value['#text'];
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text || null;
+}
 
-  return await res.text();
+// Google News sitemap fields (news:title, news:publication_date, ...)
+function parseNewsFields(news) {
+  if (!news) return {};
+
+  const item = Array.isArray(news) ? news[0] : news;
+  const publication = item.publication || {};
+  const keywords = textValue(item.keywords);
+
+  return {
+    title: textValue(item.title),
+    publishedAt: textValue(item.publication_date),
+    keywords: keywords ? keywords.split(',').map(k => k.trim()).filter(Boolean) : [],
+    language: textValue(publication.language),
+    publicationName: textValue(publication.name)
+  };
 }
 
+// Returns { urls, sitemaps }: article entries from a <urlset>, child sitemaps from a <sitemapindex>
 function parseSitemapXml(xml) {
-  const parser = new XMLParser({ ignoreAttributes: false });
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    removeNSPrefix: true,
+    parseTagValue: false
+  });
   const data = parser.parse(xml);
 
-  if (!data) return [];
+  const result = { urls: [], sitemaps: [] };
+  if (!data) return result;
 
   const urlset = data.urlset || data.urlSet;
-  if (!urlset || !urlset.url) return [];
+  if (urlset) {
+    result.urls = toArray(urlset.url)
+      .map((u) => {
+        const loc = textValue(u.loc);
+        if (!loc) return null;
+
+        const lastmod = textValue(u.lastmod) || textValue(u.lastModified);
+        return { loc, lastmod, ...parseNewsFields(u.news) };
+      })
+      .filter(Boolean);
+  }
 
-  const items = Array.isArray(urlset.url) ? urlset.url : [urlset.url];
+  const index = data.sitemapindex || data.sitemapIndex;
+  if (index) {
+    result.sitemaps = toArray(index.sitemap)
+      .map((s) => {
+        const loc = textValue(s.loc);
+        return loc ? { loc, lastmod: textValue(s.lastmod) } : null;
+      })
+      .filter(Boolean);
+  }
 
-  return items
-    .map((u) => {
-      const loc = u.loc;
-      const lastmod = u.lastmod || u.lastModified || null;
-      return loc ? { loc, lastmod } : null;
-    })
-    .filter(Boolean);
+  return result;
 }
 
-async function collectNewsUrls(sourceKey) {
-  const source = NEWS_SOURCES[sourceKey];
-  const all = [];
+function isStaleSitemap(sitemap, maxAgeDays, now = Date.now()) {
+  if (!maxAgeDays || !sitemap.lastmod) return false;
+
+  const lastmod = new Date(sitemap.lastmod).getTime();
+  if (Number.isNaN(lastmod)) return false;
+
+  return now - lastmod > maxAgeDays * 24 * 60 * 60 * 1000;
+}
+
+async function collectSitemapEntries(source, client, log = console) {
+  const { maxDepth, maxAgeDays } = source.discovery.sitemapIndex;
+  const entries = [];
+
+  const queue = resolveSitemapUrls(source).map(loc => ({ loc, depth: 0 }));
+  const visited = new Set();
+
+  while (queue.length > 0) {
+    const { loc: sitemapUrl, depth } = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
 
-  for (const sitemapUrl of source.sitemaps) {
     try {
-      const xml = await fetchText(sitemapUrl);
-      const entries = parseSitemapXml(xml);
-      
-      for (const e of entries) {
-        if (e.loc && source.urlPatterns.some(pattern => e.loc.includes(pattern))) {
-          all.push({
-            ...e,
-            source: sourceKey,
-            sourceName: source.name
-          });
+      const xml = await fetchSitemapXml(sitemapUrl, source, client);
+      const { urls, sitemaps } = parseSitemapXml(xml);
+
+      entries.push(...urls);
+
+      if (sitemaps.length > 0 && depth >= maxDepth) {
+        log.warn(`Sitemap index ${sitemapUrl} exceeds max depth ${maxDepth}, skipping ${sitemaps.length} child sitemaps`);
+        continue;
+      }
+
+      for (const child of sitemaps) {
+        if (!isStaleSitemap(child, maxAgeDays)) {
+          queue.push({ loc: child.loc, depth: depth + 1 });
         }
       }
     } catch (err) {
-      console.error(`Failed to process sitemap ${sitemapUrl}:`, err.message);
+      log.error(`Failed to process sitemap ${sitemapUrl}:`, err.message);
     }
   }
 
-  // Deduplicate URLs
-  const dedupedMap = new Map();
-  for (const e of all) {
-    if (!dedupedMap.has(e.loc)) {
-      dedupedMap.set(e.loc, e);
+  return entries;
+}
+
+async function resolveFeedUrls(source, client, log = console) {
+  const feedUrls = [...source.discovery.feeds];
+
+  for (const pageUrl of source.discovery.autodiscover) {
+    try {
+      const html = await client.fetchText(pageUrl, requestInit(source));
+      const discovered = discoverFeedUrls(html, pageUrl);
+
+      if (discovered.length === 0) {
+        log.warn(`No feeds advertised on ${pageUrl}`);
+      }
+
+      for (const feedUrl of discovered) {
+        if (!feedUrls.includes(feedUrl)) feedUrls.push(feedUrl);
+      }
+    } catch (err) {
+      log.error(`Failed to discover feeds on ${pageUrl}:`, err.message);
     }
   }
 
-  return Array.from(dedupedMap.values());
+  return feedUrls;
 }
 
-function extractNewYorkerBody($) {
-  let bodyText = '';
-  
-  const selectors = [
-    'article .article-content p',
-    'article .content p', 
-    '.article-body p',
-    '.story-body p',
-    '[data-testid="article-body"] p',
-    '.paragraph-text',
-    'article p'
-  ];
-  
-  for (const selector of selectors) {
-    const paragraphs = $(selector);
-    if (paragraphs.length > 0) {
-      bodyText = paragraphs.map((_, el) => $(el).text().trim()).get().join('\n\n');
-      if (bodyText.length > 100) break;
+async function collectFeedEntries(source, client, log = console) {
+  const entries = [];
+
+  for (const feedUrl of await resolveFeedUrls(source, client, log)) {
+    try {
+      const xml = await client.fetchText(feedUrl, requestInit(source));
+      entries.push(...parseFeedXml(xml));
+    } catch (err) {
+      log.error(`Failed to process feed ${feedUrl}:`, err.message);
     }
   }
-  
-  bodyText = bodyText
-    .replace(/\s+/g, ' ')
-    .replace(/\n\s*\n/g, '\n\n')
-    .trim();
-  
-  const isPaywallText = bodyText.toLowerCase().includes('subscribe') && 
-                       bodyText.toLowerCase().includes('new yorker') &&
-                       bodyText.length < 500;
-  
-  const bodyAvailable = bodyText.length > 200 && !isPaywallText;
-  
-  return {
-    bodyText: bodyAvailable ? bodyText : null,
-    bodyAvailable
-  };
+
+  return entries;
 }
 
-function extractAtlanticBody($) {
-  let bodyText = '';
-  
-  // The Atlantic uses specific selectors for their article content
-  const selectors = [
-    'main#main-content p',
-    '.ArticleBody_root p',
-    '[data-component="paragraph"]',
-    '.article-content p',
-    'section.article-body p'
-  ];
-  
-  for (const selector of selectors) {
-    const paragraphs = $(selector);
-    if (paragraphs.length > 0) {
-      bodyText = paragraphs.map((_, el) => $(el).text().trim()).get().join('\n\n');
-      if (bodyText.length > 100) break;
-    }
-  }
-  
-  bodyText = bodyText
-    .replace(/\s+/g, ' ')
-    .replace(/\n\s*\n/g, '\n\n')
-    .trim();
-  
-  // Check for paywall indicators
-  const isPaywallText = (
-    bodyText.toLowerCase().includes('subscribe') || 
-    bodyText.toLowerCase().includes('sign in')
-  ) && bodyText.length < 800;
-  
-  const bodyAvailable = bodyText.length > 300 && !isPaywallText;
-  
-  return {
-    bodyText: bodyAvailable ? bodyText : null,
-    bodyAvailable
-  };
+// normalizeUrl options for a source's URLs: AMP/mobile hosts map to the host of its baseUrl
+function urlOptions(source) {
+  return { canonicalHost: new URL(source.baseUrl).hostname };
 }
 
-function extractLaTerceraBody($) {
-  let bodyText = '';
-  
-  const selectors = [
-    '.content-article-body p',
-    '.article-body p',
-    '#article-body p',
-    '.c-detail__body p',
-    'div[itemprop="articleBody"] p'
-  ];
-  
-  for (const selector of selectors) {
-    const paragraphs = $(selector);
-    if (paragraphs.length > 0) {
-      bodyText = paragraphs.map((_, el) => $(el).text().trim()).get().join('\n\n');
-      if (bodyText.length > 100) break;
+async function collectNewsUrls(sourceKey, client = defaultClient, log = console) {
+  const source = NEWS_SOURCES[sourceKey];
+
+  return dedupeEntries(sourceKey, [
+    ...await collectSitemapEntries(source, client, log),
+    ...await collectFeedEntries(source, client, log)
+  ]);
+}
+
+// Keeps the sitemap/feed entries matching the source's URL patterns, deduplicated by normalized URL
+// (tracking parameters, AMP variants and trailing slashes removed), letting later entries (e.g. feed
+// items) fill fields the first one lacked. `loc` stays the URL that is fetched and `url` is the key
+// articles are stored and looked up under.
+function dedupeEntries(sourceKey, entries) {
+  const source = NEWS_SOURCES[sourceKey];
+  const dedupedMap = new Map();
+
+  for (const e of entries) {
+    if (!e.loc || !matchesUrlPatterns(source, e.loc)) continue;
+
+    const url = normalizeUrl(e.loc, undefined, urlOptions(source));
+    if (!url) continue;
+
+    const existing = dedupedMap.get(url);
+    if (!existing) {
+      dedupedMap.set(url, { ...e, url, source: sourceKey, sourceName: source.name });
+      continue;
+    }
+
+    for (const [key, value] of Object.entries(e)) {
+      const missing = existing[key] === undefined || existing[key] === null ||
+                      (Array.isArray(existing[key]) && existing[key].length === 0);
+      if (missing) existing[key] = value;
     }
   }
-  
-  bodyText = bodyText
-    .replace(/\s+/g, ' ')
-    .replace(/\n\s*\n/g, '\n\n')
-    .trim();
-    
-  const isPaywallText = bodyText.toLowerCase().includes('suscríbete') || 
-                       bodyText.toLowerCase().includes('inicia sesión');
-  
-  const bodyAvailable = bodyText.length > 200 && !isPaywallText;
-  
-  return {
-    bodyText: bodyAvailable ? bodyText : null,
-    bodyAvailable
-  };
+
+  return Array.from(dedupedMap.values());
 }
 
-function pickJsonLdArticle(json) {
-  if (!json) return null;
+// Generic body extractor driven by the source's "body" config. A body found in the page's hydration
+// state (see lib/hydration.js) wins; otherwise the selectors are tried, falling back to the
+// content-density extractor when they yield too little text. Reports which strategy ('hydration',
+// 'selector' or 'readability') produced the body so stale selectors show up in the data; for
+// 'hydration' the selector is the state blob's name.
+// The body comes back both as typed blocks (see lib/bodyBlocks.js) and as plain text.
+function extractBody($, source, baseUrl, hydrated) {
+  const { selectors, selectorMinLength, minLength } = source.body;
+
+  if (hydrated && hydrated.bodyText.length > minLength) {
+    return { bodyText: hydrated.bodyText, blocks: hydrated.blocks, strategy: 'hydration', selector: hydrated.name };
+  }
+
+  let blocks = [];
+  let bodyText = '';
+  let matchedSelector = null;
 
-  if (Array.isArray(json)) {
-    for (const item of json) {
-      const picked = pickJsonLdArticle(item);
-      if (picked) return picked;
+  for (const selector of selectors) {
+    const matched = $(selector).toArray();
+    if (matched.length > 0) {
+      blocks = blocksFromMatches($, matched, baseUrl);
+      bodyText = blocksToText(blocks);
+      matchedSelector = selector;
+      if (bodyText.length > selectorMinLength) break;
     }
-    return null;
   }
 
-  if (typeof json === 'object') {
-    if (json['@type'] === 'NewsArticle' || json['@type'] === 'Article') {
-      return json;
-    }
+  let strategy = matchedSelector ? 'selector' : null;
 
-    const graph = json['@graph'];
-    if (Array.isArray(graph)) {
-      for (const item of graph) {
-        const picked = pickJsonLdArticle(item);
-        if (picked) return picked;
-      }
+  if (bodyText.length <= minLength) {
+    const readable = extractReadable($.html(), baseUrl);
+    if (readable.text.length > bodyText.length) {
+      blocks = readable.blocks;
+      bodyText = readable.text;
+      strategy = 'readability';
+      matchedSelector = null;
     }
   }
 
-  return null;
+  return { bodyText, blocks, strategy, selector: matchedSelector };
 }
 
-function extractFromJsonLd(jsonLd) {
-  if (!jsonLd || typeof jsonLd !== 'object') return {};
-
-  const title = jsonLd.headline || jsonLd.name || null;
-  const description = jsonLd.description || null;
-  const image = (Array.isArray(jsonLd.image) ? jsonLd.image[0] : jsonLd.image) || null;
-  const datePublished = jsonLd.datePublished || jsonLd.dateCreated || null;
-
-  return { title, description, imageUrl: image, publishedAt: datePublished };
+function conditionalHeaders(known) {
+  const headers = {};
+  if (!known) return headers;
+  if (known.etag) headers['If-None-Match'] = known.etag;
+  if (known.lastModified) headers['If-Modified-Since'] = known.lastModified;
+  return headers;
 }
 
-function extractFromMeta($) {
-  const title = $('meta[property="og:title"]').attr('content') ||
-                $('meta[name="twitter:title"]').attr('content') ||
-                $('title').text() || null;
+// options.entry is the discovery entry for this URL; its sitemap/feed fields fill in what the page
+// lacks, which is all we have when the article is paywalled. options.known is the stored fetch state
+// ({ etag, lastModified }) used for a conditional request; a 304 resolves with { notModified: true }.
+// options.client overrides the HTTP client; options.onFetched(res) is called once the response arrives.
+// The returned article.url is normalized and prefers the page's same-site canonical link.
+async function scrapeArticle(url, sourceKey, options = {}) {
+  const { entry = {}, client = defaultClient, known = null, onFetched } = options;
+  const source = NEWS_SOURCES[sourceKey];
 
-  const description = $('meta[property="og:description"]').attr('content') ||
-                      $('meta[name="description"]').attr('content') || null;
+  const res = await client.request(url, {
+    ...requestInit(source),
+    headers: conditionalHeaders(known)
+  });
 
-  const imageUrl = $('meta[property="og:image"]').attr('content') ||
-                   $('meta[name="twitter:image"]').attr('content') || null;
+  const fetchState = {
+    fetchedUrl: normalizeUrl(url, undefined, urlOptions(source)) || url,
+    etag: res.headers.get('etag') || (known && known.etag) || null,
+    lastModified: res.headers.get('last-modified') || (known && known.lastModified) || null,
+    sitemapLastmod: entry.lastmod || null
+  };
 
-  return { title, description, imageUrl, publishedAt: null };
-}
+  if (onFetched) onFetched(res);
 
-async function scrapeArticle(url, sourceKey) {
-  const html = await fetchText(url);
+  if (res.status === 304) {
+    return { url: fetchState.fetchedUrl, source: sourceKey, sourceName: source.name, notModified: true, ...fetchState };
+  }
+
+  const html = await res.text();
   const $ = cheerio.load(html);
 
   let jsonLdRaw = null;
@@ -312,71 +344,283 @@ async function scrapeArticle(url, sourceKey) {
 
   const fromLd = extractFromJsonLd(jsonLdArticle);
   const fromMeta = extractFromMeta($);
-  const fromBody = NEWS_SOURCES[sourceKey].extractBody($);
-
-  const title = fromLd.title || fromMeta.title;
-  const description = fromLd.description || fromMeta.description;
-  const imageUrl = fromLd.imageUrl || fromMeta.imageUrl;
-  const publishedAt = fromLd.publishedAt || fromMeta.publishedAt;
+  const hydrated = source.body.hydration ? extractHydration($, url) : null;
+  const fromState = hydrated ? hydrated.metadata : {};
+  const extracted = extractBody($, source, url, hydrated);
+
+  // Only bodies the classifier considers complete are stored
+  const access = classifyAccess({ $, jsonLd: jsonLdArticle, bodyText: extracted.bodyText, source });
+  const bodyAvailable = isReadable(access.status);
+  const bodyText = bodyAvailable ? extracted.bodyText : null;
+
+  const title = fromLd.title || fromState.title || fromMeta.title || entry.title;
+  const description = fromLd.description || fromState.description || fromMeta.description || entry.summary;
+  // Alt text only describes the image it came with
+  const imageSource = [fromLd, fromState].find(candidate => candidate.imageUrl) || fromMeta;
+  const imageUrl = imageSource.imageUrl;
+  const imageAlt = imageSource.imageAlt || fromMeta.imageAlt;
+  const publishedAt = fromLd.publishedAt || fromState.publishedAt || fromMeta.publishedAt || entry.publishedAt;
+  const modifiedAt = fromLd.modifiedAt || fromState.modifiedAt || fromMeta.modifiedAt;
+
+  const authors = uniqueStrings([
+    ...(fromLd.authors || []),
+    ...(fromState.authors || []),
+    ...fromMeta.authors,
+    ...(entry.author ? [entry.author] : [])
+  ]);
+  const tags = uniqueStrings([
+    ...(fromLd.tags || []),
+    ...(fromState.tags || []),
+    ...fromMeta.tags,
+    ...(entry.keywords || [])
+  ]);
+
+  // Prefer counting the body we actually extracted; JSON-LD wordCount covers paywalled articles
+  const wordCount = countWords(bodyText) || fromLd.wordCount || null;
+  const bodyHash = simhash(bodyText);
+
+  let canonicalUrl = null;
+  if (fromMeta.canonicalUrl) {
+    try {
+      canonicalUrl = new URL(fromMeta.canonicalUrl, url).toString();
+    } catch (err) {
+      // ignore malformed canonical links
+    }
+  }
 
-  return {
-    url,
+  const article = {
+    url: preferredArticleUrl(url, canonicalUrl, urlOptions(source)),
     source: sourceKey,
-    sourceName: NEWS_SOURCES[sourceKey].name,
+    sourceName: source.name,
     title,
     description,
     imageUrl,
-    bodyText: fromBody.bodyText,
-    bodyAvailable: fromBody.bodyAvailable,
-    publishedAt: publishedAt ? new Date(publishedAt) : null,
+    imageAlt: imageAlt || null,
+    authors,
+    section: fromLd.section || fromState.section || fromMeta.section || null,
+    tags,
+    language: fromMeta.language || fromLd.language || normalizeLanguage(entry.language) || source.language,
+    publisher: fromLd.publisher || fromMeta.publisher || entry.publicationName || source.name,
+    canonicalUrl,
+    wordCount,
+    readingTimeMinutes: estimateReadingTime(wordCount),
+    bodyText,
+    bodyBlocks: bodyAvailable ? extracted.blocks : null,
+    bodyMarkdown: bodyAvailable ? blocksToMarkdown(extracted.blocks) : null,
+    bodyAvailable,
+    bodyStrategy: bodyAvailable ? extracted.strategy : null,
+    bodySelector: bodyAvailable ? extracted.selector : null,
+    accessStatus: access.status,
+    accessReason: access.reason,
+    simhash: bodyHash,
+    simhashBands: simhashBands(bodyHash),
+    publishedAt: toDate(publishedAt),
+    modifiedAt: toDate(modifiedAt),
     scrapedAt: new Date(),
-    rawJsonLd: jsonLdRaw
+    rawJsonLd: jsonLdRaw,
+    ...fetchState
   };
+
+  article.contentHash = computeContentHash(article);
+  return article;
 }
 
+// The sitemap says the article hasn't changed since we stored it
+function isUnchangedInSitemap(entry, known) {
+  if (!known || !entry.lastmod || !known.sitemapLastmod) return false;
+
+  const lastmod = new Date(entry.lastmod).getTime();
+  const stored = new Date(known.sitemapLastmod).getTime();
+  if (Number.isNaN(lastmod) || Number.isNaN(stored)) return false;
+
+  return lastmod <= stored;
+}
+
+function entryDate(entry) {
+  return toDate(entry.lastmod || entry.publishedAt);
+}
+
+function sortByRecency(entries) {
+  return entries.sort((a, b) => {
+    const aDate = a.lastmod || a.publishedAt;
+    const bDate = b.lastmod || b.publishedAt;
+    if (aDate && bDate) {
+      return new Date(bDate) - new Date(aDate);
+    }
+    if (aDate) return -1;
+    if (bDate) return 1;
+    return 0;
+  });
+}
+
+// Scrapes all sources through a bounded worker pool: sources are discovered in parallel and their
+// articles fetched by at most options.concurrency workers overall (per-host limits live in the
+// HTTP client). Results are streamed as they arrive:
+// - options.save(article) persists a new/updated article (status 'new' or 'updated') and resolves
+//   with the saved row; without it, articles are collected and returned in `articles`
+// - options.markChecked({ url, etag, lastModified, sitemapLastmod }) records an unchanged article;
+//   without it, those states are returned in `unchanged`
+// - options.events (an EventEmitter) receives progress events: 'discovered', 'fetched',
+//   'extracted', 'saved', 'unchanged', 'failed' and 'source:done'
+//
+// options.lookupState(urls) resolves to a Map of url => { url, etag, lastModified, contentHash,
+// sitemapLastmod } for articles already stored, matching the URL fetched or the one stored (the
+// article's canonical URL). Without it (or with options.incremental === false) every article is
+// fetched unconditionally and reported as new.
+//
+// options.discover(sourceKey, client, log) resolves to the entries to scrape instead of the live
+// sitemaps and feeds (collectNewsUrls). options.since skips entries dated (lastmod or publication
+// date) before it; undated entries are kept. With options.dryRun nothing is fetched: the entries
+// that would be are returned in `planned`. Progress lines go to options.log (default console).
+//
+// Resolves with { articles, unchanged, planned, summary }, summary being
+// { [sourceKey]: { discovered, queued, new, updated, unchanged, failed, fallback, blocked } }.
 async function scrapeAllSources(options = {}) {
   // Limit is PER SOURCE, not total
   const limitPerSource = options.limit || 50;
   const sources = options.sources || Object.keys(NEWS_SOURCES);
-  
-  const allResults = [];
-
-  for (const sourceKey of sources) {
+  const client = options.client || defaultClient;
+  const incremental = !options.dryRun && options.incremental !== false && typeof options.lookupState === 'function';
+  const since = options.since ? toDate(options.since) : null;
+  const discover = options.discover || collectNewsUrls;
+  const limit = createLimiter(options.concurrency || 6);
+  const emit = (event, data) => options.events && options.events.emit(event, data);
+  const log = options.log || console;
+
+  const articles = [];
+  const unchanged = [];
+  const planned = [];
+  const summary = {};
+
+  async function processEntry(entry, sourceKey, known, counts) {
     try {
-      console.log(`Scraping ${NEWS_SOURCES[sourceKey].name} (Limit: ${limitPerSource})...`);
-      
-      const entries = await collectNewsUrls(sourceKey);
-      
-      entries.sort((a, b) => {
-        if (a.lastmod && b.lastmod) {
-          return new Date(b.lastmod) - new Date(a.lastmod);
+      const article = await scrapeArticle(entry.loc, sourceKey, {
+        entry,
+        client,
+        known,
+        onFetched: res => emit('fetched', { source: sourceKey, url: entry.loc, status: res.status })
+      });
+
+      if (article.notModified || (known && known.contentHash === article.contentHash)) {
+        const state = {
+          // A 304 carries no canonical link; the stored article may be under its canonical URL
+          url: (known && known.url) || article.url,
+          etag: article.etag,
+          lastModified: article.lastModified,
+          sitemapLastmod: article.sitemapLastmod
+        };
+
+        counts.unchanged++;
+        if (options.markChecked) {
+          await options.markChecked(state);
+        } else {
+          unchanged.push(state);
         }
-        if (a.lastmod) return -1;
-        if (b.lastmod) return 1;
-        return 0;
+        emit('unchanged', { source: sourceKey, url: entry.loc });
+        return;
+      }
+
+      article.status = known ? 'updated' : 'new';
+      emit('extracted', {
+        source: sourceKey,
+        url: entry.loc,
+        bodyAvailable: article.bodyAvailable,
+        accessStatus: article.accessStatus,
+        bodyStrategy: article.bodyStrategy,
+        bodySelector: article.bodySelector
       });
 
+      if (options.save) {
+        const saved = await options.save(article);
+        emit('saved', { source: sourceKey, url: entry.loc, id: saved ? saved.id : null, status: article.status });
+      } else {
+        articles.push(article);
+      }
+
+      counts[article.status]++;
+      if (article.bodyStrategy === 'readability') counts.fallback++;
+    } catch (err) {
+      counts.failed++;
+      if (err.code === 'ROBOTS_UNAVAILABLE') counts.blocked++;
+      log.error(`Failed to scrape article ${entry.loc}:`, err.message);
+      emit('failed', { source: sourceKey, url: entry.loc, error: err.message, status: err.status || null, code: err.code || null });
+    }
+  }
+
+  async function processSource(sourceKey) {
+    const source = NEWS_SOURCES[sourceKey];
+    // discovered counts the entries found, queued those left after the limit; fallback counts bodies
+    // that only the readability extractor could find; blocked counts the fetches (discovery
+    // included) refused because the host's robots.txt could not be fetched
+    const counts = { discovered: 0, queued: 0, new: 0, updated: 0, unchanged: 0, failed: 0, fallback: 0, blocked: 0 };
+    summary[sourceKey] = counts;
+
+    try {
+      log.log(`Scraping ${source.name} (Limit: ${limitPerSource}${incremental ? ', incremental' : ''})...`);
+
+      const entries = sortByRecency(await discover(sourceKey, client, log))
+        .filter(entry => !since || !entryDate(entry) || entryDate(entry) >= since);
       const selected = entries.slice(0, limitPerSource);
+      const knownState = incremental
+        ? await options.lookupState(selected.map(entry => entry.url))
+        : new Map();
+
+      counts.discovered = entries.length;
+      counts.queued = selected.length;
+      emit('discovered', { source: sourceKey, count: selected.length, total: entries.length });
+
+      if (options.dryRun) {
+        planned.push(...selected.map(entry => ({ source: sourceKey, ...entry })));
+        emit('source:done', { source: sourceKey, ...counts });
+        return;
+      }
 
-      for (const entry of selected) {
-        try {
-          const article = await scrapeArticle(entry.loc, sourceKey);
-          allResults.push(article);
-        } catch (err) {
-          console.error(`Failed to scrape article ${entry.loc}:`, err.message);
+      await Promise.all(selected.map((entry) => {
+        const known = knownState.get(entry.url) || null;
+
+        if (isUnchangedInSitemap(entry, known)) {
+          counts.unchanged++;
+          emit('unchanged', { source: sourceKey, url: entry.loc });
+          return null;
         }
+
+        return limit(() => processEntry(entry, sourceKey, known, counts));
+      }));
+
+      log.log(`Completed ${source.name}: ${counts.new} new, ${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.failed} failed`);
+      if (counts.fallback > 0) {
+        log.warn(`⚠️  ${source.name}: ${counts.fallback} bodies needed the readability fallback — check body.selectors in sources/${sourceKey}.json`);
       }
-      
-      console.log(`Completed ${NEWS_SOURCES[sourceKey].name}: ${allResults.filter(a => a.source === sourceKey).length} articles`);
     } catch (err) {
-      console.error(`Failed to process ${NEWS_SOURCES[sourceKey].name}:`, err.message);
+      if (err.code === 'ROBOTS_UNAVAILABLE') counts.blocked++;
+      log.error(`Failed to process ${source.name}:`, err.message);
+      emit('failed', { source: sourceKey, url: null, error: err.message, status: err.status || null, code: err.code || null });
+    }
+
+    if (counts.blocked > 0) {
+      log.warn(`⚠️  ${source.name}: host blocked by robots.txt fetch error, ${counts.blocked} fetches skipped`);
     }
+
+    emit('source:done', { source: sourceKey, ...counts });
   }
 
-  return allResults;
+  const validSources = sources.filter((sourceKey) => {
+    if (NEWS_SOURCES[sourceKey]) return true;
+    log.error(`Unknown source "${sourceKey}", skipping. Known sources: ${Object.keys(NEWS_SOURCES).join(', ')}`);
+    return false;
+  });
+
+  await Promise.all(validSources.map(processSource));
+
+  return { articles, unchanged, planned, summary };
 }
 
 module.exports = {
   scrapeAllSources,
+  collectNewsUrls,
+  dedupeEntries,
+  scrapeArticle,
+  parseSitemapXml,
+  fetchSitemapXml,
   NEWS_SOURCES
 };
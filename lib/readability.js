@@ -0,0 +1,98 @@
+'use strict';
+
+const cheerio = require('cheerio');
+const { extractBlocks, blocksToText } = require('./bodyBlocks');
+
+// Content-density fallback extractor, used when a source's own selectors stop matching
+// (usually after a redesign). Scores containers by the paragraph text they hold, penalised
+// by link density, after stripping boilerplate.
+
+const BOILERPLATE_TAGS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'form', 'button',
+  'nav', 'header', 'footer', 'aside', 'figcaption', 'figure'
+].join(', ');
+
+const BOILERPLATE_ROLES = [
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]',
+  '[role="dialog"]', '[aria-hidden="true"]', '[hidden]'
+].join(', ');
+
+// Class/id hints for related links, newsletter promos, share bars, captions and the like
+const BOILERPLATE_HINT = /(^|[-_\s])(nav|navbar|menu|breadcrumbs?|footer|sidebar|related|recommended|more-stories|read-more|newsletter|promo|subscribe|subscription|paywall|share|sharing|social|comments?|advert|ads?|sponsor|caption|credit|cookie|popup|modal|tags)([-_\s]|$)/i;
+
+const KEEP_TAGS = ['html', 'body', 'main', 'article'];
+
+const MIN_PARAGRAPH_LENGTH = 25;
+
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function removeBoilerplate($) {
+  $(BOILERPLATE_TAGS).remove();
+  $(BOILERPLATE_ROLES).remove();
+
+  $('[class], [id]').each((_, el) => {
+    if (KEEP_TAGS.includes(el.tagName)) return;
+    const hint = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+    if (BOILERPLATE_HINT.test(hint)) $(el).remove();
+  });
+}
+
+function linkDensity($, el) {
+  const textLength = normalizeText($(el).text()).length;
+  if (textLength === 0) return 1;
+
+  const linkLength = $(el).find('a').toArray()
+    .reduce((sum, a) => sum + normalizeText($(a).text()).length, 0);
+
+  return linkLength / textLength;
+}
+
+function scoreParagraph(text) {
+  const commas = (text.match(/[,،、，]/g) || []).length;
+  return 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+}
+
+// Returns { text, blocks } from the densest content container, or an empty result.
+// baseUrl resolves relative links in the blocks.
+function extractReadable(html, baseUrl) {
+  const $ = cheerio.load(html);
+  removeBoilerplate($);
+
+  const scores = new Map();
+  const addScore = (el, score) => {
+    if (!el || el.type !== 'tag') return;
+    scores.set(el, (scores.get(el) || 0) + score);
+  };
+
+  $('p, pre, td').each((_, el) => {
+    const text = normalizeText($(el).text());
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+    const score = scoreParagraph(text);
+    addScore(el.parent, score);
+    if (el.parent) addScore(el.parent.parent, score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, el));
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+
+  if (!best) return { text: '', blocks: [] };
+
+  const paragraphs = new Set($(best).find('p').toArray()
+    .filter(el => linkDensity($, el) < 0.5)
+    .filter(el => normalizeText($(el).text()).length >= MIN_PARAGRAPH_LENGTH));
+
+  const blocks = extractBlocks($, best, el => paragraphs.has(el), baseUrl);
+  return { text: blocksToText(blocks), blocks };
+}
+
+module.exports = { extractReadable };
@@ -0,0 +1,126 @@
+'use strict';
+
+// Related articles computed locally with TF-IDF: every article becomes a weighted vector of its
+// words (title, description, key_topics from the AI analysis, body), and its neighbours are the
+// articles with the highest cosine similarity. Copies of the same story (one duplicate group) are
+// left out; they are listed as duplicates instead.
+
+// Neighbours kept per article
+const RELATED_LIMIT = 10;
+
+// Weight of a word by where it occurs
+const FIELD_WEIGHTS = { title: 3, key_topics: 3, description: 2, body_text: 1 };
+
+// Only an article's strongest words take part, which keeps long bodies from matching everything
+const MAX_TERMS = 60;
+
+// Words in more than this share of the articles say nothing about the topic
+const MAX_DOCUMENT_SHARE = 0.4;
+
+// Weaker neighbours aren't worth showing
+const MIN_SCORE = 0.05;
+
+const STOPWORDS = new Set(`
+  a al algo algun alguna algunas alguno algunos ante antes aqui asi aun aunque bajo bien cada casi
+  como con contra cual cuales cuando cuanto de del desde donde dos durante el ella ellas ello ellos
+  en entre era eran eres es esa esas ese eso esos esta estaba estado estan estar estas este esto estos
+  fue fueron gran ha habia han hasta hay la las le les lo los mas me mi mientras muy nada ni no nos
+  nosotros o otra otras otro otros para pero poco por porque que quien quienes se segun ser si sido
+  sin sino sobre son su sus tambien tan tanto te tiene tienen todo todos tras tu un una uno unos ya
+  about after again all also am an and any are as at be because been before being between both but
+  by can could did do does doing down during each few for from further had has have having he her
+  here hers him his how i if in into is it its just me more most my no nor not now of off on once
+  only or other our out over own same she should so some such than that the their them then there
+  these they this those through to too under until up very was we were what when where which while
+  who whom why will with would you your
+  dijo dice segun afirmo senalo explico asegura according said says told
+`.trim().split(/\s+/));
+
+function foldWord(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+// Folded words worth comparing: three letters or more, not stopwords or bare numbers
+function terms(text) {
+  return (String(text || '').match(/[\p{L}\p{N}]+/gu) || [])
+    .map(foldWord)
+    .filter(word => word.length >= 3 && !STOPWORDS.has(word) && !/^\d+$/.test(word));
+}
+
+// Weighted term frequencies of an article row
+function termFrequencies(article) {
+  const frequencies = new Map();
+  for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+    const value = field === 'key_topics' ? (article.key_topics || []).join(' ') : article[field];
+    for (const term of terms(value)) {
+      frequencies.set(term, (frequencies.get(term) || 0) + weight);
+    }
+  }
+  return frequencies;
+}
+
+// Unit-length TF-IDF vectors ([[term, weight]]) for article rows, with sublinear term frequency
+function vectorize(articles) {
+  const frequencies = articles.map(termFrequencies);
+  const documentCounts = new Map();
+  for (const counts of frequencies) {
+    for (const term of counts.keys()) documentCounts.set(term, (documentCounts.get(term) || 0) + 1);
+  }
+
+  const maxDocuments = Math.max(2, articles.length * MAX_DOCUMENT_SHARE);
+  return frequencies.map((counts) => {
+    const weights = [];
+    for (const [term, frequency] of counts) {
+      const documents = documentCounts.get(term);
+      // A word only this article uses can't connect it to another one
+      if (documents < 2 || documents > maxDocuments) continue;
+      weights.push([term, (1 + Math.log(frequency)) * Math.log(articles.length / documents)]);
+    }
+
+    const strongest = weights.sort((a, b) => b[1] - a[1]).slice(0, MAX_TERMS);
+    const norm = Math.sqrt(strongest.reduce((sum, [, weight]) => sum + weight * weight, 0));
+    return norm > 0 ? strongest.map(([term, weight]) => [term, weight / norm]) : [];
+  });
+}
+
+// Map of article id -> [{ id, score }], best first, for article rows with id, title, description,
+// body_text, key_topics and duplicate_group_id
+function computeRelated(articles, { limit = RELATED_LIMIT } = {}) {
+  const vectors = vectorize(articles);
+
+  // term -> [[article index, weight]]
+  const postings = new Map();
+  vectors.forEach((vector, index) => {
+    for (const [term, weight] of vector) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([index, weight]);
+    }
+  });
+
+  const related = new Map();
+  articles.forEach((article, index) => {
+    const scores = new Map();
+    for (const [term, weight] of vectors[index]) {
+      for (const [other, otherWeight] of postings.get(term)) {
+        if (other !== index) scores.set(other, (scores.get(other) || 0) + weight * otherWeight);
+      }
+    }
+
+    const group = article.duplicate_group_id;
+    const neighbours = [...scores]
+      .filter(([other, score]) => score >= MIN_SCORE && !(group && String(articles[other].duplicate_group_id) === String(group)))
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([other, score]) => ({ id: articles[other].id, score: Math.round(score * 10000) / 10000 }));
+
+    related.set(article.id, neighbours);
+  });
+
+  return related;
+}
+
+module.exports = {
+  RELATED_LIMIT,
+  terms,
+  computeRelated
+};
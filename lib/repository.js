@@ -0,0 +1,66 @@
+'use strict';
+
+const path = require('path');
+const { Pool } = require('pg');
+const { createPostgresRepository } = require('./db-multi');
+
+// The storage every entrypoint reads and writes through, chosen by STORAGE. Every backend runs the
+// same queries and migrations (lib/db-multi.js); only where Postgres runs differs:
+// - postgres (default): the server at DATABASE_URL or POSTGRES_URL
+// - file: an embedded Postgres (lib/db-embedded.js) kept in STORAGE_DIR (default data/db), shared
+//   by the processes of one machine, for running the dashboard, scraper and AI pipeline without a
+//   database server
+// - memory: an embedded Postgres held by this process only, for tests and one-off runs. Jobs
+//   queued from the dashboard run in child processes, which can't see it; use file there.
+// The shared instance is created on first use, so requiring this module never connects or fails.
+
+const STORAGE_BACKENDS = ['postgres', 'file', 'memory'];
+
+const DEFAULT_STORAGE_DIR = path.join(__dirname, '..', 'data', 'db');
+
+// Everything a repository exports besides pool and storage
+const REPOSITORY_FUNCTIONS = Object.keys(createPostgresRepository(null)).filter(name => name !== 'pool');
+
+function createRepository(env = process.env) {
+  const storage = env.STORAGE || 'postgres';
+
+  if (storage === 'postgres') {
+    const connectionString = env.DATABASE_URL || env.POSTGRES_URL;
+    if (!connectionString) {
+      console.warn('DATABASE_URL or POSTGRES_URL is not set. Database operations will fail until it is configured.');
+    }
+    return { storage, ...createPostgresRepository(connectionString ? new Pool({ connectionString }) : null) };
+  }
+
+  if (storage === 'file' || storage === 'memory') {
+    const { createEmbeddedPool } = require('./db-embedded');
+    const dir = storage === 'file' ? env.STORAGE_DIR || DEFAULT_STORAGE_DIR : null;
+    return { storage, dir, ...createPostgresRepository(createEmbeddedPool({ dir })) };
+  }
+
+  throw new Error(`Unknown STORAGE "${storage}". Supported: ${STORAGE_BACKENDS.join(', ')}`);
+}
+
+let shared = null;
+
+// The repository configured by the environment, created on first use
+function getRepository() {
+  if (!shared) shared = createRepository();
+  return shared;
+}
+
+const lazyFunctions = Object.fromEntries(REPOSITORY_FUNCTIONS.map(name => [
+  name,
+  (...args) => getRepository()[name](...args)
+]));
+
+module.exports = Object.defineProperties({
+  ...lazyFunctions,
+  createRepository,
+  getRepository,
+  STORAGE_BACKENDS,
+  DEFAULT_STORAGE_DIR
+}, {
+  pool: { enumerable: true, get: () => getRepository().pool },
+  storage: { enumerable: true, get: () => getRepository().storage }
+});
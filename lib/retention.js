@@ -0,0 +1,238 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { ACCESS_STATUSES } = require('./accessClassifier');
+
+// Retention cleanup in two steps:
+// 1. articles older than their policy allows move to the trash, where they can still be restored;
+// 2. articles that have been in the trash for trashDays are written to a gzipped JSON Lines archive
+//    in the archive store (createArchiveStore in lib/blobStore.js) and then deleted for good.
+//
+// The policy is a JSON file (retention.json, or RETENTION_FILE):
+//   { "trashDays": 30,
+//     "rules": [{ "name": "published", "match": { "published": true }, "keep": true },
+//               { "name": "paywalled stubs", "match": { "accessStatus": "paywalled" }, "days": 7 },
+//               { "name": "default", "days": 30 }] }
+// The first rule whose match fits an article decides: keep it, or trash it once it is older than
+// days (by publication date, or scrape date when undated). Articles no rule matches are kept.
+// match takes source and accessStatus (one value or a list), published and inEdition (true or false).
+
+const DEFAULT_RETENTION_FILE = path.join(__dirname, '..', 'retention.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Articles listed by a dry run; the totals always count every article
+const PREVIEW_LIMIT = 200;
+
+// Trashed articles read, archived and purged at a time
+const PURGE_BATCH_SIZE = 200;
+
+const MATCH_KEYS = ['source', 'accessStatus', 'published', 'inEdition'];
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function normalizeRule(rule, index, file) {
+  const label = `Retention policy ${file} rule ${index + 1}`;
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`${label} must be an object`);
+  }
+
+  const match = rule.match || {};
+  const unknown = Object.keys(match).filter(key => !MATCH_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${label} matches on unknown "${unknown[0]}" (use ${MATCH_KEYS.join(', ')})`);
+  }
+  for (const status of match.accessStatus === undefined ? [] : toList(match.accessStatus)) {
+    if (!ACCESS_STATUSES.includes(status)) {
+      throw new Error(`${label} has unknown accessStatus "${status}" (use ${ACCESS_STATUSES.join(', ')})`);
+    }
+  }
+  for (const key of ['published', 'inEdition']) {
+    if (match[key] !== undefined && typeof match[key] !== 'boolean') {
+      throw new Error(`${label} needs true or false for "${key}"`);
+    }
+  }
+
+  if ((rule.keep === true) === (rule.days !== undefined)) {
+    throw new Error(`${label} needs either "keep": true or "days"`);
+  }
+  if (rule.days !== undefined && !(Number.isFinite(rule.days) && rule.days >= 0)) {
+    throw new Error(`${label} has invalid "days" ${JSON.stringify(rule.days)}`);
+  }
+
+  return {
+    name: rule.name || `rule ${index + 1}`,
+    match: {
+      sources: match.source === undefined ? null : toList(match.source),
+      accessStatuses: match.accessStatus === undefined ? null : toList(match.accessStatus),
+      published: match.published === undefined ? null : match.published,
+      inEdition: match.inEdition === undefined ? null : match.inEdition
+    },
+    keep: rule.keep === true,
+    days: rule.keep === true ? null : rule.days
+  };
+}
+
+function loadRetentionPolicy(file = process.env.RETENTION_FILE || DEFAULT_RETENTION_FILE) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read retention policy ${file}: ${err.message}`);
+  }
+
+  if (!Array.isArray(config.rules)) {
+    throw new Error(`Retention policy ${file} needs a "rules" array`);
+  }
+  const trashDays = config.trashDays === undefined ? 30 : config.trashDays;
+  if (!(Number.isFinite(trashDays) && trashDays >= 0)) {
+    throw new Error(`Retention policy ${file} has invalid "trashDays" ${JSON.stringify(config.trashDays)}`);
+  }
+
+  return { file, trashDays, rules: config.rules.map((rule, index) => normalizeRule(rule, index, file)) };
+}
+
+// The first rule that fits an article from listRetentionCandidates, or null
+function ruleFor(article, policy) {
+  return policy.rules.find(({ match }) =>
+    (!match.sources || match.sources.includes(article.source)) &&
+    (!match.accessStatuses || match.accessStatuses.includes(article.access_status)) &&
+    (match.published === null || Boolean(article.published) === match.published) &&
+    (match.inEdition === null || Boolean(article.in_edition) === match.inEdition)) || null;
+}
+
+// Articles their rule says to move to the trash: [{ id, title, source, access_status, age_days, rule }]
+function planRetention(articles, policy, now = new Date()) {
+  const expired = [];
+  for (const article of articles) {
+    const rule = ruleFor(article, policy);
+    if (!rule || rule.keep) continue;
+
+    const date = article.published_at || article.scraped_at;
+    const ageDays = date ? (now.getTime() - new Date(date).getTime()) / DAY_MS : 0;
+    if (ageDays <= rule.days) continue;
+
+    expired.push({
+      id: article.id,
+      title: article.title,
+      source: article.source,
+      access_status: article.access_status,
+      age_days: Math.floor(ageDays),
+      rule: rule.name
+    });
+  }
+  return expired;
+}
+
+// { total, bySource, byRule } for a list of articles
+function summarize(articles, ruleOf = article => article.rule) {
+  const bySource = {};
+  const byRule = {};
+  for (const article of articles) {
+    bySource[article.source] = (bySource[article.source] || 0) + 1;
+    const rule = ruleOf(article);
+    if (rule) byRule[rule] = (byRule[rule] || 0) + 1;
+  }
+  return { total: articles.length, bySource, byRule };
+}
+
+function chunk(values, size) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) chunks.push(values.slice(i, i + size));
+  return chunks;
+}
+
+// Archive store key of the archive written at `now`
+function archiveKey(now) {
+  return `articles-${now.toISOString().replace(/[:.]/g, '-')}.jsonl.gz`;
+}
+
+// Archives then purges trashed articles. Every batch is a gzip member of one archive, which is stored
+// in archiveStore before anything is deleted; image variants left unused are then removed from
+// store. Resolves with { purged, archive }.
+async function purgeWithArchive({ db, store, archiveStore, articleIds, now }) {
+  if (articleIds.length === 0) return { purged: 0, archive: null };
+
+  const members = [];
+  const archived = [];
+  for (const ids of chunk(articleIds, PURGE_BATCH_SIZE)) {
+    const entries = await db.getArticlesForArchive(ids);
+    members.push(zlib.gzipSync(entries.map(entry => `${JSON.stringify(entry)}\n`).join('')));
+    archived.push(...entries);
+  }
+
+  const archive = archiveKey(now);
+  await archiveStore.put(archive, Buffer.concat(members), 'application/gzip');
+
+  let purged = 0;
+  for (const ids of chunk(archived.map(entry => entry.article.id), PURGE_BATCH_SIZE)) {
+    purged += await db.purgeArticles(ids);
+  }
+
+  // Variant keys are content hashes, so another article with the same image may still use them
+  const keys = [...new Set(archived.flatMap(({ media }) =>
+    Object.values((media && media.variants) || {}).map(variant => variant.key)))];
+  const inUse = new Set(keys.length > 0 ? await db.getReferencedMediaKeys(keys) : []);
+  for (const key of keys.filter(key => !inUse.has(key))) {
+    try {
+      await store.remove(key);
+    } catch (err) {
+      console.warn(`⚠️  Could not remove image ${key}: ${err.message}`);
+    }
+  }
+
+  return { purged, archive };
+}
+
+// Runs the policy against db (lib/repository.js), archiving to archiveStore and removing unused images
+// from store. dryRun reports what would be trashed and purged without changing anything; the summary
+// line goes to log (default console).
+async function runCleanup({ db, store, archiveStore, policy = loadRetentionPolicy(), dryRun = false, now = new Date(), log = console }) {
+  const expired = planRetention(await db.listRetentionCandidates(), policy, now);
+  const purgeBefore = new Date(now.getTime() - policy.trashDays * DAY_MS);
+
+  if (dryRun) {
+    const { articles: trashed } = await db.listTrash({ deletedBefore: purgeBefore, limit: null });
+    // With trashDays 0, what the run trashes is purged straight away
+    const purgeable = policy.trashDays === 0 ? [...trashed, ...expired] : trashed;
+    return {
+      dryRun: true,
+      policy: policy.file,
+      trash: { ...summarize(expired), articles: expired.slice(0, PREVIEW_LIMIT) },
+      purge: {
+        ...summarize(purgeable, () => null),
+        articles: purgeable.slice(0, PREVIEW_LIMIT).map(article => ({
+          id: article.id,
+          title: article.title,
+          source: article.source,
+          deleted_at: article.deleted_at || null
+        }))
+      }
+    };
+  }
+
+  const trashed = expired.length > 0 ? await db.trashArticles(expired.map(article => article.id)) : 0;
+  const { articles: purgeable } = await db.listTrash({ deletedBefore: purgeBefore, limit: null });
+  const { purged, archive } = await purgeWithArchive({ db, store, archiveStore, articleIds: purgeable.map(article => article.id), now });
+
+  log.log(`🗑️  Retention: ${trashed} articles moved to the trash, ${purged} purged${archive ? ` (archived to ${archive})` : ''}`);
+  return {
+    dryRun: false,
+    policy: policy.file,
+    trash: { ...summarize(expired), trashed },
+    purge: { total: purged, archive }
+  };
+}
+
+module.exports = {
+  DEFAULT_RETENTION_FILE,
+  loadRetentionPolicy,
+  ruleFor,
+  planRetention,
+  purgeWithArchive,
+  runCleanup
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Article revision hashing and diffs. A revision is { title, description, body_text }; bodies
+// are compared paragraph by paragraph (body_text keeps blank lines between paragraphs).
+
+// Bodies longer than this many paragraphs are diffed by count only
+const MAX_DIFF_PARAGRAPHS = 400;
+
+// Hash of the fields we display, used to tell a real update from a re-fetch of the same article
+function computeContentHash({ title, description, bodyText }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([title || null, description || null, bodyText || null]))
+    .digest('hex');
+}
+
+function normalizeWhitespace(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function splitParagraphs(text) {
+  return (text || '').split(/\n{2,}/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+// Longest-common-subsequence diff over paragraphs: [{ op: 'added' | 'removed', text }]
+function diffParagraphs(before, after) {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const lengths = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      changes.push({ op: 'removed', text: before[i++] });
+    } else {
+      changes.push({ op: 'added', text: after[j++] });
+    }
+  }
+  while (i < before.length) changes.push({ op: 'removed', text: before[i++] });
+  while (j < after.length) changes.push({ op: 'added', text: after[j++] });
+
+  return changes;
+}
+
+function diffBody(before, after) {
+  const beforeParagraphs = splitParagraphs(before);
+  const afterParagraphs = splitParagraphs(after);
+
+  if (beforeParagraphs.length > MAX_DIFF_PARAGRAPHS || afterParagraphs.length > MAX_DIFF_PARAGRAPHS) {
+    return {
+      added: null,
+      removed: null,
+      paragraphs: [],
+      lengthBefore: (before || '').length,
+      lengthAfter: (after || '').length
+    };
+  }
+
+  const paragraphs = diffParagraphs(beforeParagraphs, afterParagraphs);
+  return {
+    added: paragraphs.filter(change => change.op === 'added').length,
+    removed: paragraphs.filter(change => change.op === 'removed').length,
+    paragraphs,
+    lengthBefore: (before || '').length,
+    lengthAfter: (after || '').length
+  };
+}
+
+// Returns { changedFields, changes } between two revisions. A body that is missing on either side
+// (paywalled on one fetch, readable on another) or only re-spaced by the extractor is not an edit.
+function diffRevisions(previous, current) {
+  const changedFields = [];
+  const changes = {};
+
+  for (const field of ['title', 'description']) {
+    const from = previous[field] || null;
+    const to = current[field] || null;
+    if (from !== to) {
+      changedFields.push(field);
+      changes[field] = { from, to };
+    }
+  }
+
+  const bodyChanged = previous.body_text && current.body_text &&
+    normalizeWhitespace(previous.body_text) !== normalizeWhitespace(current.body_text);
+
+  if (bodyChanged) {
+    changedFields.push('body');
+    changes.body = diffBody(previous.body_text, current.body_text);
+  }
+
+  return { changedFields, changes };
+}
+
+// Content hash of a stored article or revision row; rows saved before hashes were stored get one computed
+function revisionHash(row) {
+  return row.content_hash || computeContentHash({
+    title: row.title,
+    description: row.description,
+    bodyText: row.body_text
+  });
+}
+
+module.exports = {
+  computeContentHash,
+  revisionHash,
+  diffRevisions
+};
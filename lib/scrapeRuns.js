@@ -0,0 +1,168 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// Per-source scrape run records built from scrapeAllSources' progress events, plus
+// degraded-source detection against each source's trailing averages.
+
+// Failure messages kept per source and run
+const MAX_ERRORS = 50;
+
+// Runs averaged for the trailing baseline, and how many are needed before judging a source
+const TRAILING_RUNS = 10;
+const MIN_HISTORY = 3;
+
+// A source is degraded when yield or body-extraction rate falls below this share of its average
+const DROP_RATIO = 0.5;
+
+// UTC hours the scheduled scrape runs at (matches the cron jobs in render.yaml)
+const DEFAULT_SCHEDULE_HOURS = [0, 6, 12, 18];
+
+// Listens to `events` and returns { runId, startedAt, runs() }, runs() being one record per source
+function createRunRecorder(events, runId = crypto.randomUUID()) {
+  const startedAt = new Date();
+  const runs = new Map();
+
+  function run(source) {
+    if (!runs.has(source)) {
+      runs.set(source, {
+        runId,
+        source,
+        startedAt,
+        finishedAt: null,
+        discovered: 0,
+        queued: 0,
+        fetched: 0,
+        notModified: 0,
+        extracted: 0,
+        withBody: 0,
+        new: 0,
+        updated: 0,
+        unchanged: 0,
+        failed: 0,
+        fallback: 0,
+        blocked: 0,
+        accessStatuses: {},
+        selectors: {},
+        errors: []
+      });
+    }
+    return runs.get(source);
+  }
+
+  events.on('discovered', ({ source, count, total }) => {
+    const record = run(source);
+    record.discovered = total;
+    record.queued = count;
+  });
+
+  events.on('fetched', ({ source, status }) => {
+    const record = run(source);
+    record.fetched++;
+    if (status === 304) record.notModified++;
+  });
+
+  events.on('extracted', ({ source, bodyAvailable, accessStatus, bodyStrategy, bodySelector }) => {
+    const record = run(source);
+    record.extracted++;
+    if (bodyAvailable) record.withBody++;
+    if (accessStatus) {
+      record.accessStatuses[accessStatus] = (record.accessStatuses[accessStatus] || 0) + 1;
+    }
+
+    const matched = bodyStrategy === 'readability' ? 'readability' : bodySelector;
+    if (matched) record.selectors[matched] = (record.selectors[matched] || 0) + 1;
+  });
+
+  events.on('failed', ({ source, url, error, status }) => {
+    const record = run(source);
+    if (record.errors.length < MAX_ERRORS) {
+      record.errors.push({ url, error, status });
+    }
+  });
+
+  events.on('source:done', ({ source, ...counts }) => {
+    const record = run(source);
+    for (const field of ['new', 'updated', 'unchanged', 'failed', 'fallback', 'blocked']) {
+      record[field] = counts[field] || 0;
+    }
+    record.finishedAt = new Date();
+  });
+
+  return {
+    runId,
+    startedAt,
+    runs: () => [...runs.values()]
+  };
+}
+
+function bodyRate(run) {
+  return run.extracted > 0 ? run.withBody / run.extracted : null;
+}
+
+function average(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return null;
+  return present.reduce((sum, value) => sum + value, 0) / present.length;
+}
+
+function percent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+// Compares a run with the source's previous runs (newest first). Returns { degraded, reasons }.
+// Yield is what discovery found before the limit (queued is what the limit left), so a run with a
+// lower limit doesn't read as a drop.
+function assessHealth(run, history) {
+  const previous = history.slice(0, TRAILING_RUNS);
+  const reasons = [];
+
+  // Not a drop in the source itself, but nothing was fetched from the host this run
+  if (run.blocked > 0) {
+    reasons.push(`host blocked by robots.txt fetch error (${run.blocked} fetches skipped)`);
+  }
+
+  const attempted = run.extracted + run.failed;
+  if (attempted >= MIN_HISTORY && run.failed > attempted / 2) {
+    reasons.push(`${run.failed} of ${attempted} article fetches failed`);
+  }
+
+  if (previous.length >= MIN_HISTORY) {
+    const averageYield = average(previous.map(past => past.discovered));
+    if (averageYield > 0 && run.discovered < averageYield * DROP_RATIO) {
+      reasons.push(`found ${run.discovered} URLs vs a trailing average of ${averageYield.toFixed(1)}`);
+    }
+
+    const rate = bodyRate(run);
+    const averageRate = average(previous.map(bodyRate));
+    if (rate !== null && averageRate > 0 && rate < averageRate * DROP_RATIO) {
+      reasons.push(`body extraction rate ${percent(rate)} vs a trailing average of ${percent(averageRate)}`);
+    }
+  }
+
+  return { degraded: reasons.length > 0, reasons };
+}
+
+// Next scheduled run after `now`, for schedules that fire at fixed UTC hours every day
+function nextScheduledRun(hours = DEFAULT_SCHEDULE_HOURS, now = new Date()) {
+  const sorted = [...hours].sort((a, b) => a - b);
+
+  for (let dayOffset = 0; dayOffset <= 1; dayOffset++) {
+    for (const hour of sorted) {
+      const candidate = new Date(Date.UTC(
+        now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + dayOffset, hour
+      ));
+      if (candidate > now) return candidate;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  createRunRecorder,
+  assessHealth,
+  nextScheduledRun,
+  TRAILING_RUNS,
+  DEFAULT_SCHEDULE_HOURS
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+// Search box syntax shared by the storage implementations:
+//   presupuesto senado    both words (AND)
+//   "reforma de pensiones" the words next to each other, in order
+//   -fútbol               articles without the word (or -"a phrase")
+//   pensi*                any word starting with "pensi"
+//   boric OR kast         either term
+// Words joined by punctuation (post-war, O'Higgins) are searched as a phrase.
+
+// Markers ts_headline wraps matches in; highlightHtml() turns them into <mark>
+const HIGHLIGHT_START = '⟦';
+const HIGHLIGHT_STOP = '⟧';
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const TOKEN_PATTERN = /(-?)(?:"([^"]*)"?|(\S+))/g;
+
+function words(text) {
+  return text.match(WORD_PATTERN) || [];
+}
+
+// [{ exclude, alternatives: [{ words, prefix }] }]: every clause must match, an excluded one must
+// not; a clause matches when any of its alternatives does
+function parseSearchQuery(input) {
+  const clauses = [];
+  let joinNext = false;
+
+  for (const [, minus, phrase, bare] of String(input || '').matchAll(TOKEN_PATTERN)) {
+    if (phrase === undefined && bare === 'OR' && !minus) {
+      joinNext = clauses.length > 0;
+      continue;
+    }
+
+    const text = phrase === undefined ? bare : phrase;
+    const term = { words: words(text), prefix: phrase === undefined && /[\p{L}\p{N}]\*$/u.test(text) };
+    if (term.words.length === 0) continue;
+
+    const previous = clauses[clauses.length - 1];
+    if (joinNext && !minus && !previous.exclude) {
+      previous.alternatives.push(term);
+    } else {
+      clauses.push({ exclude: Boolean(minus), alternatives: [term] });
+    }
+    joinNext = false;
+  }
+
+  return clauses;
+}
+
+// True when the query has something to look for, not only exclusions
+function hasSearchTerms(clauses) {
+  return clauses.some(clause => !clause.exclude);
+}
+
+// Postgres tsquery text for to_tsquery(), which stems and unaccents each quoted word with the
+// given configuration. Words only contain letters and digits, so quoting them is safe.
+function toTsQuery(clauses) {
+  return clauses
+    .map((clause) => {
+      const alternatives = clause.alternatives.map((term) => {
+        const phrase = term.words.map(word => `'${word}'`).join(' <-> ');
+        return term.prefix ? `${phrase}:*` : phrase;
+      });
+      const text = alternatives.length > 1 || clause.exclude ? `(${alternatives.join(' | ')})` : alternatives[0];
+      return clause.exclude ? `!${text}` : text;
+    })
+    .join(' & ');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// HTML-escapes text highlighted with the markers and wraps the matches in <mark>
+function highlightHtml(text) {
+  if (text === null || text === undefined) return null;
+  return escapeHtml(text)
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_STOP).join('</mark>');
+}
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_STOP,
+  parseSearchQuery,
+  hasSearchTerms,
+  toTsQuery,
+  highlightHtml
+};
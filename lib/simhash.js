@@ -0,0 +1,101 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// 64-bit simhash fingerprints of article bodies for near-duplicate detection. Syndicated or
+// lightly rewritten copies of a story share most word shingles, so their fingerprints differ
+// in only a few bits.
+
+// Words per shingle
+const SHINGLE_SIZE = 3;
+
+// Bodies shorter than this many words aren't fingerprinted (too few shingles to be reliable)
+const MIN_WORDS = 80;
+
+// Fingerprints at most this many bits apart are near-duplicates. Unrelated texts differ in about
+// 32 bits; a copy with a new intro or a few edited sentences typically in under 7.
+const MAX_DISTANCE = 7;
+
+// The fingerprint is split into BANDS 8-bit bands. Two fingerprints within MAX_DISTANCE bits
+// must agree on at least one band (MAX_DISTANCE < BANDS), so bands are the lookup key for candidates.
+const BANDS = 8;
+const BAND_BITS = 64 / BANDS;
+
+function tokenize(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// Two 32-bit halves of a shingle's hash
+function hashShingle(shingle) {
+  const digest = crypto.createHash('md5').update(shingle).digest();
+  return [digest.readUInt32BE(0), digest.readUInt32BE(4)];
+}
+
+// Returns the 16-hex-digit simhash of `text`, or null when the text is too short
+function simhash(text) {
+  const words = tokenize(text);
+  if (words.length < MIN_WORDS) return null;
+
+  const weights = new Array(64).fill(0);
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const [high, low] = hashShingle(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    for (let bit = 0; bit < 32; bit++) {
+      weights[bit] += (high >>> (31 - bit)) & 1 ? 1 : -1;
+      weights[bit + 32] += (low >>> (31 - bit)) & 1 ? 1 : -1;
+    }
+  }
+
+  let hex = '';
+  for (let nibble = 0; nibble < 16; nibble++) {
+    let value = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      value = (value << 1) | (weights[nibble * 4 + bit] > 0 ? 1 : 0);
+    }
+    hex += value.toString(16);
+  }
+
+  return hex;
+}
+
+// Band keys of a fingerprint, each tagged with its position so equal values in different bands don't match
+function simhashBands(hash) {
+  if (!hash) return null;
+
+  const digits = BAND_BITS / 4;
+  return Array.from({ length: BANDS }, (_, band) => {
+    return band * 2 ** BAND_BITS + parseInt(hash.slice(band * digits, (band + 1) * digits), 16);
+  });
+}
+
+function popcount(value) {
+  let count = 0;
+  while (value) {
+    value &= value - 1;
+    count++;
+  }
+  return count;
+}
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let offset = 0; offset < 16; offset += 8) {
+    distance += popcount((parseInt(a.slice(offset, offset + 8), 16) ^ parseInt(b.slice(offset, offset + 8), 16)) >>> 0);
+  }
+  return distance;
+}
+
+function isNearDuplicate(a, b) {
+  return Boolean(a && b) && hammingDistance(a, b) <= MAX_DISTANCE;
+}
+
+module.exports = {
+  simhash,
+  simhashBands,
+  hammingDistance,
+  isNearDuplicate,
+  MAX_DISTANCE
+};
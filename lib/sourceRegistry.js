@@ -0,0 +1,279 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Each JSON file in this directory describes one outlet; the file name is the source key
+const DEFAULT_SOURCES_DIR = path.join(__dirname, '..', 'sources');
+
+const DEFAULT_BODY = {
+  selectors: [],
+  // A selector "wins" once it yields this much text
+  selectorMinLength: 100,
+  // Bodies no longer than this are classified as truncated, unless a paywall signal says otherwise
+  minLength: 200,
+  // Read the body from embedded CMS state (Fusion.globalContent, __NEXT_DATA__) before the selectors
+  hydration: true
+};
+
+const DEFAULT_SITEMAP_INDEX = {
+  // How many levels of <sitemapindex> to follow below the configured sitemaps
+  maxDepth: 2,
+  // Child sitemaps whose <lastmod> is older than this are skipped (null disables the cutoff)
+  maxAgeDays: 7
+};
+
+const ARCHIVE_PERIODS = ['year', 'month', 'day'];
+
+const DEFAULT_PAYWALL = {
+  // Outlet-specific paywall containers, checked alongside the built-in markers
+  selectors: [],
+  anyOf: [],
+  allOf: [],
+  maxLength: null
+};
+
+// Where historical sitemaps live, for backfills (see lib/backfill.js):
+//   { "sitemaps": [{ "url": "...?year={year}&month={month}&week={week}", "period": "month", "weeks": [1, 2, 3, 4, 5] }],
+//     "indexes": ["https://example.com/sitemap-index.xml"] }
+// Templates are expanded for every period in the backfilled range; index children are filtered by
+// their <lastmod> and any date in their URL. null when the source has no archive.
+function normalizeArchive(archive, file) {
+  if (!archive) return null;
+
+  const sitemaps = archive.sitemaps || [];
+  const indexes = archive.indexes || [];
+  if (!Array.isArray(sitemaps) || !Array.isArray(indexes)) {
+    throw new Error(`Source ${file} has a non-array "discovery.archive.sitemaps" or "discovery.archive.indexes"`);
+  }
+
+  for (const sitemap of sitemaps) {
+    if (!sitemap || typeof sitemap.url !== 'string') {
+      throw new Error(`Source ${file} has a "discovery.archive.sitemaps" entry without "url"`);
+    }
+    if (sitemap.period && !ARCHIVE_PERIODS.includes(sitemap.period)) {
+      throw new Error(`Source ${file} has an archive sitemap with unknown period "${sitemap.period}" (use ${ARCHIVE_PERIODS.join(', ')})`);
+    }
+  }
+
+  return {
+    sitemaps: sitemaps.map(sitemap => ({ period: 'month', weeks: null, ...sitemap })),
+    indexes
+  };
+}
+
+function normalizeSource(key, config, file) {
+  if (!config || typeof config !== 'object') {
+    throw new Error(`Source ${file} must contain a JSON object`);
+  }
+
+  if (!config.name) {
+    throw new Error(`Source ${file} is missing "name"`);
+  }
+
+  const discovery = config.discovery || {};
+  const sitemaps = discovery.sitemaps || [];
+  const feeds = discovery.feeds || [];
+  const autodiscover = discovery.autodiscover || [];
+
+  for (const [field, value] of Object.entries({ sitemaps, feeds, autodiscover })) {
+    if (!Array.isArray(value)) {
+      throw new Error(`Source ${file} has a non-array "discovery.${field}"`);
+    }
+  }
+
+  if (sitemaps.length + feeds.length + autodiscover.length === 0) {
+    throw new Error(`Source ${file} needs at least one of "discovery.sitemaps", "discovery.feeds" or "discovery.autodiscover"`);
+  }
+
+  const archive = normalizeArchive(discovery.archive, file);
+
+  const body = { ...DEFAULT_BODY, ...(config.body || {}) };
+  if (!Array.isArray(body.selectors) || body.selectors.length === 0) {
+    throw new Error(`Source ${file} must define at least one "body.selectors" entry`);
+  }
+
+  const urls = config.urls || {};
+
+  // The site's own address: AMP and mobile URLs of the source are stored under its host. Defaults
+  // to the origin of the first discovery URL.
+  const firstUrl = [...sitemaps, ...feeds, ...autodiscover].map(entry => (typeof entry === 'string' ? entry : entry.url))[0];
+  let baseUrl;
+  try {
+    baseUrl = new URL(config.baseUrl || firstUrl).origin;
+  } catch (err) {
+    throw new Error(`Source ${file} has an invalid "baseUrl" or discovery URL: ${config.baseUrl || firstUrl}`);
+  }
+
+  return {
+    key,
+    name: config.name,
+    baseUrl,
+    language: config.language || 'en',
+    // Overrides the scraper's identifying User-Agent for this outlet (null uses the default)
+    userAgent: config.userAgent || null,
+    enabled: config.enabled !== false,
+    discovery: {
+      ...discovery,
+      sitemaps,
+      feeds,
+      autodiscover,
+      sitemapIndex: { ...DEFAULT_SITEMAP_INDEX, ...(discovery.sitemapIndex || {}) },
+      archive
+    },
+    urls: {
+      include: urls.include || [],
+      exclude: urls.exclude || []
+    },
+    body,
+    paywall: { ...DEFAULT_PAYWALL, ...(config.paywall || {}) }
+  };
+}
+
+function loadSources(dir = process.env.SOURCES_DIR || DEFAULT_SOURCES_DIR) {
+  const files = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort();
+
+  const sources = {};
+
+  for (const file of files) {
+    const key = path.basename(file, '.json');
+    const raw = fs.readFileSync(path.join(dir, file), 'utf8');
+
+    let config;
+    try {
+      config = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`Source ${file} is not valid JSON: ${err.message}`);
+    }
+
+    const source = normalizeSource(key, config, file);
+    if (source.enabled) {
+      sources[key] = source;
+    }
+  }
+
+  return sources;
+}
+
+// Sitemap entries are either plain URLs or templates expanded against the current date:
+//   { "url": "...?year={year}&month={month}&week={week}", "monthOffset": -1, "weeks": [4, 5] }
+function resolveSitemapUrls(source, now = new Date()) {
+  const urls = [];
+
+  for (const sitemap of source.discovery.sitemaps) {
+    if (typeof sitemap === 'string') {
+      urls.push(sitemap);
+      continue;
+    }
+
+    const date = new Date(now.getFullYear(), now.getMonth() + (sitemap.monthOffset || 0), 1);
+    const weeks = sitemap.weeks || [null];
+
+    for (const week of weeks) {
+      urls.push(
+        sitemap.url
+          .replace('{year}', date.getFullYear())
+          .replace('{month}', date.getMonth() + 1)
+          .replace('{week}', week)
+      );
+    }
+  }
+
+  return urls;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+// {year}, {month}, {day} and {week}; {MM} and {DD} are zero-padded
+function fillTemplate(template, { year, month, day = 1, week = null }) {
+  const values = { year, month, day, week, MM: pad(month), DD: pad(day) };
+  return template.replace(/\{(year|month|day|week|MM|DD)\}/g, (match, name) => values[name]);
+}
+
+function utcDay(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+// Archive sitemap templates expanded for every period overlapping [from, to] (UTC), oldest first:
+// [{ url, start, end }] with `end` the last day the sitemap covers. Week N of a month covers days
+// 7N-6 to 7N, week 5 the rest of the month.
+function resolveArchiveSitemapUrls(source, from, to) {
+  const archive = source.discovery.archive;
+  if (!archive) return [];
+
+  const first = utcDay(from.getUTCFullYear(), from.getUTCMonth() + 1, from.getUTCDate());
+  const last = utcDay(to.getUTCFullYear(), to.getUTCMonth() + 1, to.getUTCDate());
+  const overlaps = (start, end) => start <= last && end >= first;
+  const sitemaps = [];
+
+  for (const sitemap of archive.sitemaps) {
+    const add = (values, start, end) => {
+      if (overlaps(start, end)) sitemaps.push({ url: fillTemplate(sitemap.url, values), start, end });
+    };
+
+    if (sitemap.period === 'year') {
+      for (let year = first.getUTCFullYear(); year <= last.getUTCFullYear(); year++) {
+        add({ year, month: 1 }, utcDay(year, 1, 1), utcDay(year, 12, 31));
+      }
+      continue;
+    }
+
+    if (sitemap.period === 'day') {
+      for (let day = new Date(first); day <= last; day = utcDay(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate() + 1)) {
+        add({ year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() }, day, day);
+      }
+      continue;
+    }
+
+    for (let month = utcDay(first.getUTCFullYear(), first.getUTCMonth() + 1, 1); month <= last;
+      month = utcDay(month.getUTCFullYear(), month.getUTCMonth() + 2, 1)) {
+      const year = month.getUTCFullYear();
+      const monthNumber = month.getUTCMonth() + 1;
+      const daysInMonth = utcDay(year, monthNumber + 1, 0).getUTCDate();
+
+      if (!sitemap.weeks) {
+        add({ year, month: monthNumber }, month, utcDay(year, monthNumber, daysInMonth));
+        continue;
+      }
+
+      for (const week of sitemap.weeks) {
+        const startDay = 7 * (week - 1) + 1;
+        if (startDay > daysInMonth) continue;
+        const endDay = week >= 5 ? daysInMonth : Math.min(7 * week, daysInMonth);
+        add({ year, month: monthNumber, week }, utcDay(year, monthNumber, startDay), utcDay(year, monthNumber, endDay));
+      }
+    }
+  }
+
+  return sitemaps.sort((a, b) => a.start - b.start || a.url.localeCompare(b.url));
+}
+
+// Patterns are plain substrings, or { "regex": "..." } for anything fancier
+function matchesPattern(url, pattern) {
+  if (pattern && typeof pattern === 'object') {
+    return new RegExp(pattern.regex).test(url);
+  }
+  return url.includes(pattern);
+}
+
+function matchesUrlPatterns(source, url) {
+  const { include, exclude } = source.urls;
+
+  if (include.length > 0 && !include.some(pattern => matchesPattern(url, pattern))) {
+    return false;
+  }
+
+  return !exclude.some(pattern => matchesPattern(url, pattern));
+}
+
+module.exports = {
+  loadSources,
+  resolveSitemapUrls,
+  resolveArchiveSitemapUrls,
+  matchesUrlPatterns,
+  DEFAULT_SOURCES_DIR
+};
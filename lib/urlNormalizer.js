@@ -0,0 +1,103 @@
+'use strict';
+
+// URL canonicalization, so the same story reached through tracking links, AMP or mobile
+// variants, or with and without a trailing slash is stored under one articles.url.
+
+// Query parameters that only identify the referrer or campaign
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'mc_cid', 'mc_eid', 'igshid',
+  '_ga', '_gl', 'ref', 'ref_src', 'cmpid', 'ncid', 'ocid', 'smid', 'sr_share', 'mbid'
+]);
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'itm_'];
+
+// Host prefixes of AMP and mobile editions
+const VARIANT_HOST = /^(?:amp|m|mobile)\./;
+
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+function isAmpParam(name, value) {
+  const lower = name.toLowerCase();
+  return lower === 'amp' || (lower === 'outputtype' && value.toLowerCase() === 'amp');
+}
+
+// Strips /amp, /amp/ and .amp.html variants from a path
+function stripAmpPath(pathname) {
+  return pathname
+    .replace(/\/amp(?=\/|$)/g, '')
+    .replace(/\.amp\.html$/, '.html') || '/';
+}
+
+// Returns the canonical form of an absolute http(s) URL, or null when it can't be parsed.
+// Scheme and host are lowercased, tracking and AMP parameters and the fragment are dropped, the
+// remaining parameters are sorted and the trailing slash is removed. An AMP/mobile host is
+// replaced by options.canonicalHost (the host the source is configured with) when that is the
+// same site; without one it is kept, as not every publisher serves its main site on www.
+function normalizeUrl(url, base, options = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url, base);
+  } catch (err) {
+    return null;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  parsed.hash = '';
+  parsed.hostname = canonicalHostname(parsed.hostname.toLowerCase(), options.canonicalHost);
+  parsed.pathname = stripAmpPath(parsed.pathname).replace(/\/{2,}/g, '/');
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name, value]) => !isTrackingParam(name) && !isAmpParam(name, value))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  return parsed.toString();
+}
+
+function siteOfHost(hostname) {
+  return hostname.toLowerCase().replace(/^(?:www|amp|m|mobile)\./, '');
+}
+
+function canonicalHostname(hostname, canonicalHost) {
+  if (!canonicalHost || !VARIANT_HOST.test(hostname)) return hostname;
+  return siteOfHost(canonicalHost) === siteOfHost(hostname) ? canonicalHost.toLowerCase() : hostname;
+}
+
+// Host without its www./AMP/mobile prefix, used to tell same-site canonicals from syndication
+function siteOf(url) {
+  try {
+    return siteOfHost(new URL(url).hostname);
+  } catch (err) {
+    return null;
+  }
+}
+
+function isSameSite(a, b) {
+  const site = siteOf(a);
+  return site !== null && site === siteOf(b);
+}
+
+// The URL an article is stored under: its <link rel="canonical"> when that points at the same site
+// and isn't just the home page, otherwise the fetched URL. Both are normalized (with options as
+// for normalizeUrl).
+function preferredArticleUrl(fetchedUrl, canonicalUrl, options = {}) {
+  const fetched = normalizeUrl(fetchedUrl, undefined, options) || fetchedUrl;
+  const canonical = canonicalUrl ? normalizeUrl(canonicalUrl, fetchedUrl, options) : null;
+
+  if (!canonical || !isSameSite(fetched, canonical)) return fetched;
+  if (new URL(canonical).pathname === '/') return fetched;
+
+  return canonical;
+}
+
+module.exports = {
+  normalizeUrl,
+  isSameSite,
+  preferredArticleUrl
+};
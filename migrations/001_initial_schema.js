@@ -0,0 +1,271 @@
+'use strict';
+
+// The schema lib/db-multi.js used to create on every start. Every statement is idempotent, so
+// databases created that way adopt it as already applied.
+
+async function up(client) {
+  // Main articles table (supports multiple sources)
+  const createArticlesTable = `
+    CREATE TABLE IF NOT EXISTS articles (
+      id BIGSERIAL PRIMARY KEY,
+      url TEXT UNIQUE NOT NULL,
+      source TEXT NOT NULL,
+      source_name TEXT NOT NULL,
+      title TEXT,
+      description TEXT,
+      image_url TEXT,
+      body_text TEXT,
+      body_available BOOLEAN DEFAULT FALSE,
+      published_at TIMESTAMPTZ,
+      scraped_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      raw_jsonld TEXT,
+      
+      -- AI analysis fields
+      category TEXT,
+      quality_score INTEGER,
+      relevance_score INTEGER,
+      key_topics TEXT[],
+      summary TEXT,
+      engagement_potential TEXT,
+      processed_at TIMESTAMPTZ
+    );
+  `;
+
+  // Processed daily content
+  const createProcessedContentTable = `
+    CREATE TABLE IF NOT EXISTS processed_content (
+      id BIGSERIAL PRIMARY KEY,
+      headline TEXT NOT NULL,
+      articles JSONB NOT NULL,
+      processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      published BOOLEAN DEFAULT FALSE,
+      date DATE NOT NULL DEFAULT CURRENT_DATE
+    );
+  `;
+
+  // Analytics table
+  const createAnalyticsTable = `
+    CREATE TABLE IF NOT EXISTS analytics (
+      id BIGSERIAL PRIMARY KEY,
+      article_id BIGINT REFERENCES articles(id),
+      event_type TEXT NOT NULL,
+      event_data JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      date DATE NOT NULL DEFAULT CURRENT_DATE
+    );
+  `;
+
+  // Each distinct version of an article's title, description and body, with the diff from the one before
+  const createArticleRevisionsTable = `
+    CREATE TABLE IF NOT EXISTS article_revisions (
+      id BIGSERIAL PRIMARY KEY,
+      article_id BIGINT NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+      revision INTEGER NOT NULL,
+      content_hash TEXT NOT NULL,
+      title TEXT,
+      description TEXT,
+      body_text TEXT,
+      modified_at TIMESTAMPTZ,
+      captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      changed_fields TEXT[],
+      changes JSONB,
+      UNIQUE (article_id, revision)
+    );
+  `;
+
+  // Locally stored lead images (see lib/imagePipeline.js); variants maps a size to its blob key and dimensions
+  const createMediaTable = `
+    CREATE TABLE IF NOT EXISTS media (
+      id BIGSERIAL PRIMARY KEY,
+      article_id BIGINT NOT NULL UNIQUE REFERENCES articles(id) ON DELETE CASCADE,
+      source_url TEXT NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('ready', 'failed')),
+      content_hash TEXT,
+      format TEXT,
+      width INTEGER,
+      height INTEGER,
+      alt_text TEXT,
+      dominant_color TEXT,
+      placeholder TEXT,
+      variants JSONB,
+      error TEXT,
+      attempts INTEGER NOT NULL DEFAULT 1,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `;
+
+  // Image variants when MEDIA_STORE=postgres (see lib/blobStore.js)
+  const createMediaBlobsTable = `
+    CREATE TABLE IF NOT EXISTS media_blobs (
+      key TEXT PRIMARY KEY,
+      body BYTEA NOT NULL,
+      content_type TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `;
+
+  // One row per source per scrape run (see lib/scrapeRuns.js)
+  const createScrapeRunsTable = `
+    CREATE TABLE IF NOT EXISTS scrape_runs (
+      id BIGSERIAL PRIMARY KEY,
+      run_id TEXT NOT NULL,
+      source TEXT NOT NULL,
+      started_at TIMESTAMPTZ NOT NULL,
+      finished_at TIMESTAMPTZ,
+      discovered INTEGER NOT NULL DEFAULT 0,
+      queued INTEGER NOT NULL DEFAULT 0,
+      fetched INTEGER NOT NULL DEFAULT 0,
+      not_modified INTEGER NOT NULL DEFAULT 0,
+      extracted INTEGER NOT NULL DEFAULT 0,
+      with_body INTEGER NOT NULL DEFAULT 0,
+      new_articles INTEGER NOT NULL DEFAULT 0,
+      updated_articles INTEGER NOT NULL DEFAULT 0,
+      unchanged INTEGER NOT NULL DEFAULT 0,
+      failed INTEGER NOT NULL DEFAULT 0,
+      fallback INTEGER NOT NULL DEFAULT 0,
+      access_statuses JSONB,
+      selectors JSONB,
+      errors JSONB,
+      degraded BOOLEAN NOT NULL DEFAULT FALSE,
+      degraded_reasons TEXT[]
+    );
+  `;
+
+  // Background work requested from the dashboard or CLI, run by lib/jobWorker.js
+  const createJobsTable = `
+    CREATE TABLE IF NOT EXISTS jobs (
+      id BIGSERIAL PRIMARY KEY,
+      type TEXT NOT NULL,
+      params JSONB NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 1,
+      progress JSONB,
+      result JSONB,
+      error TEXT,
+      cancel_requested BOOLEAN NOT NULL DEFAULT FALSE,
+      locked_by TEXT,
+      heartbeat_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      started_at TIMESTAMPTZ,
+      finished_at TIMESTAMPTZ,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `;
+
+  // Output of a job's process, one row per line
+  const createJobLogsTable = `
+    CREATE TABLE IF NOT EXISTS job_logs (
+      id BIGSERIAL PRIMARY KEY,
+      job_id BIGINT NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+      stream TEXT NOT NULL,
+      line TEXT NOT NULL,
+      logged_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `;
+
+  // Resumable historical backfills (see lib/backfill.js); key is "<source>:<from>:<to>"
+  const createBackfillCheckpointsTable = `
+    CREATE TABLE IF NOT EXISTS backfill_checkpoints (
+      key TEXT PRIMARY KEY,
+      source TEXT NOT NULL,
+      range_from DATE NOT NULL,
+      range_to DATE NOT NULL,
+      state JSONB NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      completed_at TIMESTAMPTZ
+    );
+  `;
+
+  // Columns added after the original schema (CREATE TABLE IF NOT EXISTS never adds them to existing tables)
+  const addArticleColumns = `
+    ALTER TABLE articles
+      ADD COLUMN IF NOT EXISTS etag TEXT,
+      ADD COLUMN IF NOT EXISTS last_modified TEXT,
+      ADD COLUMN IF NOT EXISTS sitemap_lastmod TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS content_hash TEXT,
+      ADD COLUMN IF NOT EXISTS checked_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS body_strategy TEXT,
+      ADD COLUMN IF NOT EXISTS body_selector TEXT,
+      ADD COLUMN IF NOT EXISTS authors TEXT[],
+      ADD COLUMN IF NOT EXISTS section TEXT,
+      ADD COLUMN IF NOT EXISTS tags TEXT[],
+      ADD COLUMN IF NOT EXISTS modified_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS language TEXT,
+      ADD COLUMN IF NOT EXISTS publisher TEXT,
+      ADD COLUMN IF NOT EXISTS canonical_url TEXT,
+      ADD COLUMN IF NOT EXISTS word_count INTEGER,
+      ADD COLUMN IF NOT EXISTS reading_time_minutes INTEGER,
+      ADD COLUMN IF NOT EXISTS body_blocks JSONB,
+      ADD COLUMN IF NOT EXISTS body_markdown TEXT,
+      ADD COLUMN IF NOT EXISTS access_status TEXT
+        -- Frozen copy of ACCESS_STATUSES (lib/accessClassifier.js); a change to it needs a new migration
+        CHECK (access_status IN ('free', 'metered', 'paywalled', 'truncated', 'error')),
+      ADD COLUMN IF NOT EXISTS access_reason TEXT,
+      ADD COLUMN IF NOT EXISTS simhash TEXT,
+      ADD COLUMN IF NOT EXISTS simhash_bands INTEGER[],
+      ADD COLUMN IF NOT EXISTS duplicate_group_id BIGINT,
+      ADD COLUMN IF NOT EXISTS group_representative BOOLEAN NOT NULL DEFAULT TRUE,
+      ADD COLUMN IF NOT EXISTS image_alt TEXT;
+  `;
+
+  // Rows scraped before access classification only have the body_available boolean
+  const backfillAccessStatus = `
+    UPDATE articles
+    SET access_status = CASE WHEN body_available THEN 'free' ELSE 'paywalled' END,
+        access_reason = 'backfilled from body_available'
+    WHERE access_status IS NULL;
+  `;
+
+  // Create indexes for performance
+  const createIndexes = `
+    CREATE INDEX IF NOT EXISTS idx_articles_source ON articles(source);
+    CREATE INDEX IF NOT EXISTS idx_articles_published ON articles(published_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_articles_category ON articles(category);
+    CREATE INDEX IF NOT EXISTS idx_articles_quality ON articles(quality_score DESC);
+    CREATE INDEX IF NOT EXISTS idx_articles_access_status ON articles(access_status);
+    CREATE INDEX IF NOT EXISTS idx_articles_simhash_bands ON articles USING GIN (simhash_bands);
+    CREATE INDEX IF NOT EXISTS idx_articles_duplicate_group ON articles(duplicate_group_id);
+    CREATE INDEX IF NOT EXISTS idx_analytics_date ON analytics(date);
+    CREATE INDEX IF NOT EXISTS idx_scrape_runs_source ON scrape_runs(source, started_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, created_at);
+    CREATE INDEX IF NOT EXISTS idx_job_logs_job ON job_logs(job_id, id);
+    -- At most one queued or running job of each type, so runs never overlap
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_active_type ON jobs(type) WHERE status IN ('queued', 'running');
+  `;
+
+  await client.query(createArticlesTable);
+  await client.query(createProcessedContentTable);
+  await client.query(createAnalyticsTable);
+  await client.query(createScrapeRunsTable);
+  await client.query(createArticleRevisionsTable);
+  await client.query(createMediaTable);
+  await client.query(createMediaBlobsTable);
+  await client.query(createJobsTable);
+  await client.query(createJobLogsTable);
+  await client.query(createBackfillCheckpointsTable);
+  await client.query(addArticleColumns);
+  await client.query(backfillAccessStatus);
+  await client.query(createIndexes);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS
+      backfill_checkpoints,
+      job_logs,
+      jobs,
+      scrape_runs,
+      media_blobs,
+      media,
+      article_revisions,
+      analytics,
+      processed_content,
+      articles;
+  `);
+}
+
+module.exports = { up, down };
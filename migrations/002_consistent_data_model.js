@@ -0,0 +1,37 @@
+'use strict';
+
+// Brings older databases in line with the data model the code uses:
+// - articles.published, which the dashboard's publish/unpublish actions and stats rely on
+// - processed_content as lib/db-multi.js defines it. ContentProcessor used to create the table
+//   itself, without `date` and with nullable columns, when it ran before the scraper.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS published BOOLEAN NOT NULL DEFAULT FALSE;
+    CREATE INDEX IF NOT EXISTS idx_articles_published_flag ON articles(published) WHERE published;
+  `);
+
+  await client.query(`
+    ALTER TABLE processed_content ADD COLUMN IF NOT EXISTS date DATE;
+    UPDATE processed_content SET date = processed_at::date WHERE date IS NULL;
+    UPDATE processed_content SET headline = '' WHERE headline IS NULL;
+    UPDATE processed_content SET articles = '[]' WHERE articles IS NULL;
+    ALTER TABLE processed_content
+      ALTER COLUMN date SET DEFAULT CURRENT_DATE,
+      ALTER COLUMN date SET NOT NULL,
+      ALTER COLUMN headline SET NOT NULL,
+      ALTER COLUMN articles SET NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_processed_content_date ON processed_content(date DESC);
+  `);
+}
+
+// processed_content keeps its `date` column, which the initial schema defines
+async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_processed_content_date;
+    DROP INDEX IF EXISTS idx_articles_published_flag;
+    ALTER TABLE articles DROP COLUMN IF EXISTS published;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,67 @@
+'use strict';
+
+// Full-text search over articles (lib/db-multi.js searchArticles):
+// - news_spanish, news_english and news_simple: the built-in configurations with unaccent applied
+//   before stemming, so "política" and "politica" are the same word
+// - article_search_config(language): the configuration for an article's language
+// - articles.search_vector: title (weight A), description (B) and body (C), with a GIN index
+
+const CONFIGS = [
+  ['news_spanish', 'spanish', 'spanish_stem'],
+  ['news_english', 'english', 'english_stem'],
+  ['news_simple', 'simple', 'simple']
+];
+
+async function up(client) {
+  // The parser only treats non-ASCII letters as word characters in a UTF8 database
+  const { rows } = await client.query(
+    'SELECT pg_encoding_to_char(encoding) AS encoding FROM pg_database WHERE datname = current_database()'
+  );
+  if (rows[0].encoding !== 'UTF8') {
+    console.warn(`⚠️  Database encoding is ${rows[0].encoding}, not UTF8: accented words won't be searchable`);
+  }
+
+  await client.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+
+  for (const [name, base, dictionary] of CONFIGS) {
+    await client.query(`
+      CREATE TEXT SEARCH CONFIGURATION ${name} (COPY = pg_catalog.${base});
+      ALTER TEXT SEARCH CONFIGURATION ${name}
+        ALTER MAPPING FOR hword, hword_part, word WITH unaccent, ${dictionary};
+    `);
+  }
+
+  // Languages are stored as ISO 639-1 codes (lib/articleMetadata.js normalizeLanguage)
+  await client.query(`
+    CREATE OR REPLACE FUNCTION article_search_config(language TEXT) RETURNS regconfig
+    LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+      SELECT CASE language
+        WHEN 'es' THEN 'news_spanish'::regconfig
+        WHEN 'en' THEN 'news_english'::regconfig
+        ELSE 'news_simple'::regconfig
+      END
+    $$;
+  `);
+
+  await client.query(`
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS search_vector tsvector
+      GENERATED ALWAYS AS (
+        setweight(to_tsvector(article_search_config(language), COALESCE(title, '')), 'A') ||
+        setweight(to_tsvector(article_search_config(language), COALESCE(description, '')), 'B') ||
+        setweight(to_tsvector(article_search_config(language), COALESCE(body_text, '')), 'C')
+      ) STORED;
+    CREATE INDEX IF NOT EXISTS idx_articles_search_vector ON articles USING GIN (search_vector);
+  `);
+}
+
+// The unaccent extension stays; other database objects may use it
+async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_articles_search_vector;
+    ALTER TABLE articles DROP COLUMN IF EXISTS search_vector;
+    DROP FUNCTION IF EXISTS article_search_config(TEXT);
+    ${CONFIGS.map(([name]) => `DROP TEXT SEARCH CONFIGURATION IF EXISTS ${name};`).join('\n    ')}
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+'use strict';
+
+// Neighbours of each article from lib/relatedArticles.js, replaced by every refresh
+// (api/refresh-related.js). rank 1 is the most similar.
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS related_articles (
+      article_id BIGINT NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+      related_id BIGINT NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+      rank INTEGER NOT NULL,
+      score REAL NOT NULL,
+      computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (article_id, related_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_related_articles_related ON related_articles(related_id);
+  `);
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS related_articles');
+}
+
+module.exports = { up, down };
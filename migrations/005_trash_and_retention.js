@@ -0,0 +1,32 @@
+'use strict';
+
+// Soft delete for the trash and retention cleanup (lib/retention.js):
+// - articles.deleted_at: set when an article is moved to the trash; every listing leaves those out
+// - analytics keeps its events when an article is purged for good, without the article reference
+//   (the purged article is in the cleanup archive)
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+    CREATE INDEX IF NOT EXISTS idx_articles_deleted_at ON articles(deleted_at) WHERE deleted_at IS NOT NULL;
+
+    ALTER TABLE analytics
+      DROP CONSTRAINT IF EXISTS analytics_article_id_fkey,
+      ADD CONSTRAINT analytics_article_id_fkey
+        FOREIGN KEY (article_id) REFERENCES articles(id) ON DELETE SET NULL;
+  `);
+}
+
+// Articles in the trash become visible again
+async function down(client) {
+  await client.query(`
+    ALTER TABLE analytics
+      DROP CONSTRAINT IF EXISTS analytics_article_id_fkey,
+      ADD CONSTRAINT analytics_article_id_fkey FOREIGN KEY (article_id) REFERENCES articles(id);
+
+    DROP INDEX IF EXISTS idx_articles_deleted_at;
+    ALTER TABLE articles DROP COLUMN IF EXISTS deleted_at;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+'use strict';
+
+// articles.fetched_url: the (normalized) sitemap or feed URL an article was last fetched from. Articles
+// are stored under their same-site canonical URL, so incremental scrapes look them up by either.
+
+async function up(client) {
+  await client.query(`
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS fetched_url TEXT;
+    UPDATE articles SET fetched_url = url WHERE fetched_url IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_articles_fetched_url ON articles(fetched_url);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP INDEX IF EXISTS idx_articles_fetched_url;
+    ALTER TABLE articles DROP COLUMN IF EXISTS fetched_url;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,133 @@
+'use strict';
+
+// Records an extraction fixture from the live site (needs network):
+//   node scripts/record-fixture.js <source> <article-url> [--sitemap <url> | --feed <url>]
+// Saves the article HTML and a sitemap snapshot (or, for feed-only sources, a feed snapshot) under
+// test/fixtures/<source>/ and writes what the extractors currently produce into expected.json.
+// Review that diff before committing.
+//
+// After an intentional extractor change, refresh expected.json from the saved snapshots:
+//   node scripts/record-fixture.js <source> --update
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { scrapeArticle, parseSitemapXml, fetchSitemapXml, NEWS_SOURCES } = require('../lib/multiSiteScraper');
+const { parseFeedXml } = require('../lib/feedParser');
+const { createHttpClient } = require('../lib/httpClient');
+const { resolveSitemapUrls } = require('../lib/sourceRegistry');
+const {
+  FIXTURES_DIR,
+  readFixture,
+  offlineClient,
+  summarizeArticle,
+  summarizeSitemap,
+  summarizeFeed
+} = require('../test/fixtureHarness');
+
+const SITEMAP_FILE = 'sitemap.xml';
+const FEED_FILE = 'feed.xml';
+
+function loadExpectedOrEmpty(dir) {
+  const file = path.join(dir, 'expected.json');
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { sitemap: null, articles: [] };
+}
+
+function articleFileName(expected, url) {
+  const existing = expected.articles.find(fixture => fixture.url === url);
+  if (existing) return existing.file;
+  return expected.articles.length === 0 ? 'article.html' : `article-${expected.articles.length + 1}.html`;
+}
+
+async function recordSnapshots(sourceKey, dir, expected, articleUrl, { sitemap: sitemapUrl, feed: feedUrl }) {
+  const source = NEWS_SOURCES[sourceKey];
+  const client = createHttpClient();
+
+  console.log(`🌐 Fetching ${articleUrl}`);
+  const html = await client.fetchText(articleUrl, { userAgent: source.userAgent || undefined });
+  const file = articleFileName(expected, articleUrl);
+  fs.writeFileSync(path.join(dir, file), html);
+
+  if (!expected.articles.some(fixture => fixture.url === articleUrl)) {
+    expected.articles.push({ file, url: articleUrl, expected: null });
+  }
+
+  const sitemap = sitemapUrl || (feedUrl ? null : resolveSitemapUrls(source)[0]);
+  const feed = sitemap ? null : feedUrl || source.discovery.feeds[0];
+
+  if (sitemap) {
+    console.log(`🌐 Fetching ${sitemap}`);
+    fs.writeFileSync(path.join(dir, SITEMAP_FILE), await fetchSitemapXml(sitemap, source, client));
+    expected.sitemap = { file: SITEMAP_FILE };
+  } else if (feed) {
+    console.log(`🌐 Fetching ${feed}`);
+    fs.writeFileSync(path.join(dir, FEED_FILE), await client.fetchText(feed, { userAgent: source.userAgent || undefined }));
+    expected.feed = { file: FEED_FILE };
+  }
+}
+
+// Re-runs the extractors over the saved snapshots and stores their output as the expectation
+async function refreshExpected(sourceKey, expected) {
+  const source = NEWS_SOURCES[sourceKey];
+
+  if (expected.sitemap) {
+    const parsed = parseSitemapXml(readFixture(sourceKey, expected.sitemap.file));
+    expected.sitemap = { file: expected.sitemap.file, ...summarizeSitemap(parsed, source) };
+  }
+
+  if (expected.feed) {
+    const entries = parseFeedXml(readFixture(sourceKey, expected.feed.file));
+    expected.feed = { file: expected.feed.file, ...summarizeFeed(entries, source) };
+  }
+
+  for (const fixture of expected.articles) {
+    const html = readFixture(sourceKey, fixture.file);
+    const article = await scrapeArticle(fixture.url, sourceKey, { client: offlineClient(html) });
+    fixture.expected = summarizeArticle(article);
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      sitemap: { type: 'string' },
+      feed: { type: 'string' },
+      update: { type: 'boolean', default: false }
+    }
+  });
+
+  const [sourceKey, articleUrl] = positionals;
+  if (!sourceKey || (!articleUrl && !values.update)) {
+    console.error('Usage: node scripts/record-fixture.js <source> <article-url> [--sitemap <url> | --feed <url>]');
+    console.error('       node scripts/record-fixture.js <source> --update');
+    process.exit(1);
+  }
+
+  if (!NEWS_SOURCES[sourceKey]) {
+    console.error(`Unknown source "${sourceKey}". Known sources: ${Object.keys(NEWS_SOURCES).join(', ')}`);
+    process.exit(1);
+  }
+
+  const dir = path.join(FIXTURES_DIR, sourceKey);
+  fs.mkdirSync(dir, { recursive: true });
+  const expected = loadExpectedOrEmpty(dir);
+
+  if (articleUrl) {
+    await recordSnapshots(sourceKey, dir, expected, articleUrl, values);
+  }
+
+  await refreshExpected(sourceKey, expected);
+  fs.writeFileSync(path.join(dir, 'expected.json'), `${JSON.stringify(expected, null, 2)}\n`);
+
+  console.log(`✅ Wrote ${path.relative(process.cwd(), dir)}/expected.json`);
+  for (const fixture of expected.articles) {
+    const { title, accessStatus, bodyLength } = fixture.expected;
+    console.log(`   ${fixture.file}: ${title} (${accessStatus}, ${bodyLength} chars)`);
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ Recording failed:', err.message);
+  process.exit(1);
+});
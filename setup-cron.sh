@@ -4,7 +4,7 @@
 # Runs 4 times daily: 6 AM, 12 PM, 6 PM, 12 AM
 
 PROJECT_DIR="/Users/kavi/Sharedcodingprojects/BuenosDiasChile"
-CRON_COMMAND="0 0,6,12,18 * * * cd $PROJECT_DIR && /usr/local/bin/npm run scrape:newyorker >> $PROJECT_DIR/logs/scraper.log 2>&1"
+CRON_COMMAND="0 0,6,12,18 * * * cd $PROJECT_DIR && /usr/local/bin/node cli.js scrape --source newyorker >> $PROJECT_DIR/logs/scraper.log 2>&1"
 
 echo "Setting up cron job for New Yorker scraper..."
 echo "Schedule: 4 times daily (12 AM, 6 AM, 12 PM, 6 PM)"
@@ -14,9 +14,9 @@ echo ""
 mkdir -p "$PROJECT_DIR/logs"
 
 # Check if cron job already exists
-if crontab -l 2>/dev/null | grep -q "scrape:newyorker"; then
+if crontab -l 2>/dev/null | grep -q "cli.js scrape --source newyorker"; then
     echo "⚠️  Cron job already exists. Removing old one..."
-    crontab -l 2>/dev/null | grep -v "scrape:newyorker" | crontab -
+    crontab -l 2>/dev/null | grep -v "cli.js scrape --source newyorker" | crontab -
 fi
 
 # Add new cron job
@@ -33,6 +33,6 @@ echo ""
 echo "Logs will be saved to: $PROJECT_DIR/logs/scraper.log"
 echo ""
 echo "To view current cron jobs: crontab -l"
-echo "To remove this cron job: crontab -l | grep -v 'scrape:newyorker' | crontab -"
+echo "To remove this cron job: crontab -l | grep -v 'cli.js scrape --source newyorker' | crontab -"
 echo ""
-echo "To test manually: npm run scrape:newyorker"
+echo "To test manually: npm run cli -- scrape --source newyorker"
@@ -0,0 +1,156 @@
+'use strict';
+
+// Historical backfills from archive sitemaps (lib/backfill.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { runBackfill, planSitemaps, urlPeriod } = require('../lib/backfill');
+const { createHttpClient } = require('../lib/httpClient');
+const { readFixture } = require('./fixtureHarness');
+const { openTestRepository } = require('./repositoryHarness');
+
+const EMPTY_SITEMAP = '<?xml version="1.0" encoding="UTF-8"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"></urlset>';
+
+// Week 2 of November 2025 serves the New Yorker fixture sitemap, other weeks are empty, and every
+// article is the fixture article
+function archiveClient(requested = []) {
+  return createHttpClient({
+    respectRobots: false,
+    requestsPerSecond: 1000,
+    retries: 0,
+    fetch: async (url) => {
+      requested.push(String(url));
+      let body = readFixture('newyorker', 'article.html');
+      if (String(url).includes('sitemap.xml')) {
+        body = String(url).endsWith('year=2025&month=11&week=2') ? readFixture('newyorker', 'sitemap.xml') : EMPTY_SITEMAP;
+      }
+      return new Response(body, { status: 200 });
+    }
+  });
+}
+
+function memoryCheckpoints() {
+  const saved = new Map();
+  return {
+    saved,
+    load: async key => saved.get(key) || null,
+    save: async (key, checkpoint) => {
+      saved.set(key, JSON.parse(JSON.stringify(checkpoint)));
+    }
+  };
+}
+
+test('archive sitemaps are enumerated per week and dated index children are recognised', async () => {
+  const plan = await planSitemaps('newyorker', {
+    from: new Date('2025-10-30T00:00:00Z'),
+    to: new Date('2025-11-10T23:59:59Z'),
+    client: archiveClient()
+  });
+
+  assert.deepEqual(plan.map(sitemap => sitemap.url.split('?')[1]), [
+    'year=2025&month=10&week=5',
+    'year=2025&month=11&week=1',
+    'year=2025&month=11&week=2'
+  ]);
+  assert.ok(plan.every(sitemap => sitemap.scoped));
+
+  assert.deepEqual(urlPeriod('https://www.example.cl/sitemap-2024-05.xml'), {
+    start: new Date('2024-05-01T00:00:00Z'),
+    end: new Date('2024-06-01T00:00:00Z')
+  });
+  assert.equal(urlPeriod('https://www.example.cl/sitemaps/2024/05/12/').start.toISOString(), '2024-05-12T00:00:00.000Z');
+  assert.equal(urlPeriod('https://www.example.cl/sitemap.xml?year=2024&month=5'), null);
+});
+
+test('an interrupted backfill resumes from its checkpoint without repeating articles', async () => {
+  const checkpoints = memoryCheckpoints();
+  const fetchedArticles = [];
+  const options = {
+    source: 'newyorker',
+    from: new Date('2025-11-06T00:00:00Z'),
+    to: new Date('2025-11-10T00:00:00Z'),
+    batchSize: 1,
+    pauseMs: 0,
+    checkpoints,
+    save: async article => ({ id: fetchedArticles.push(article.sitemapLastmod) })
+  };
+
+  // The limit stands in for an interruption after two articles
+  const first = await runBackfill({ ...options, limit: 2, client: archiveClient() });
+  assert.equal(first.finished, false);
+  assert.equal(first.counts.new, 2);
+  assert.equal(checkpoints.saved.get(first.key).state.current.position, 2);
+
+  const requested = [];
+  const second = await runBackfill({ ...options, client: archiveClient(requested) });
+  assert.equal(second.finished, true);
+  assert.equal(second.counts.new, 3);
+  assert.equal(second.completedSitemaps, 2);
+  assert.ok(checkpoints.saved.get(second.key).completed);
+
+  // Week 1 was finished in the first run; the cartoon is outside the source's URL patterns
+  assert.ok(!requested.some(url => url.endsWith('week=1')));
+  assert.equal(new Set(fetchedArticles.map(String)).size, 3);
+});
+
+test('a backfill without an end date resumes its range on a later day', async (t) => {
+  const db = await openTestRepository(t);
+  const fetchedArticles = [];
+  const options = {
+    source: 'newyorker',
+    from: new Date('2025-11-06T00:00:00Z'),
+    batchSize: 1,
+    pauseMs: 0,
+    checkpoints: { load: db.getBackfillCheckpoint, save: db.saveBackfillCheckpoint, findOpen: db.findOpenBackfillCheckpoint },
+    save: async article => ({ id: fetchedArticles.push(String(article.sitemapLastmod)) })
+  };
+
+  const first = await runBackfill({ ...options, limit: 2, now: new Date('2025-11-10T18:00:00Z'), client: archiveClient() });
+  assert.equal(first.to, '2025-11-10');
+  assert.equal(first.finished, false);
+
+  // The next day the range still ends where the interrupted run's did
+  const second = await runBackfill({ ...options, now: new Date('2025-11-11T08:00:00Z'), client: archiveClient() });
+  assert.equal(second.key, first.key);
+  assert.equal(second.finished, true);
+  assert.equal(second.counts.new, 3);
+  assert.equal(new Set(fetchedArticles).size, 3);
+
+  // Once finished, a new run ends today
+  const third = await runBackfill({ ...options, dryRun: true, checkpoints: null, now: new Date('2025-11-11T08:00:00Z'), client: archiveClient() });
+  assert.equal(third.to, '2025-11-11');
+  assert.equal(await db.findOpenBackfillCheckpoint('newyorker', '2025-11-06'), null);
+});
+
+test('backfill warnings go to the injected logger', async (t) => {
+  const consoleWarn = t.mock.method(console, 'warn', () => {});
+  const consoleError = t.mock.method(console, 'error', () => {});
+  const lines = [];
+  const log = {
+    log: () => {},
+    warn: (...args) => lines.push(`warn: ${args.join(' ')}`),
+    error: (...args) => lines.push(`error: ${args.join(' ')}`)
+  };
+  const client = createHttpClient({
+    respectRobots: false,
+    requestsPerSecond: 1000,
+    retries: 0,
+    fetch: async () => new Response('down', { status: 500 })
+  });
+
+  const result = await runBackfill({
+    source: 'newyorker',
+    from: new Date('2025-11-06T00:00:00Z'),
+    to: new Date('2025-11-10T00:00:00Z'),
+    pauseMs: 0,
+    client,
+    log
+  });
+
+  assert.equal(result.failedSitemaps.length, 2);
+  assert.ok(lines.some(line => line.startsWith('error: Failed to read sitemap')));
+  assert.ok(lines.some(line => line.startsWith('warn: ⚠️  2 sitemaps could not be read')));
+  assert.equal(consoleWarn.mock.callCount(), 0);
+  assert.equal(consoleError.mock.callCount(), 0);
+});
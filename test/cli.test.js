@@ -0,0 +1,60 @@
+'use strict';
+
+// Argument parsing of the command-line entrypoint (cli.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { parseDate, findCommand, parseCommandArgs } = require('../cli');
+const { scrapeOptionsFromEnv } = require('../api/scrape-all');
+const { NEWS_SOURCES } = require('../lib/multiSiteScraper');
+
+test('--since, --from and --to take ISO dates and ages', () => {
+  const now = new Date('2025-11-12T12:00:00Z');
+
+  assert.equal(parseDate('36h', now).toISOString(), '2025-11-11T00:00:00.000Z');
+  assert.equal(parseDate('2w', now).toISOString(), '2025-10-29T12:00:00.000Z');
+  assert.equal(parseDate('2025-11-01', now).toISOString(), '2025-11-01T00:00:00.000Z');
+  assert.throws(() => parseDate('yesterday', now), { code: 'USAGE' });
+  assert.throws(() => parseDate('2025-13-45', now), { code: 'USAGE' });
+});
+
+test('subcommands are resolved and their flags validated', () => {
+  assert.deepEqual(findCommand(['articles', 'show', '12']), { name: 'articles show', rest: ['12'] });
+  assert.throws(() => findCommand(['articles']), { code: 'USAGE', message: /list, show/ });
+  assert.throws(() => findCommand(['publish']), { code: 'USAGE' });
+
+  const { flags, args } = parseCommandArgs('scrape', ['-s', 'latercera,emol', '--source', 'ciper', '-n', '5', '--dry-run']);
+  assert.deepEqual(flags.source, ['latercera', 'emol', 'ciper']);
+  assert.equal(flags.limit, 5);
+  assert.equal(flags['dry-run'], true);
+  assert.deepEqual(args, []);
+
+  assert.throws(() => parseCommandArgs('scrape', ['--source', 'nope']), { code: 'USAGE', message: /Unknown source "nope"/ });
+  assert.throws(() => parseCommandArgs('scrape', ['--limit', '0']), { code: 'USAGE' });
+  // Flags belong to commands: export has no --dry-run and db migrate takes no arguments
+  assert.throws(() => parseCommandArgs('export', ['--dry-run']), { code: 'USAGE' });
+  assert.throws(() => parseCommandArgs('db migrate', ['now']), { code: 'USAGE' });
+  // A backfill range given as an age would move every day
+  assert.throws(() => parseCommandArgs('backfill', ['--source', 'emol', '--from', '90d']), { code: 'USAGE', message: /--from must be an ISO date/ });
+});
+
+test('scrapes every configured source unless SOURCES names some', () => {
+  assert.deepEqual(scrapeOptionsFromEnv({}).sources, Object.keys(NEWS_SOURCES));
+  assert.deepEqual(scrapeOptionsFromEnv({ SOURCES: 'latercera, emol' }).sources, ['latercera', 'emol']);
+});
+
+test('--json keeps progress logs off stdout', () => {
+  const cli = spawnSync(process.execPath, [path.join(__dirname, '..', 'cli.js'), 'db', 'migrate', '--json'], {
+    env: { ...process.env, STORAGE: 'memory' },
+    encoding: 'utf8',
+    timeout: 60000
+  });
+
+  assert.equal(cli.status, 0, cli.stderr);
+  const { migrations } = JSON.parse(cli.stdout);
+  assert.ok(migrations.length > 0);
+  assert.match(cli.stderr, /Applied migration 001/);
+});
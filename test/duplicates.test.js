@@ -0,0 +1,79 @@
+'use strict';
+
+// URL canonicalization and simhash near-duplicate detection (lib/urlNormalizer.js, lib/simhash.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeUrl, preferredArticleUrl } = require('../lib/urlNormalizer');
+const { simhash, simhashBands, hammingDistance, isNearDuplicate } = require('../lib/simhash');
+const { scrapeArticle } = require('../lib/multiSiteScraper');
+const { loadSources } = require('../lib/sourceRegistry');
+const { readFixture, loadExpected, offlineClient } = require('./fixtureHarness');
+
+const STORY = 'https://www.latercera.com/nacional/noticia/gobierno-anuncia-plan/ABC123';
+
+test('normalizeUrl folds tracking, AMP, mobile and trailing-slash variants together', () => {
+  const variants = [
+    `${STORY}/`,
+    `${STORY}/?utm_source=twitter&utm_medium=social`,
+    `${STORY}?fbclid=xyz#comments`,
+    `${STORY}/amp/`,
+    `${STORY}?outputType=amp`,
+    'https://m.latercera.com/nacional/noticia/gobierno-anuncia-plan/ABC123',
+    'HTTPS://WWW.LATERCERA.COM/nacional/noticia/gobierno-anuncia-plan/ABC123'
+  ];
+
+  for (const variant of variants) {
+    assert.equal(normalizeUrl(variant, undefined, { canonicalHost: 'www.latercera.com' }), STORY, variant);
+  }
+});
+
+test('AMP and mobile hosts map only to the host the source declares', () => {
+  // An apex-only site keeps its apex host instead of gaining a www. that doesn't exist
+  assert.equal(normalizeUrl('https://amp.diario.cl/nota/1', undefined, { canonicalHost: 'diario.cl' }), 'https://diario.cl/nota/1');
+  // Without a declared host, or for another site's variant, the host is left alone
+  assert.equal(normalizeUrl('https://m.diario.cl/nota/1'), 'https://m.diario.cl/nota/1');
+  assert.equal(normalizeUrl('https://m.otro.cl/nota/1', undefined, { canonicalHost: 'www.diario.cl' }), 'https://m.otro.cl/nota/1');
+
+  assert.equal(loadSources().latercera.baseUrl, 'https://www.latercera.com');
+});
+
+test('normalizeUrl keeps meaningful parameters in a stable order', () => {
+  assert.equal(
+    normalizeUrl('https://example.com/story?page=2&id=7&utm_campaign=x'),
+    'https://example.com/story?id=7&page=2'
+  );
+  assert.equal(normalizeUrl('mailto:desk@example.com'), null);
+  assert.equal(normalizeUrl('not a url'), null);
+});
+
+test('preferredArticleUrl uses same-site canonicals only', () => {
+  assert.equal(preferredArticleUrl(`${STORY}/amp/`, `${STORY}/`), STORY);
+  assert.equal(preferredArticleUrl(`${STORY}?utm_source=x`, 'https://www.latercera.com/'), STORY);
+  assert.equal(
+    preferredArticleUrl(`${STORY}/`, 'https://www.elmostrador.cl/noticias/pais/plan/'),
+    STORY
+  );
+});
+
+test('simhash puts rewritten copies close together and unrelated bodies far apart', async () => {
+  const { articles: [fixture] } = loadExpected('newyorker');
+  const article = await scrapeArticle(fixture.url, 'newyorker', {
+    client: offlineClient(readFixture('newyorker', fixture.file))
+  });
+  const body = article.bodyText;
+
+  // A syndicated copy with a credit line and a lightly edited sentence
+  const copy = `Originally published by The New Yorker.\n\n${body.replace(/\bthe\b/, 'a')}`;
+  const unrelated = body.split(' ').reverse().join(' ');
+
+  const original = simhash(body);
+  assert.match(original, /^[0-9a-f]{16}$/);
+  assert.ok(isNearDuplicate(original, simhash(copy)), `distance ${hammingDistance(original, simhash(copy))}`);
+  assert.ok(!isNearDuplicate(original, simhash(unrelated)));
+
+  assert.equal(article.simhash, original);
+  assert.deepEqual(article.simhashBands, simhashBands(original));
+  assert.equal(simhash('Too short to fingerprint.'), null);
+});
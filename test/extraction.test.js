@@ -0,0 +1,62 @@
+'use strict';
+
+// Offline extraction regression suite: runs parseSitemapXml/parseFeedXml and scrapeArticle against the
+// saved snapshots in test/fixtures and compares with each source's expected.json.
+// Record a new fixture with scripts/record-fixture.js.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { scrapeArticle, parseSitemapXml, NEWS_SOURCES } = require('../lib/multiSiteScraper');
+const { parseFeedXml } = require('../lib/feedParser');
+const {
+  fixtureSources,
+  readFixture,
+  loadExpected,
+  offlineClient,
+  summarizeArticle,
+  summarizeSitemap,
+  summarizeFeed,
+  isBodyLengthClose,
+  BODY_LENGTH_TOLERANCE
+} = require('./fixtureHarness');
+
+test('every enabled source has fixtures', () => {
+  const missing = Object.keys(NEWS_SOURCES).filter(key => !fixtureSources().includes(key));
+  assert.deepEqual(missing, [], `Record fixtures with: node scripts/record-fixture.js <source> <article-url>`);
+});
+
+for (const sourceKey of fixtureSources()) {
+  const source = NEWS_SOURCES[sourceKey];
+  if (!source) continue;
+
+  const expected = loadExpected(sourceKey);
+
+  test(`${sourceKey}: sitemap`, { skip: !expected.sitemap }, () => {
+    const parsed = parseSitemapXml(readFixture(sourceKey, expected.sitemap.file));
+    const { file, ...wanted } = expected.sitemap;
+    assert.deepEqual(summarizeSitemap(parsed, source), wanted);
+  });
+
+  test(`${sourceKey}: feed`, { skip: !expected.feed }, () => {
+    const entries = parseFeedXml(readFixture(sourceKey, expected.feed.file));
+    const { file, ...wanted } = expected.feed;
+    assert.deepEqual(summarizeFeed(entries, source), wanted);
+  });
+
+  for (const fixture of expected.articles || []) {
+    test(`${sourceKey}: ${fixture.file}`, async () => {
+      const html = readFixture(sourceKey, fixture.file);
+      const article = await scrapeArticle(fixture.url, sourceKey, { client: offlineClient(html) });
+
+      const { bodyLength, ...actual } = summarizeArticle(article);
+      const { bodyLength: expectedLength, ...wanted } = fixture.expected;
+
+      assert.deepEqual(actual, wanted);
+      assert.ok(
+        isBodyLengthClose(bodyLength, expectedLength),
+        `body length ${bodyLength} is more than ${BODY_LENGTH_TOLERANCE * 100}% away from ${expectedLength}`
+      );
+    });
+  }
+}
@@ -0,0 +1,110 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createHttpClient } = require('../lib/httpClient');
+const { matchesUrlPatterns } = require('../lib/sourceRegistry');
+
+// Per-source snapshots: test/fixtures/<source>/{sitemap.xml or feed.xml, *.html, expected.json}
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Extracted bodies may drift this much in length before the test fails
+const BODY_LENGTH_TOLERANCE = 0.1;
+
+function fixtureSources() {
+  if (!fs.existsSync(FIXTURES_DIR)) return [];
+  return fs.readdirSync(FIXTURES_DIR)
+    .filter(name => fs.existsSync(path.join(FIXTURES_DIR, name, 'expected.json')))
+    .sort();
+}
+
+function readFixture(sourceKey, file) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, sourceKey, file), 'utf8');
+}
+
+function loadExpected(sourceKey) {
+  return JSON.parse(readFixture(sourceKey, 'expected.json'));
+}
+
+// An HTTP client that serves `html` for every request and never touches the network
+function offlineClient(html) {
+  return createHttpClient({
+    respectRobots: false,
+    requestsPerSecond: 1000,
+    retries: 0,
+    fetch: async () => new Response(html, {
+      status: 200,
+      headers: { 'content-type': 'text/html; charset=utf-8' }
+    })
+  });
+}
+
+function firstParagraph(article) {
+  const block = (article.bodyBlocks || []).find(candidate => candidate.type === 'paragraph');
+  return block ? block.text : null;
+}
+
+// The fields a fixture pins down for one article
+function summarizeArticle(article) {
+  return {
+    title: article.title || null,
+    description: article.description || null,
+    imageUrl: article.imageUrl || null,
+    publishedAt: article.publishedAt ? article.publishedAt.toISOString() : null,
+    accessStatus: article.accessStatus,
+    bodyAvailable: article.bodyAvailable,
+    bodyStrategy: article.bodyStrategy,
+    bodyLength: article.bodyText ? article.bodyText.length : 0,
+    firstParagraph: firstParagraph(article)
+  };
+}
+
+// The fields a fixture pins down for a parsed sitemap
+function summarizeSitemap(parsed, source) {
+  const first = parsed.urls[0] || null;
+
+  return {
+    urlCount: parsed.urls.length,
+    sitemapCount: parsed.sitemaps.length,
+    matchingUrlCount: parsed.urls.filter(entry => matchesUrlPatterns(source, entry.loc)).length,
+    first: first && {
+      loc: first.loc,
+      lastmod: first.lastmod || null,
+      title: first.title || null,
+      publishedAt: first.publishedAt || null
+    }
+  };
+}
+
+// The fields a fixture pins down for a parsed RSS/Atom feed
+function summarizeFeed(entries, source) {
+  const first = entries[0] || null;
+
+  return {
+    urlCount: entries.length,
+    matchingUrlCount: entries.filter(entry => matchesUrlPatterns(source, entry.loc)).length,
+    first: first && {
+      loc: first.loc,
+      title: first.title || null,
+      publishedAt: first.publishedAt || null
+    }
+  };
+}
+
+function isBodyLengthClose(actual, expected) {
+  if (expected === 0) return actual === 0;
+  return Math.abs(actual - expected) <= expected * BODY_LENGTH_TOLERANCE;
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  BODY_LENGTH_TOLERANCE,
+  fixtureSources,
+  readFixture,
+  loadExpected,
+  offlineClient,
+  summarizeArticle,
+  summarizeSitemap,
+  summarizeFeed,
+  isBodyLengthClose
+};
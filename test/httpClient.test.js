@@ -0,0 +1,215 @@
+'use strict';
+
+// The polite HTTP client (lib/httpClient.js) against stub fetch implementations
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHttpClient, parseRobotsTxt, parseRetryAfter } = require('../lib/httpClient');
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A response whose body arrives in two chunks, `delay` ms apart; onDone runs once it is all sent
+function slowResponse(delay, onDone) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    async start(controller) {
+      controller.enqueue(encoder.encode('<html>'));
+      await sleep(delay);
+      controller.enqueue(encoder.encode('</html>'));
+      controller.close();
+      onDone();
+    }
+  });
+  return new Response(body, { status: 200 });
+}
+
+function client(fetch, overrides = {}) {
+  return createHttpClient({ respectRobots: false, requestsPerSecond: 1000, backoffBaseMs: 1, fetch, ...overrides });
+}
+
+test('robots.txt rules and Retry-After values are parsed', () => {
+  const groups = parseRobotsTxt('User-agent: BuenosDiasChileBot\nUser-agent: other\nDisallow: /privado\nCrawl-delay: 2\n\nUser-agent: *\nDisallow: /');
+  assert.deepEqual(groups.map(group => [group.agents, group.rules.length, group.crawlDelay]), [
+    [['buenosdiaschilebot', 'other'], 1, 2],
+    [['*'], 1, null]
+  ]);
+
+  assert.equal(parseRetryAfter('3'), 3000);
+  assert.equal(parseRetryAfter('Wed, 21 Oct 2015 07:28:10 GMT', Date.parse('Wed, 21 Oct 2015 07:28:00 GMT')), 10000);
+  assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('a host never has more than maxConcurrentPerHost downloads in flight, bodies included', async () => {
+  let downloading = 0;
+  let most = 0;
+  const http = client(async () => {
+    downloading++;
+    most = Math.max(most, downloading);
+    return slowResponse(30, () => { downloading--; });
+  }, { maxConcurrentPerHost: 2 });
+
+  const pages = await Promise.all(Array.from({ length: 6 }, (_, i) => http.fetchText(`https://www.example.cl/${i}`)));
+  assert.deepEqual(pages, Array(6).fill('<html></html>'));
+  assert.equal(most, 2);
+});
+
+test('a slot freed by one request goes to the next in line, not to a request arriving meanwhile', async () => {
+  const limit = 3;
+  let downloading = 0;
+  let most = 0;
+  const late = [];
+  const http = client(async () => {
+    downloading++;
+    most = Math.max(most, downloading);
+    return slowResponse(20, () => {
+      downloading--;
+      // When the first download ends, new requests arrive over the next few microtask ticks, one of
+      // them while its slot is being handed over
+      if (late.length > 0) return;
+      for (let ticks = 0; ticks < 30; ticks++) {
+        late.push((async () => {
+          for (let i = 0; i < ticks; i++) await null;
+          return http.fetchText(`https://www.example.cl/late/${ticks}`);
+        })());
+      }
+    });
+  }, { maxConcurrentPerHost: limit });
+
+  // One more than the host allows
+  await Promise.all(Array.from({ length: limit + 1 }, (_, i) => http.fetchText(`https://www.example.cl/${i}`)));
+  await Promise.all(late);
+
+  assert.equal(most, limit);
+  assert.equal(downloading, 0);
+});
+
+test('requests to one host are spaced out to requestsPerSecond, other hosts are not held up', async () => {
+  const started = [];
+  const http = client(async (url) => {
+    started.push({ host: new URL(url).host, at: Date.now() });
+    return new Response('ok');
+  }, { requestsPerSecond: 20, maxConcurrentPerHost: 4 });
+
+  await Promise.all([
+    ...[1, 2, 3, 4].map(i => http.fetchText(`https://www.example.cl/${i}`)),
+    http.fetchText('https://www.otro.cl/')
+  ]);
+
+  const times = started.filter(request => request.host === 'www.example.cl').map(request => request.at);
+  for (let i = 1; i < times.length; i++) {
+    assert.ok(times[i] - times[i - 1] >= 45, `requests ${i - 1} and ${i} were ${times[i] - times[i - 1]}ms apart`);
+  }
+  assert.ok(started.find(request => request.host === 'www.otro.cl').at - times[0] < 45);
+});
+
+test('robots.txt disallows paths, is fetched once per host, and an unavailable one blocks the host until retried', async () => {
+  let robots = new Response('User-agent: *\nDisallow: /privado', { status: 200 });
+  const requested = [];
+  const http = createHttpClient({
+    requestsPerSecond: 1000,
+    retries: 0,
+    robotsRetryMs: 50,
+    fetch: async (url) => {
+      requested.push(new URL(url).pathname);
+      if (String(url).endsWith('/robots.txt')) return robots;
+      return new Response('ok');
+    }
+  });
+
+  await Promise.all([http.fetchText('https://www.example.cl/a'), http.fetchText('https://www.example.cl/b')]);
+  await assert.rejects(http.fetchText('https://www.example.cl/privado/nota'), { code: 'ROBOTS_DISALLOWED' });
+  assert.deepEqual(requested.sort(), ['/a', '/b', '/robots.txt']);
+
+  // A missing robots.txt allows everything
+  robots = new Response('Not found', { status: 404 });
+  assert.equal(await http.fetchText('https://www.nuevo.cl/privado'), 'ok');
+
+  // A failing one allows nothing, and is fetched again after robotsRetryMs
+  robots = new Response('Unavailable', { status: 503 });
+  await assert.rejects(http.fetchText('https://www.caido.cl/nota'), { code: 'ROBOTS_UNAVAILABLE' });
+  robots = new Response('User-agent: *\nAllow: /', { status: 200 });
+  await assert.rejects(http.fetchText('https://www.caido.cl/nota'), { code: 'ROBOTS_UNAVAILABLE' });
+  await sleep(60);
+  assert.equal(await http.fetchText('https://www.caido.cl/nota'), 'ok');
+});
+
+test('a robots.txt the host fails to serve is retried, honoring Retry-After, before the host is blocked', async () => {
+  const robots = [
+    new Response('Busy', { status: 429, headers: { 'retry-after': '0.05' } }),
+    new Response('User-agent: *\nDisallow: /privado', { status: 200 })
+  ];
+  const calls = [];
+  const http = client(async (url) => {
+    calls.push({ path: new URL(url).pathname, at: Date.now() });
+    if (String(url).endsWith('/robots.txt')) return robots.shift() || new Response('Unavailable', { status: 503 });
+    return new Response('ok');
+  }, { respectRobots: true, retries: 1 });
+
+  assert.equal(await http.fetchText('https://www.example.cl/nota'), 'ok');
+  assert.deepEqual(calls.map(call => call.path), ['/robots.txt', '/robots.txt', '/nota']);
+  assert.ok(calls[1].at - calls[0].at >= 45);
+
+  // Still failing once the retries are used up
+  await assert.rejects(http.fetchText('https://www.caido.cl/nota'), { code: 'ROBOTS_UNAVAILABLE' });
+  assert.equal(calls.filter(call => call.path === '/robots.txt').length, 4);
+});
+
+test('timeouts, 429 and 5xx are retried, honoring Retry-After; other errors are not', async () => {
+  const statuses = [503, 429, 200];
+  const calls = [];
+  const http = client(async () => {
+    calls.push(Date.now());
+    const status = statuses.shift();
+    return new Response(String(status), { status, headers: status === 429 ? { 'retry-after': '0.05' } : {} });
+  }, { retries: 3 });
+
+  assert.equal(await http.fetchText('https://www.example.cl/nota'), '200');
+  assert.equal(calls.length, 3);
+  assert.ok(calls[2] - calls[1] >= 45);
+
+  let attempts = 0;
+  const failing = client(async () => {
+    attempts++;
+    return new Response('', { status: 500 });
+  }, { retries: 2 });
+  await assert.rejects(failing.request('https://www.example.cl/nota'), { status: 500 });
+  assert.equal(attempts, 3);
+
+  const missing = client(async () => {
+    attempts++;
+    return new Response('', { status: 404 });
+  }, { retries: 2 });
+  attempts = 0;
+  await assert.rejects(missing.request('https://www.example.cl/nota'), { status: 404 });
+  assert.equal(attempts, 1);
+
+  let timedOut = 0;
+  const slow = client(async (url, init) => {
+    timedOut++;
+    // Kept alive by its own timer: the client's timeout doesn't hold the process open
+    const idle = setTimeout(() => {}, 1000);
+    await new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(init.signal.reason)));
+    clearTimeout(idle);
+  }, { retries: 1, timeoutMs: 20 });
+  await assert.rejects(slow.request('https://www.example.cl/nota'), /Request failed for https:\/\/www.example.cl\/nota/);
+  assert.equal(timedOut, 2);
+});
+
+test('responses over maxResponseBytes are abandoned without retrying', async () => {
+  let calls = 0;
+  const http = client(async () => {
+    calls++;
+    return new Response('x'.repeat(100));
+  }, { maxResponseBytes: 10, retries: 2 });
+
+  await assert.rejects(http.fetchText('https://www.example.cl/enorme'), { code: 'RESPONSE_TOO_LARGE' });
+  assert.equal(calls, 1);
+
+  const notModified = client(async () => new Response(null, { status: 304, headers: { etag: '"v1"' } }));
+  const res = await notModified.request('https://www.example.cl/nota');
+  assert.equal(res.status, 304);
+  assert.equal(res.headers.get('etag'), '"v1"');
+});
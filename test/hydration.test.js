@@ -0,0 +1,73 @@
+'use strict';
+
+// Bodies and metadata read from embedded hydration state (lib/hydration.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+
+const { extractHydration } = require('../lib/hydration');
+const { scrapeArticle } = require('../lib/multiSiteScraper');
+const { readFixture, loadExpected, offlineClient } = require('./fixtureHarness');
+
+test('Arc Fusion.globalContent is mapped to blocks, authors and section', async () => {
+  const fixture = loadExpected('latercera').articles.find(candidate => candidate.file === 'article-2.html');
+  const article = await scrapeArticle(fixture.url, 'latercera', {
+    client: offlineClient(readFixture('latercera', fixture.file))
+  });
+
+  assert.equal(article.bodyStrategy, 'hydration');
+  assert.equal(article.bodySelector, 'Fusion.globalContent');
+  assert.deepEqual(article.authors, ['Camila Reyes', 'Diego Soto']);
+  assert.equal(article.section, 'Política');
+  assert.deepEqual(article.tags, ['Pensiones', 'Senado']);
+  assert.equal(article.imageAlt, 'Sala del Senado durante la votación');
+
+  assert.deepEqual(article.bodyBlocks.map(block => block.type), [
+    'paragraph', 'paragraph', 'heading', 'paragraph', 'image', 'quote', 'list', 'paragraph'
+  ]);
+  assert.deepEqual(article.bodyBlocks[1].links, [
+    { text: 'Instituto de Previsión Social', href: 'https://www.ips.gob.cl/' }
+  ]);
+  assert.deepEqual(article.bodyBlocks[5], {
+    type: 'quote',
+    text: 'Hoy dimos un paso que el país esperaba hace más de una década.',
+    cite: 'Ministra del Trabajo'
+  });
+
+  // Interstitial "Lee también" links and raw HTML widgets are not article text
+  assert.doesNotMatch(article.bodyText, /Lee también|newsletter/);
+});
+
+test('Next.js __NEXT_DATA__ HTML bodies are extracted, malformed state is ignored', () => {
+  const nextData = {
+    props: {
+      pageProps: {
+        menu: [{ label: 'Inicio', href: '/' }],
+        post: {
+          title: { rendered: 'Nueva ley de datos personales entra en vigencia' },
+          date: '2025-11-12T09:00:00',
+          author: { node: { name: 'Ana Pérez' } },
+          categories: { nodes: [{ name: 'Tecnología' }] },
+          content: {
+            rendered: '<p>La ley crea una agencia de protección de datos.</p><h2>Multas</h2><p>Las sanciones llegan a 20 mil UTM.</p>'
+          }
+        }
+      }
+    }
+  };
+
+  const $ = cheerio.load(`
+    <script>window.__INITIAL_STATE__ = {"broken": </script>
+    <script id="__NEXT_DATA__" type="application/json">${JSON.stringify(nextData)}</script>
+  `);
+  const hydrated = extractHydration($, 'https://example.cl/tecnologia/ley-datos/');
+
+  assert.equal(hydrated.name, '__NEXT_DATA__');
+  assert.equal(hydrated.bodyText, 'La ley crea una agencia de protección de datos.\n\nMultas\n\nLas sanciones llegan a 20 mil UTM.');
+  assert.equal(hydrated.metadata.title, 'Nueva ley de datos personales entra en vigencia');
+  assert.deepEqual(hydrated.metadata.authors, ['Ana Pérez']);
+  assert.equal(hydrated.metadata.section, 'Tecnología');
+
+  assert.equal(extractHydration(cheerio.load('<p>No state here.</p>'), 'https://example.cl/'), null);
+});
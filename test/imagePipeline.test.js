@@ -0,0 +1,132 @@
+'use strict';
+
+// Lead image storage (lib/imagePipeline.js, api/process-images.js) with a stub image host and an
+// in-process blob store
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const { processArticleImage, IMAGE_SIZES } = require('../lib/imagePipeline');
+const { runImagePipeline } = require('../api/process-images');
+const { createHttpClient } = require('../lib/httpClient');
+const { openTestRepository } = require('./repositoryHarness');
+
+function memoryStore() {
+  const blobs = new Map();
+  return {
+    blobs,
+    async put(key, body, contentType) { blobs.set(key, { body, contentType }); },
+    async get(key) { return blobs.get(key) || null; },
+    async remove(key) { blobs.delete(key); }
+  };
+}
+
+// A 1000x500 red PNG
+function redImage() {
+  return sharp({ create: { width: 1000, height: 500, channels: 3, background: { r: 255, g: 0, b: 0 } } }).png().toBuffer();
+}
+
+// Serves image URLs from `images` (url => buffer) and a 404 page for the rest
+function imageHost(images, requested = []) {
+  return createHttpClient({
+    respectRobots: false,
+    requestsPerSecond: 1000,
+    retries: 0,
+    fetch: async (url) => {
+      requested.push(String(url));
+      const image = images.get(String(url));
+      if (!image) return new Response('<html>Not found</html>', { status: 404, headers: { 'content-type': 'text/html' } });
+      return new Response(image, { status: 200, headers: { 'content-type': 'image/png' } });
+    }
+  });
+}
+
+test('a lead image is stored as WebP variants that are never enlarged', async () => {
+  const store = memoryStore();
+  const url = 'https://cdn.example.cl/foto.png';
+  const client = imageHost(new Map([[url, await redImage()]]));
+
+  const media = await processArticleImage({ id: 7, image_url: url, image_alt: 'Una foto' }, { store, client });
+  assert.equal(media.status, 'ready');
+  assert.deepEqual([media.articleId, media.width, media.height, media.format, media.altText], [7, 1000, 500, 'png', 'Una foto']);
+  assert.equal(media.dominantColor.slice(0, 3), '#f8');
+  assert.match(media.placeholder, /^data:image\/webp;base64,/);
+
+  assert.deepEqual(Object.keys(media.variants), Object.keys(IMAGE_SIZES));
+  assert.deepEqual(Object.values(media.variants).map(variant => [variant.width, variant.height]), [[320, 160], [800, 400], [1000, 500]]);
+  assert.equal(media.variants.thumb.key, `${media.contentHash.slice(0, 2)}/${media.contentHash}/thumb.webp`);
+  for (const variant of Object.values(media.variants)) {
+    assert.equal(store.blobs.get(variant.key).contentType, 'image/webp');
+    assert.equal((await sharp(store.blobs.get(variant.key).body).metadata()).format, 'webp');
+  }
+});
+
+test('a page that isn\'t an image fails without storing anything', async () => {
+  const store = memoryStore();
+  const client = createHttpClient({
+    respectRobots: false,
+    requestsPerSecond: 1000,
+    retries: 0,
+    fetch: async () => new Response('<html></html>', { status: 200, headers: { 'content-type': 'text/html' } })
+  });
+
+  const media = await processArticleImage({ id: 7, image_url: 'https://cdn.example.cl/foto.png' }, { store, client });
+  assert.deepEqual([media.status, media.error], ['failed', 'Expected an image but got text/html']);
+  assert.equal(store.blobs.size, 0);
+});
+
+test('failed images are retried up to three attempts, counting failures only', async (t) => {
+  const db = await openTestRepository(t);
+  const store = memoryStore();
+  const images = new Map([['https://cdn.example.cl/buena.png', await redImage()]]);
+  const requested = [];
+  const client = imageHost(images, requested);
+
+  const ids = {};
+  for (const [key, day] of [['buena', 10], ['rota', 9]]) {
+    const saved = await db.upsertArticle({
+      url: `https://www.latercera.com/politica/${key}/`,
+      source: 'latercera',
+      sourceName: 'La Tercera',
+      title: key,
+      imageUrl: `https://cdn.example.cl/${key}.png`,
+      publishedAt: `2025-11-${day}T08:00:00Z`
+    });
+    ids[key] = saved.id;
+  }
+
+  async function mediaOf(articleId) {
+    const { rows } = await db.pool.query('SELECT status, attempts FROM media WHERE article_id = $1', [articleId]);
+    return rows[0] || null;
+  }
+
+  // Failures are retried once they are an hour old
+  async function nextRun(options = {}) {
+    await db.pool.query("UPDATE media SET updated_at = NOW() - INTERVAL '2 hours'");
+    return runImagePipeline({ db, store, client, ...options });
+  }
+
+  // The limit bounds each run; the newest articles go first
+  assert.deepEqual(await runImagePipeline({ db, store, client, limit: 1 }), { pending: 1, ready: 1, failed: 0 });
+  assert.deepEqual(await mediaOf(ids.buena), { status: 'ready', attempts: 0 });
+  assert.equal(await mediaOf(ids.rota), null);
+
+  assert.deepEqual(await nextRun(), { pending: 1, ready: 0, failed: 1 });
+  assert.deepEqual(await mediaOf(ids.rota), { status: 'failed', attempts: 1 });
+
+  // Retried failures wait an hour
+  assert.equal((await runImagePipeline({ db, store, client })).pending, 0);
+
+  await nextRun();
+  await nextRun();
+  assert.deepEqual(await mediaOf(ids.rota), { status: 'failed', attempts: 3 });
+  assert.equal((await nextRun()).pending, 0);
+  assert.equal(requested.filter(url => url.endsWith('rota.png')).length, 3);
+
+  // A new image for the article starts over
+  images.set('https://cdn.example.cl/nueva.png', await redImage());
+  await db.upsertArticle({ url: 'https://www.latercera.com/politica/rota/', source: 'latercera', sourceName: 'La Tercera', title: 'rota', imageUrl: 'https://cdn.example.cl/nueva.png' });
+  assert.deepEqual(await nextRun(), { pending: 1, ready: 1, failed: 0 });
+  assert.deepEqual(await mediaOf(ids.rota), { status: 'ready', attempts: 0 });
+});
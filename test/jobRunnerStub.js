@@ -0,0 +1,21 @@
+'use strict';
+
+// Stand-in for api/run-job.js in the job worker tests. JOB_PARAMS.mode picks what the job does:
+// succeed (logs and sends a result), fail (exits 1), hang (runs until killed) or stubborn (hangs
+// and ignores SIGTERM).
+
+const { mode } = JSON.parse(process.env.JOB_PARAMS || '{}');
+
+if (mode === 'succeed') {
+  console.log(`running ${process.env.JOB_TYPE} job ${process.env.JOB_ID}`);
+  console.error('a warning');
+  process.send({ type: 'scrape-progress', event: 'discovered', data: { source: 'latercera', count: 3, total: 10 } });
+  process.send({ type: 'job-result', result: { saved: 3 } }, () => process.exit(0));
+} else if (mode === 'fail') {
+  console.error('boom');
+  process.exit(1);
+} else {
+  if (mode === 'stubborn') process.on('SIGTERM', () => console.log('ignoring SIGTERM'));
+  console.log('waiting');
+  setInterval(() => {}, 1000);
+}
@@ -0,0 +1,143 @@
+'use strict';
+
+// The job worker (lib/jobWorker.js), running jobs in test/jobRunnerStub.js instead of api/run-job.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { createJobWorker } = require('../lib/jobWorker');
+const { openTestRepository } = require('./repositoryHarness');
+
+const RUNNER = path.join(__dirname, 'jobRunnerStub.js');
+
+function startWorker(t, db, options = {}) {
+  const worker = createJobWorker({ db, runner: RUNNER, workerId: 'test-worker', pollInterval: 50, ...options });
+  t.after(() => worker.stop());
+  worker.start();
+  return worker;
+}
+
+// Resolves with the job once it reaches one of statuses
+async function waitForJob(db, jobId, statuses, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await db.getJob(jobId);
+    if (statuses.includes(job.status)) return job;
+    if (Date.now() > deadline) throw new Error(`Job ${jobId} is still ${job.status}`);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+async function logLines(db, jobId) {
+  return (await db.getJobLogs(jobId)).map(log => `${log.stream}: ${log.line}`);
+}
+
+test('a job runs in a child process with its output, progress and result stored', async (t) => {
+  const db = await openTestRepository(t);
+  const job = await db.enqueueJob('scrape', { mode: 'succeed' });
+  startWorker(t, db);
+
+  const finished = await waitForJob(db, job.id, ['succeeded', 'failed']);
+  assert.equal(finished.status, 'succeeded');
+  assert.deepEqual(finished.result, { saved: 3 });
+  assert.equal(finished.progress.counts.discovered, 10);
+  assert.equal(finished.progress.counts.queued, 3);
+  assert.deepEqual(await logLines(db, job.id), [
+    'worker: Attempt 1 of 1 started by test-worker',
+    `stdout: running scrape job ${job.id}`,
+    'stderr: a warning'
+  ]);
+});
+
+test('a failed job is retried until it runs out of attempts', async (t) => {
+  const db = await openTestRepository(t);
+  const job = await db.enqueueJob('scrape', { mode: 'fail' }, { maxAttempts: 2 });
+  startWorker(t, db);
+
+  const finished = await waitForJob(db, job.id, ['failed']);
+  assert.equal(finished.attempts, 2);
+  assert.equal(finished.error, 'Job process exited with code 1');
+  assert.deepEqual((await logLines(db, job.id)).filter(line => line.startsWith('worker: Attempt')), [
+    'worker: Attempt 1 of 2 started by test-worker',
+    'worker: Attempt 2 of 2 started by test-worker'
+  ]);
+});
+
+test('a cancelled job is stopped at the next heartbeat, and killed if it ignores SIGTERM', async (t) => {
+  const db = await openTestRepository(t);
+  const job = await db.enqueueJob('scrape', { mode: 'stubborn' });
+  startWorker(t, db, { killTimeout: 300 });
+
+  await waitForJob(db, job.id, ['running']);
+  while (!(await logLines(db, job.id)).includes('stdout: waiting')) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  await db.cancelJob(job.id);
+
+  const finished = await waitForJob(db, job.id, ['cancelled', 'failed']);
+  assert.equal(finished.status, 'cancelled');
+  assert.deepEqual((await logLines(db, job.id)).slice(-2), ['stdout: ignoring SIGTERM', 'worker: Cancelled']);
+});
+
+test('a job left running by a worker that stopped responding is claimed again', async (t) => {
+  const db = await openTestRepository(t);
+  const job = await db.enqueueJob('scrape', { mode: 'succeed' }, { maxAttempts: 2 });
+  // Without attempts left, a job fails instead
+  const stale = await db.enqueueJob('ai-generate', { mode: 'succeed' });
+  await db.claimJob('crashed-worker');
+  await db.claimJob('crashed-worker');
+  await db.pool.query("UPDATE jobs SET heartbeat_at = NOW() - INTERVAL '5 minutes'");
+
+  startWorker(t, db);
+  const finished = await waitForJob(db, job.id, ['succeeded', 'failed']);
+  assert.equal(finished.status, 'succeeded');
+  assert.equal(finished.attempts, 2);
+
+  const failed = await waitForJob(db, stale.id, ['failed', 'succeeded']);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'worker crashed-worker stopped responding');
+});
+
+test('a worker leaves its own slow jobs alone and stops a job another worker took over', async (t) => {
+  const db = await openTestRepository(t);
+  const job = await db.enqueueJob('scrape', { mode: 'hang' }, { maxAttempts: 2 });
+  const worker = startWorker(t, db);
+
+  await waitForJob(db, job.id, ['running']);
+  while (!(await logLines(db, job.id)).includes('stdout: waiting')) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  // A heartbeat this old would have the job recovered by any other worker
+  await db.pool.query("UPDATE jobs SET heartbeat_at = NOW() - INTERVAL '5 minutes' WHERE id = $1", [job.id]);
+  assert.deepEqual(await db.recoverStaleJobs(60, 'test-worker'), []);
+
+  // As if recovered and claimed by another worker
+  await db.pool.query("UPDATE jobs SET locked_by = 'other-worker', heartbeat_at = NOW() WHERE id = $1", [job.id]);
+  while (worker.runningJobs().length > 0) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  const taken = await db.getJob(job.id);
+  assert.equal(taken.status, 'running');
+  assert.equal(taken.locked_by, 'other-worker');
+  assert.equal((await logLines(db, job.id)).at(-1), 'worker: Stopped: the job is no longer running under this worker');
+});
+
+test('stopping the worker kills jobs that ignore SIGTERM and requeues them', async (t) => {
+  const db = await openTestRepository(t);
+  const job = await db.enqueueJob('scrape', { mode: 'stubborn' }, { maxAttempts: 2 });
+  const worker = startWorker(t, db, { killTimeout: 300 });
+
+  await waitForJob(db, job.id, ['running']);
+  while (!(await logLines(db, job.id)).includes('stdout: waiting')) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  await worker.stop();
+
+  const stopped = await db.getJob(job.id);
+  assert.equal(stopped.status, 'queued');
+  assert.equal(stopped.error, 'Job process was killed (SIGKILL)');
+  assert.deepEqual(worker.runningJobs(), []);
+});
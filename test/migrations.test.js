@@ -0,0 +1,100 @@
+'use strict';
+
+// Versioned schema migrations (lib/migrator.js, migrations/)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fs = require('fs');
+const path = require('path');
+
+const { migrate, rollback, loadMigrations } = require('../lib/migrator');
+const { ACCESS_STATUSES } = require('../lib/accessClassifier');
+const { openTestRepository } = require('./repositoryHarness');
+
+// A pool whose single client records every query and keeps schema_migrations in memory
+function fakePool(appliedVersions = []) {
+  const queries = [];
+  const applied = new Map(appliedVersions.map(version => [version, { version, name: `m${version}`, applied_at: new Date() }]));
+
+  const client = {
+    query: async (sql, params = []) => {
+      queries.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+      if (sql.startsWith('SELECT version')) return { rows: [...applied.values()] };
+      if (sql.startsWith('INSERT INTO schema_migrations')) applied.set(params[0], { version: params[0], name: params[1] });
+      if (sql.startsWith('DELETE FROM schema_migrations')) applied.delete(params[0]);
+      return { rows: [] };
+    },
+    release: () => queries.push('release')
+  };
+
+  return { queries, applied, connect: async () => client };
+}
+
+function fakeMigration(version, calls) {
+  return {
+    version,
+    name: `m${version}`,
+    up: async (client) => {
+      calls.push(`up ${version}`);
+      if (version === 99) throw new Error('boom');
+      await client.query(`CREATE TABLE t${version}`);
+    },
+    down: async () => calls.push(`down ${version}`)
+  };
+}
+
+test('the migrations in migrations/ load in version order', () => {
+  const migrations = loadMigrations();
+
+  assert.ok(migrations.length >= 2);
+  assert.deepEqual(migrations.slice(0, 2).map(migration => migration.name), ['initial_schema', 'consistent_data_model']);
+  migrations.forEach((migration, index) => {
+    if (index > 0) assert.ok(migration.version > migrations[index - 1].version);
+  });
+});
+
+test('pending migrations apply in order under the lock, each in a transaction, and roll back newest first', async () => {
+  const calls = [];
+  const pool = fakePool([1]);
+  const migrations = [3, 1, 2].map(version => fakeMigration(version, calls)).sort((a, b) => a.version - b.version);
+
+  const pending = await migrate(pool, { migrations, dryRun: true });
+  assert.deepEqual(pending.map(migration => migration.version), [2, 3]);
+  assert.deepEqual(calls, []);
+
+  pool.queries.length = 0;
+  const applied = await migrate(pool, { migrations, target: 2 });
+  assert.deepEqual(applied.map(migration => migration.version), [2]);
+  assert.deepEqual(calls, ['up 2']);
+  assert.equal(pool.queries[0], 'SELECT pg_advisory_lock($1)');
+  assert.deepEqual(pool.queries.slice(3, 7), ['BEGIN', 'CREATE TABLE t2', 'INSERT INTO schema_migrations', 'COMMIT']);
+  assert.deepEqual(pool.queries.slice(-2), ['SELECT pg_advisory_unlock($1)', 'release']);
+
+  await migrate(pool, { migrations });
+  const reverted = await rollback(pool, { migrations, steps: 2 });
+  assert.deepEqual(reverted.map(migration => migration.version), [3, 2]);
+  assert.deepEqual([...pool.applied.keys()], [1]);
+
+  // A failing migration is rolled back and isn't recorded
+  pool.queries.length = 0;
+  await assert.rejects(migrate(pool, { migrations: [fakeMigration(99, calls)] }), /Migration 099_m99 failed: boom/);
+  assert.ok(pool.queries.includes('ROLLBACK'));
+  assert.ok(!pool.applied.has(99));
+  assert.equal(pool.queries.at(-1), 'release');
+});
+
+test('migrations are frozen: they use no application code, and the schema still matches it', async (t) => {
+  const dir = path.join(__dirname, '..', 'migrations');
+  for (const file of fs.readdirSync(dir)) {
+    assert.doesNotMatch(fs.readFileSync(path.join(dir, file), 'utf8'), /require\(['"]\.\.\/lib\//, file);
+  }
+
+  // When ACCESS_STATUSES changes, a new migration has to change the constraint too
+  const db = await openTestRepository(t);
+  const { rows: [check] } = await db.pool.query(`
+    SELECT pg_get_constraintdef(oid) AS definition FROM pg_constraint
+    WHERE conrelid = 'articles'::regclass AND pg_get_constraintdef(oid) LIKE '%access_status%'
+  `);
+  assert.deepEqual(check.definition.match(/'[a-z]+'/g).map(value => value.slice(1, -1)).sort(), [...ACCESS_STATUSES].sort());
+});
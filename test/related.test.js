@@ -0,0 +1,92 @@
+'use strict';
+
+// Related articles (lib/relatedArticles.js) and how they are stored
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { computeRelated, terms } = require('../lib/relatedArticles');
+const { openTestRepository } = require('./repositoryHarness');
+
+const ARTICLES = [
+  {
+    id: '1',
+    title: 'Senado aprueba la reforma de pensiones',
+    description: 'La cotización adicional será de seis puntos.',
+    body_text: 'El Senado aprobó la reforma previsional. La cotización del empleador sube y las AFP pierden parte del ahorro.',
+    key_topics: ['pensiones', 'AFP']
+  },
+  {
+    id: '2',
+    title: 'Qué cambia para los afiliados con la reforma de pensiones',
+    description: 'Las AFP y la nueva cotización.',
+    body_text: 'Los afiliados verán una cotización mayor. Las AFP compiten con un nuevo gestor estatal de pensiones.',
+    key_topics: ['pensiones']
+  },
+  {
+    id: '3',
+    title: 'Colo-Colo gana el clásico',
+    description: 'El equipo albo venció en el Monumental.',
+    body_text: 'Colo-Colo ganó el clásico con un gol en el último minuto ante un estadio Monumental lleno.',
+    key_topics: ['fútbol']
+  },
+  {
+    id: '4',
+    title: 'Colo-Colo y el clásico: las claves del triunfo',
+    description: 'Análisis del partido en el estadio Monumental.',
+    body_text: 'El técnico de Colo-Colo explicó el triunfo en el clásico y el gol que definió el partido.',
+    key_topics: ['fútbol']
+  },
+  {
+    id: '5',
+    title: 'Reforma de pensiones: la versión sindicada',
+    description: 'Copia de otra agencia.',
+    body_text: 'El Senado aprobó la reforma de pensiones y la cotización del empleador sube.',
+    key_topics: ['pensiones'],
+    duplicate_group_id: '1'
+  }
+];
+ARTICLES[0].duplicate_group_id = '1';
+
+test('articles on the same topic are related, copies of the same story are not', () => {
+  assert.deepEqual(terms('La cotización del Empleador, 2025'), ['cotizacion', 'empleador']);
+
+  const related = computeRelated(ARTICLES);
+
+  assert.deepEqual(related.get('1').map(neighbour => neighbour.id), ['2']);
+  assert.equal(related.get('2')[0].id, '1');
+  assert.deepEqual(related.get('3').map(neighbour => neighbour.id), ['4']);
+  assert.ok(related.get('3')[0].score > 0 && related.get('3')[0].score <= 1);
+  assert.ok(related.get('5').every(neighbour => neighbour.id !== '1'));
+
+  assert.equal(computeRelated(ARTICLES, { limit: 1 }).get('2').length, 1);
+});
+
+test('stored neighbours are replaced per article and dropped with deleted articles', async (t) => {
+  const db = await openTestRepository(t);
+  const ids = [];
+  for (const article of ARTICLES.slice(0, 4)) {
+    const saved = await db.upsertArticle({
+      url: `https://example.cl/${article.id}`,
+      source: 'latercera',
+      sourceName: 'La Tercera',
+      title: article.title,
+      description: article.description,
+      bodyText: article.body_text,
+      bodyAvailable: true,
+      accessStatus: article.id === '2' ? 'paywalled' : 'free'
+    });
+    ids.push(saved.id);
+  }
+
+  assert.equal(await db.replaceRelatedArticles(new Map([[ids[0], [{ id: ids[1], score: 0.4 }, { id: ids[2], score: 0.1 }]]])), 2);
+  assert.equal(await db.replaceRelatedArticles(new Map([[ids[0], [{ id: ids[2], score: 0.3 }, { id: ids[1], score: 0.2 }]]])), 2);
+
+  const related = await db.getRelatedArticles(ids[0]);
+  assert.deepEqual(related.map(article => [article.id, article.score]), [[ids[2], 0.3], [ids[1], 0.2]]);
+  assert.equal(related[0].media_id, null);
+  assert.deepEqual((await db.getRelatedArticles(ids[0], { access: 'readable' })).map(article => article.id), [ids[2]]);
+
+  await db.trashArticles([ids[2]]);
+  assert.deepEqual((await db.getRelatedArticles(ids[0])).map(article => article.id), [ids[1]]);
+});
@@ -0,0 +1,260 @@
+'use strict';
+
+// The repository (lib/db-multi.js) on the embedded Postgres (lib/db-embedded.js), which runs the
+// pipeline without a database server
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createRepository } = require('../lib/repository');
+const { openTestRepository } = require('./repositoryHarness');
+const { simhash, simhashBands } = require('../lib/simhash');
+const { scrapeAllSources, dedupeEntries } = require('../lib/multiSiteScraper');
+const { createHttpClient } = require('../lib/httpClient');
+
+const BODY = Array.from({ length: 40 }, (_, i) => `Paragraph ${i} about the budget vote in the Senate and its fallout.`).join('\n\n');
+
+function article(overrides = {}) {
+  const bodyText = overrides.bodyText || BODY;
+  return {
+    url: 'https://www.latercera.com/politica/noticia/senado-vota-presupuesto/ABC123/',
+    source: 'latercera',
+    sourceName: 'La Tercera',
+    title: 'El Senado vota el presupuesto',
+    description: 'La votación se extendió hasta la madrugada.',
+    bodyText,
+    bodyAvailable: true,
+    accessStatus: 'free',
+    publishedAt: '2025-11-10T08:00:00Z',
+    simhash: simhash(bodyText),
+    simhashBands: simhashBands(simhash(bodyText)),
+    ...overrides
+  };
+}
+
+test('saved articles keep their revisions and near-duplicates are grouped', async (t) => {
+  const db = await openTestRepository(t);
+
+  const first = await db.upsertArticle(article({ url: `${article().url}?utm_source=x` }));
+  assert.equal(first.id, '1');
+  assert.equal(first.url, 'https://www.latercera.com/politica/noticia/senado-vota-presupuesto/ABC123');
+  assert.ok(first.published_at instanceof Date);
+
+  await db.upsertArticle(article({ title: 'El Senado aprueba el presupuesto' }));
+  const revisions = await db.getArticleRevisions(first.id);
+  assert.deepEqual(revisions.map(revision => revision.revision), [1, 2]);
+  assert.deepEqual(revisions[1].changed_fields, ['title']);
+
+  // The same story elsewhere, published later and behind a paywall
+  const copy = await db.upsertArticle(article({
+    url: 'https://www.emol.com/noticias/Nacional/2025/11/10/senado-presupuesto.html',
+    source: 'emol',
+    sourceName: 'Emol',
+    publishedAt: '2025-11-10T09:00:00Z',
+    accessStatus: 'paywalled'
+  }));
+  assert.equal(copy.duplicate_group_id, first.id);
+  assert.equal(copy.group_representative, false);
+  assert.deepEqual((await db.getArticleDuplicates(first.id)).map(row => row.source), ['emol']);
+
+  const page = await db.listArticlePage({ collapseDuplicates: true });
+  assert.equal(page.total, 1);
+  assert.equal(page.articles[0].media_id, null);
+  assert.equal((await db.listArticlePage({ access: 'unreadable' })).articles[0].source, 'emol');
+
+  // Returned rows are copies
+  page.articles[0].title = 'changed';
+  assert.equal((await db.getArticle(first.id)).title, 'El Senado aprueba el presupuesto');
+
+  assert.equal(await db.trashArticles([copy.id]), 1);
+  assert.deepEqual(await db.countArticlesByAccess(), [{ access_status: 'free', count: 1 }]);
+  assert.equal(await db.getArticle(copy.id), null);
+  assert.equal((await db.listTrash()).total, 1);
+
+  // Only trashed articles are purged, with their revisions
+  assert.equal(await db.purgeArticles([first.id, copy.id]), 1);
+  assert.equal((await db.listTrash()).total, 0);
+  assert.deepEqual(await db.getArticleRevisions(copy.id), []);
+});
+
+test('the article list puts undated articles last and pages through ties without repeats', async (t) => {
+  const db = await openTestRepository(t);
+
+  const saved = [];
+  for (const [slug, publishedAt] of [['a', null], ['b', '2025-11-10T08:00:00Z'], ['c', '2025-11-10T08:00:00Z'], ['d', '2025-11-11T08:00:00Z']]) {
+    const bodyText = Array.from({ length: 40 }, (_, i) => `Paragraph ${i} of story ${slug}, ${slug.repeat(i + 1)}.`).join('\n\n');
+    saved.push(await db.upsertArticle(article({
+      url: `https://www.latercera.com/politica/noticia/story-${slug}/`,
+      title: `Story ${slug}`,
+      bodyText,
+      simhash: simhash(bodyText),
+      simhashBands: simhashBands(simhash(bodyText)),
+      publishedAt
+    })));
+  }
+
+  const pages = [];
+  for (let offset = 0; offset < saved.length; offset++) {
+    pages.push(...(await db.listArticlePage({ limit: 1, offset })).articles.map(row => row.title));
+  }
+  assert.deepEqual(pages, ['Story d', 'Story c', 'Story b', 'Story a']);
+});
+
+test('search matches words without accents, ranks title matches first and counts facets', async (t) => {
+  const db = await openTestRepository(t);
+
+  await db.upsertArticle(article({ category: 'politics' }));
+  await db.upsertArticle(article({
+    url: 'https://www.emol.com/noticias/Economia/2025/11/12/pensiones.html',
+    source: 'emol',
+    sourceName: 'Emol',
+    title: 'Reforma de pensiones: qué cambia',
+    description: 'La cotización sube de forma gradual.',
+    bodyText: 'El Senado despachó la reforma de pensiones, que ahora vuelve a la Cámara.',
+    publishedAt: '2025-11-12T10:00:00Z',
+    category: 'economy'
+  }));
+
+  const { results, total, facets } = await db.searchArticles({ query: 'senado', facets: true });
+  assert.equal(total, 2);
+  assert.deepEqual(results.map(result => result.source), ['latercera', 'emol']);
+  assert.equal(results[0].title_html, 'El <mark>Senado</mark> vota el presupuesto');
+  assert.match(results[1].snippet_html, /<mark>Senado<\/mark> despachó/);
+  assert.deepEqual(facets.days, [{ date: '2025-11-12', count: 1 }, { date: '2025-11-10', count: 1 }]);
+
+  assert.equal((await db.searchArticles({ query: 'COTIZACION' })).total, 1);
+  assert.equal((await db.searchArticles({ query: '"reforma de pensiones" -presupuesto' })).total, 1);
+  assert.equal((await db.searchArticles({ query: 'pensi* OR votación' })).total, 2);
+  assert.equal((await db.searchArticles({ query: '"pensiones reforma"' })).total, 0);
+
+  // Each facet ignores its own filter
+  const filtered = await db.searchArticles({ query: 'senado', sources: ['emol'], facets: true });
+  assert.equal(filtered.total, 1);
+  assert.deepEqual(filtered.facets.sources.map(facet => [facet.source, facet.count]), [['emol', 1], ['latercera', 1]]);
+  assert.deepEqual(filtered.facets.categories, [{ category: 'economy', count: 1 }]);
+  assert.equal(filtered.facets.days.length, 1);
+  assert.equal((await db.searchArticles({ query: 'senado', from: new Date('2025-11-11') })).results[0].source, 'emol');
+});
+
+test('jobs run one at a time per type and failed ones can be retried', async (t) => {
+  const db = await openTestRepository(t);
+
+  const job = await db.enqueueJob('scrape', { limit: 5 });
+  await assert.rejects(db.enqueueJob('scrape'), error => error.code === 'JOB_ACTIVE' && error.job.id === job.id);
+
+  const claimed = await db.claimJob('worker-1');
+  assert.equal(claimed.status, 'running');
+  assert.equal(await db.claimJob('worker-1'), null);
+
+  await db.appendJobLogs(job.id, [{ stream: 'stdout', line: 'one' }, { stream: 'stderr', line: 'two' }]);
+  const [firstLine] = await db.getJobLogs(job.id);
+  assert.deepEqual((await db.getJobLogs(job.id, { after: Number(firstLine.id) })).map(log => log.line), ['two']);
+
+  await db.cancelJob(job.id);
+  assert.deepEqual(await db.heartbeatJobs('worker-1', { [job.id]: undefined }), { cancelled: [job.id], lost: [] });
+  assert.deepEqual(await db.heartbeatJobs('worker-2', { [job.id]: undefined }), { cancelled: [], lost: [job.id] });
+
+  const finished = await db.finishJob(job.id, { status: 'failed', error: 'boom' });
+  assert.equal(finished.status, 'failed');
+  assert.ok(finished.finished_at instanceof Date);
+  await assert.rejects(db.cancelJob(job.id), { status: 409 });
+
+  const retried = await db.retryJob(job.id);
+  assert.equal(retried.status, 'queued');
+  assert.equal(retried.max_attempts, 2);
+});
+
+test('a file store is shared by every repository using the same directory', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'news-store-'));
+  const scraper = createRepository({ STORAGE: 'file', STORAGE_DIR: dir });
+  const dashboard = createRepository({ STORAGE: 'file', STORAGE_DIR: dir });
+
+  try {
+    await scraper.initSchema();
+    await dashboard.initSchema();
+
+    const saved = await scraper.upsertArticle(article());
+    await scraper.saveScrapeRun({
+      runId: 'r1',
+      source: 'latercera',
+      startedAt: new Date(),
+      finishedAt: new Date(),
+      discovered: 3,
+      queued: 3,
+      fetched: 1,
+      notModified: 2,
+      extracted: 1,
+      withBody: 1,
+      new: 1,
+      updated: 0,
+      unchanged: 2,
+      failed: 0,
+      fallback: 0,
+      accessStatuses: { free: 1 },
+      selectors: {},
+      errors: []
+    });
+
+    const stored = await dashboard.getArticle(saved.id);
+    assert.equal(stored.title, saved.title);
+    assert.ok(stored.scraped_at instanceof Date);
+    assert.equal((await dashboard.getScrapeStatus()).totalArticles, 1);
+
+    await dashboard.setArticlesPublished([saved.id], true);
+    await scraper.upsertArticle(article({ url: 'https://www.latercera.com/otra-noticia/', bodyText: 'Otra cosa.' }));
+    assert.equal(fs.readFileSync(path.join(dir, 'owner.pid'), 'utf8'), String(process.pid));
+
+    // The repository serving the store closes it; the other one takes over and finds every write
+    await scraper.close();
+    const stats = await dashboard.getArticleStats();
+    assert.equal(stats.total, 2);
+    assert.equal(stats.published, 1);
+  } finally {
+    await Promise.allSettled([scraper.close(), dashboard.close()]);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('incremental scrapes find articles stored under a canonical URL other than the sitemap one', async (t) => {
+  const db = await openTestRepository(t);
+  const canonical = article().url;
+  const loc = 'https://www.latercera.com/politica/senado-vota-presupuesto/';
+  const page = `<html><head><title>${article().title}</title>
+    <link rel="canonical" href="${canonical}"></head>
+    <body><div class="article-body">${BODY.split('\n\n').map(text => `<p>${text}</p>`).join('')}</div></body></html>`;
+
+  const conditional = [];
+  const client = createHttpClient({
+    respectRobots: false,
+    requestsPerSecond: 1000,
+    retries: 0,
+    fetch: async (url, init) => {
+      conditional.push(init.headers['If-None-Match'] || null);
+      if (init.headers['If-None-Match'] === '"v1"') return new Response(null, { status: 304 });
+      return new Response(page, { status: 200, headers: { etag: '"v1"' } });
+    }
+  });
+  const options = {
+    sources: ['latercera'],
+    client,
+    discover: async () => dedupeEntries('latercera', [{ loc }]),
+    lookupState: db.getArticleFetchState,
+    markChecked: state => db.markArticlesChecked([state]),
+    save: db.upsertArticle
+  };
+
+  const first = await scrapeAllSources(options);
+  assert.equal(first.summary.latercera.new, 1);
+  const [saved] = await db.listArticles();
+  assert.equal(saved.url, canonical.replace(/\/$/, ''));
+
+  const second = await scrapeAllSources(options);
+  assert.deepEqual(conditional, [null, '"v1"']);
+  assert.equal(second.summary.latercera.new, 0);
+  assert.equal(second.summary.latercera.unchanged, 1);
+  assert.equal((await db.listArticles()).length, 1);
+  assert.ok((await db.getArticle(saved.id)).checked_at > saved.scraped_at);
+});
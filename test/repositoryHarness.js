@@ -0,0 +1,15 @@
+'use strict';
+
+// Repositories for tests: an embedded Postgres in memory (lib/db-embedded.js) with every migration
+// applied, closed when the test ends
+
+const { createRepository } = require('../lib/repository');
+
+async function openTestRepository(t) {
+  const db = createRepository({ STORAGE: 'memory' });
+  t.after(() => db.close());
+  await db.initSchema();
+  return db;
+}
+
+module.exports = { openTestRepository };
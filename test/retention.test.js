@@ -0,0 +1,150 @@
+'use strict';
+
+// Retention policies, the trash and archive-before-purge (lib/retention.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { loadRetentionPolicy, planRetention, purgeWithArchive, runCleanup } = require('../lib/retention');
+const { openTestRepository } = require('./repositoryHarness');
+
+const NOW = new Date('2025-12-01T12:00:00Z');
+
+function writePolicy(policy) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'retention-')), 'retention.json');
+  fs.writeFileSync(file, JSON.stringify(policy));
+  return file;
+}
+
+const POLICY = {
+  trashDays: 30,
+  rules: [
+    { name: 'published', match: { published: true }, keep: true },
+    { name: 'edition', match: { inEdition: true }, keep: true },
+    { name: 'paywalled stubs', match: { accessStatus: ['paywalled', 'truncated'] }, days: 7 },
+    { name: 'emol', match: { source: 'emol' }, days: 60 },
+    { name: 'default', days: 30 }
+  ]
+};
+
+function daysAgo(days) {
+  return new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// In-process blob store
+function memoryStore() {
+  const blobs = new Map();
+  return {
+    blobs,
+    async put(key, body, contentType) { blobs.set(key, { body, contentType }); },
+    async get(key) { return blobs.get(key) || null; },
+    async remove(key) { blobs.delete(key); }
+  };
+}
+
+test('the first matching rule decides, by publication date or else scrape date', () => {
+  const policy = loadRetentionPolicy(writePolicy(POLICY));
+  assert.equal(policy.trashDays, 30);
+
+  const articles = [
+    { id: 1, source: 'latercera', access_status: 'paywalled', published: true, published_at: daysAgo(400) },
+    { id: 2, source: 'latercera', access_status: 'paywalled', in_edition: true, published_at: daysAgo(400) },
+    { id: 3, source: 'latercera', access_status: 'paywalled', published_at: daysAgo(8) },
+    { id: 4, source: 'latercera', access_status: 'truncated', published_at: daysAgo(6) },
+    { id: 5, source: 'emol', access_status: 'free', published_at: daysAgo(45) },
+    { id: 6, source: 'latercera', access_status: 'free', published_at: null, scraped_at: daysAgo(31) },
+    { id: 7, source: 'latercera', access_status: 'free', published_at: daysAgo(29) }
+  ];
+
+  assert.deepEqual(planRetention(articles, policy, NOW).map(article => [article.id, article.rule, article.age_days]), [
+    [3, 'paywalled stubs', 8],
+    [6, 'default', 31]
+  ]);
+});
+
+test('invalid policies are rejected with the rule at fault', () => {
+  assert.throws(() => loadRetentionPolicy(writePolicy({ rules: [{ match: { status: 'free' }, days: 1 }] })),
+    /rule 1 matches on unknown "status"/);
+  assert.throws(() => loadRetentionPolicy(writePolicy({ rules: [{ days: 1 }, { keep: true, days: 3 }] })),
+    /rule 2 needs either "keep": true or "days"/);
+  assert.throws(() => loadRetentionPolicy(writePolicy({ rules: [{ match: { accessStatus: 'closed' }, keep: true }] })),
+    /unknown accessStatus "closed"/);
+  assert.throws(() => loadRetentionPolicy(path.join(os.tmpdir(), 'missing-retention.json')), /Could not read retention policy/);
+});
+
+test('cleanup previews, trashes, restores and archives before purging', async (t) => {
+  const db = await openTestRepository(t);
+  const policy = loadRetentionPolicy(writePolicy(POLICY));
+  const ids = {};
+  for (const [key, accessStatus, days] of [['stub', 'paywalled', 10], ['old', 'free', 40], ['edition', 'free', 40], ['recent', 'free', 2]]) {
+    const saved = await db.upsertArticle({
+      url: `https://example.cl/${key}`,
+      source: 'latercera',
+      sourceName: 'La Tercera',
+      title: `Artículo ${key}`,
+      bodyText: 'Texto',
+      bodyAvailable: accessStatus === 'free',
+      accessStatus,
+      publishedAt: daysAgo(days)
+    });
+    ids[key] = saved.id;
+  }
+  await db.saveProcessedContent('Edición', [{ id: ids.edition, title: 'Artículo edition' }]);
+
+  const preview = await runCleanup({ db, store: memoryStore(), archiveStore: memoryStore(), policy, dryRun: true, now: NOW });
+  assert.deepEqual(preview.trash.byRule, { 'paywalled stubs': 1, default: 1 });
+  assert.equal(preview.purge.total, 0);
+  assert.equal((await db.listTrash()).total, 0);
+
+  const store = memoryStore();
+  const archiveStore = memoryStore();
+  const result = await runCleanup({ db, store, archiveStore, policy, now: NOW });
+  assert.equal(result.trash.trashed, 2);
+  assert.equal(result.purge.total, 0);
+  assert.equal(await db.getArticle(ids.old), null);
+  assert.deepEqual((await db.listArticles()).map(article => article.id).sort(), [ids.edition, ids.recent].sort());
+
+  assert.equal(await db.restoreArticles([ids.old]), 1);
+  assert.equal((await db.getArticle(ids.old)).title, 'Artículo old');
+
+  // Live articles are left alone; the trashed one is archived, then purged
+  const { purged, archive } = await purgeWithArchive({ db, store, archiveStore, articleIds: [ids.stub, ids.old], now: NOW });
+  assert.equal(purged, 1);
+  assert.equal(archive, 'articles-2025-12-01T12-00-00-000Z.jsonl.gz');
+  assert.equal(archiveStore.blobs.get(archive).contentType, 'application/gzip');
+  assert.equal(store.blobs.size, 0);
+
+  const lines = zlib.gunzipSync(archiveStore.blobs.get(archive).body).toString().trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(entry => entry.article.title), ['Artículo stub']);
+  assert.ok(Array.isArray(lines[0].revisions));
+  assert.equal((await db.listTrash()).total, 0);
+  assert.ok(await db.getArticle(ids.old));
+});
+
+test('purging keeps images another article still uses', async (t) => {
+  const db = await openTestRepository(t);
+  const store = memoryStore();
+  const variants = { thumb: { key: 'ab/abcdef/thumb.webp', width: 320 }, large: { key: 'ab/abcdef/large.webp', width: 1280 } };
+  for (const key of Object.values(variants).map(variant => variant.key)) {
+    await store.put(key, Buffer.from(key), 'image/webp');
+  }
+
+  const ids = [];
+  for (const source of ['latercera', 'emol']) {
+    const saved = await db.upsertArticle({ url: `https://${source}.cl/nota`, source, sourceName: source, title: 'Nota compartida', bodyText: 'Texto' });
+    await db.saveMedia({ articleId: saved.id, sourceUrl: 'https://cdn.example.cl/foto.jpg', status: 'ready', contentHash: 'abcdef', variants });
+    ids.push(saved.id);
+  }
+
+  await db.trashArticles([ids[0]]);
+  await purgeWithArchive({ db, store, archiveStore: memoryStore(), articleIds: [ids[0]], now: NOW });
+  assert.deepEqual([...store.blobs.keys()].sort(), ['ab/abcdef/large.webp', 'ab/abcdef/thumb.webp']);
+
+  await db.trashArticles([ids[1]]);
+  await purgeWithArchive({ db, store, archiveStore: memoryStore(), articleIds: [ids[1]], now: NOW });
+  assert.equal(store.blobs.size, 0);
+});
@@ -0,0 +1,88 @@
+'use strict';
+
+// Revision diffs (lib/revisions.js) and how upsertArticle numbers revisions (recordRevision in
+// lib/db-multi.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffRevisions, computeContentHash, revisionHash } = require('../lib/revisions');
+const { openTestRepository } = require('./repositoryHarness');
+
+const BODY = 'Primer párrafo.\n\nSegundo párrafo.\n\nTercer párrafo.';
+
+function article(overrides = {}) {
+  return {
+    url: 'https://www.biobiochile.cl/noticias/nacional/2025/11/10/reforma.shtml',
+    source: 'biobiochile',
+    sourceName: 'BioBioChile',
+    title: 'La reforma avanza',
+    description: 'El proyecto pasa al Senado.',
+    bodyText: BODY,
+    bodyAvailable: true,
+    accessStatus: 'free',
+    ...overrides
+  };
+}
+
+test('revisions differ by title, description and body paragraphs', () => {
+  const previous = { title: 'La reforma avanza', description: 'El proyecto pasa al Senado.', body_text: BODY };
+  const diff = diffRevisions(previous, {
+    title: 'La reforma se aprueba',
+    description: 'El proyecto pasa al Senado.',
+    body_text: 'Primer párrafo.\n\nSegundo párrafo, corregido.\n\nTercer párrafo.\n\nCuarto párrafo.'
+  });
+
+  assert.deepEqual(diff.changedFields, ['title', 'body']);
+  assert.deepEqual(diff.changes.title, { from: 'La reforma avanza', to: 'La reforma se aprueba' });
+  assert.equal(diff.changes.description, undefined);
+  assert.deepEqual(diff.changes.body.paragraphs, [
+    { op: 'removed', text: 'Segundo párrafo.' },
+    { op: 'added', text: 'Segundo párrafo, corregido.' },
+    { op: 'added', text: 'Cuarto párrafo.' }
+  ]);
+  assert.equal(diff.changes.body.added, 2);
+  assert.equal(diff.changes.body.removed, 1);
+});
+
+test('a body that went missing or was only re-spaced is not an edit', () => {
+  const previous = { title: 'T', description: null, body_text: BODY };
+  assert.deepEqual(diffRevisions(previous, { title: 'T', description: '', body_text: null }).changedFields, []);
+  assert.deepEqual(diffRevisions(previous, { title: 'T', body_text: BODY.replace(/\n\n/g, '\n\n  ') }).changedFields, []);
+
+  assert.equal(revisionHash({ title: 'T', description: null, body_text: BODY }), computeContentHash({ title: 'T', bodyText: BODY }));
+  assert.equal(revisionHash({ content_hash: 'stored', title: 'T' }), 'stored');
+});
+
+test('saving an article numbers a revision per real change', async (t) => {
+  const db = await openTestRepository(t);
+
+  const saved = await db.upsertArticle(article());
+  await db.upsertArticle(article());
+  await db.upsertArticle(article({ bodyText: null, bodyAvailable: false, accessStatus: 'paywalled' }));
+  await db.upsertArticle(article({ title: 'La reforma se aprueba' }));
+  await db.upsertArticle(article({ title: 'La reforma se aprueba', bodyText: `${BODY}\n\nCuarto párrafo.`, description: null }));
+
+  const revisions = await db.getArticleRevisions(saved.id);
+  assert.deepEqual(revisions.map(revision => revision.revision), [1, 2, 3]);
+  assert.deepEqual(revisions.map(revision => revision.changed_fields), [null, ['title'], ['description', 'body']]);
+  assert.deepEqual(revisions[2].changes.description, { from: 'El proyecto pasa al Senado.', to: null });
+  assert.deepEqual(revisions[2].changes.body.paragraphs, [{ op: 'added', text: 'Cuarto párrafo.' }]);
+  assert.equal(revisions[2].body_length, `${BODY}\n\nCuarto párrafo.`.length);
+  assert.equal((await db.getArticleRevisions(saved.id, { withBody: true }))[0].body_text, BODY);
+});
+
+test('an article stored before revisions were tracked gets its old version as revision 1', async (t) => {
+  const db = await openTestRepository(t);
+
+  const saved = await db.upsertArticle(article());
+  await db.pool.query('DELETE FROM article_revisions WHERE article_id = $1', [saved.id]);
+  await db.upsertArticle(article({ title: 'La reforma se aprueba' }));
+
+  const revisions = await db.getArticleRevisions(saved.id);
+  assert.deepEqual(revisions.map(revision => [revision.revision, revision.title, revision.changed_fields]), [
+    [1, 'La reforma avanza', null],
+    [2, 'La reforma se aprueba', ['title']]
+  ]);
+  assert.equal(revisions[0].captured_at.getTime(), saved.scraped_at.getTime());
+});
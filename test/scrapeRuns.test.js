@@ -0,0 +1,81 @@
+'use strict';
+
+// Scrape run records and degraded-source detection (lib/scrapeRuns.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { createRunRecorder, assessHealth, nextScheduledRun } = require('../lib/scrapeRuns');
+
+function run(overrides = {}) {
+  return { discovered: 40, queued: 40, extracted: 10, withBody: 9, failed: 0, ...overrides };
+}
+
+test('a run record keeps what discovery found apart from what the limit queued', () => {
+  const events = new EventEmitter();
+  const recorder = createRunRecorder(events, 'run-1');
+
+  events.emit('discovered', { source: 'latercera', count: 5, total: 40 });
+  events.emit('fetched', { source: 'latercera', url: 'a', status: 200 });
+  events.emit('fetched', { source: 'latercera', url: 'b', status: 304 });
+  events.emit('extracted', { source: 'latercera', bodyAvailable: true, accessStatus: 'free', bodyStrategy: 'selector', bodySelector: '.article-body p' });
+  events.emit('failed', { source: 'latercera', url: 'c', error: 'HTTP 500', status: 500 });
+  events.emit('source:done', { source: 'latercera', discovered: 40, queued: 5, new: 1, updated: 0, unchanged: 1, failed: 1, fallback: 0 });
+
+  const [record] = recorder.runs();
+  assert.equal(record.runId, 'run-1');
+  assert.deepEqual(
+    [record.discovered, record.queued, record.fetched, record.notModified, record.extracted, record.withBody, record.failed],
+    [40, 5, 2, 1, 1, 1, 1]
+  );
+  assert.deepEqual(record.accessStatuses, { free: 1 });
+  assert.deepEqual(record.selectors, { '.article-body p': 1 });
+  assert.deepEqual(record.errors, [{ url: 'c', error: 'HTTP 500', status: 500 }]);
+  assert.ok(record.finishedAt instanceof Date);
+});
+
+test('sources are judged against their trailing averages once they have enough history', () => {
+  const history = [run(), run(), run()];
+
+  assert.deepEqual(assessHealth(run(), history), { degraded: false, reasons: [] });
+
+  // Fewer than MIN_HISTORY (3) previous runs: no baseline yet
+  assert.equal(assessHealth(run({ discovered: 1 }), history.slice(0, 2)).degraded, false);
+
+  // Yield below DROP_RATIO (half) of the average
+  assert.deepEqual(assessHealth(run({ discovered: 19 }), history).reasons, ['found 19 URLs vs a trailing average of 40.0']);
+  assert.equal(assessHealth(run({ discovered: 20 }), history).degraded, false);
+
+  // A run limited to a few articles still discovered as many
+  assert.equal(assessHealth(run({ queued: 5, extracted: 5, withBody: 5 }), history).degraded, false);
+
+  // Body-extraction rate below half of the average (90%)
+  assert.deepEqual(assessHealth(run({ withBody: 4 }), history).reasons, ['body extraction rate 40% vs a trailing average of 90%']);
+  assert.equal(assessHealth(run({ withBody: 5 }), history).degraded, false);
+});
+
+test('a run where most article fetches fail is degraded even without history', () => {
+  assert.deepEqual(assessHealth(run({ extracted: 1, failed: 2 }), []).reasons, ['2 of 3 article fetches failed']);
+  assert.equal(assessHealth(run({ extracted: 2, failed: 2 }), []).degraded, false);
+  // Too few fetches to tell
+  assert.equal(assessHealth(run({ extracted: 0, failed: 2 }), []).degraded, false);
+});
+
+test('a host blocked by a robots.txt fetch error is reported as such', () => {
+  const events = new EventEmitter();
+  const recorder = createRunRecorder(events);
+  events.emit('source:done', { source: 'emol', discovered: 0, queued: 0, new: 0, updated: 0, unchanged: 0, failed: 1, fallback: 0, blocked: 1 });
+
+  const [record] = recorder.runs();
+  assert.equal(record.blocked, 1);
+  assert.deepEqual(assessHealth({ ...run({ discovered: 0, extracted: 0, withBody: 0 }), blocked: 1 }, []), {
+    degraded: true,
+    reasons: ['host blocked by robots.txt fetch error (1 fetches skipped)']
+  });
+});
+
+test('the next scheduled run is the next listed UTC hour, tomorrow after the last one', () => {
+  assert.equal(nextScheduledRun([0, 6, 12, 18], new Date('2025-11-10T07:30:00Z')).toISOString(), '2025-11-10T12:00:00.000Z');
+  assert.equal(nextScheduledRun([18, 6], new Date('2025-11-10T18:00:00Z')).toISOString(), '2025-11-11T06:00:00.000Z');
+});
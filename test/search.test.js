@@ -0,0 +1,30 @@
+'use strict';
+
+// Search box syntax (lib/searchQuery.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseSearchQuery, hasSearchTerms, toTsQuery, highlightHtml } = require('../lib/searchQuery');
+
+test('words, phrases, prefixes, exclusions and OR become a tsquery', () => {
+  const clauses = parseSearchQuery('política "reforma de pensiones" pensi* -fútbol boric OR kast');
+
+  assert.deepEqual(clauses[1], { exclude: false, alternatives: [{ words: ['reforma', 'de', 'pensiones'], prefix: false }] });
+  assert.equal(
+    toTsQuery(clauses),
+    "'política' & 'reforma' <-> 'de' <-> 'pensiones' & 'pensi':* & !('fútbol') & ('boric' | 'kast')"
+  );
+
+  // Punctuation joins words into a phrase and never reaches the tsquery
+  assert.equal(toTsQuery(parseSearchQuery("post-war O'Higgins & ! (x)")), "'post' <-> 'war' & 'O' <-> 'Higgins' & 'x'");
+  assert.equal(toTsQuery(parseSearchQuery('OR a OR')), "'a'");
+
+  assert.ok(!hasSearchTerms(parseSearchQuery('-fútbol')));
+  assert.ok(!hasSearchTerms(parseSearchQuery('  "" ')));
+});
+
+test('highlighted text is escaped before the matches are marked', () => {
+  assert.equal(highlightHtml('<b>⟦Senado⟧</b> & Cámara'), '&lt;b&gt;<mark>Senado</mark>&lt;/b&gt; &amp; Cámara');
+  assert.equal(highlightHtml(null), null);
+});